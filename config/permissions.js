@@ -0,0 +1,130 @@
+// Níveis de acesso aceitos no campo userLevel
+const ROLES = {
+    ADMIN: 'adm',
+    SECRETARY: 'secretaria',
+    TEACHER: 'professor',
+    PROFESSIONAL: 'profissional'
+};
+
+const ALL_ACTIONS = ['read', 'create', 'update', 'delete'];
+
+// Só o administrador exclui definitivamente os registros da lixeira
+const ADMIN_ACTIONS = [...ALL_ACTIONS, 'purge'];
+
+// Ações permitidas para cada nível em cada recurso da API
+const PERMISSIONS = {
+    users: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS
+    },
+    students: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    teachers: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    professionals: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    appointments: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.PROFESSIONAL]: ['read', 'update']
+    },
+    events: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    // Responsáveis; os vínculos com os estudantes (/students/:id/guardians) seguem as permissões de students
+    guardians: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    // Turmas incluem as matrículas e os professores de cada disciplina (GET/POST/DELETE /classes/:id/students e /teachers)
+    classes: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    disciplines: {
+        [ROLES.ADMIN]: ADMIN_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    // Grade horária: períodos dos turnos e aulas semanais (/timetable). Períodos e aulas não vão para a lixeira
+    timetable: {
+        [ROLES.ADMIN]: ALL_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    // Frequência: os professores fazem a chamada das turmas (POST /attendance/classes/:classId) e corrigem registros
+    attendance: {
+        [ROLES.ADMIN]: ALL_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read', 'create', 'update'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    // Avaliações e notas: os professores cadastram avaliações e lançam as notas (PUT /assessments/:id/grades).
+    // Como os usuários não são ligados aos cadastros de professores, não há como restringi-los às próprias turmas;
+    // por isso a exclusão, que apaga também as notas, fica com a administração e a secretaria
+    assessments: {
+        [ROLES.ADMIN]: ALL_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read', 'create', 'update'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    // Regras de cálculo das médias e da aprovação de cada ano letivo
+    gradingPolicies: {
+        [ROLES.ADMIN]: ALL_ACTIONS,
+        [ROLES.SECRETARY]: ALL_ACTIONS,
+        [ROLES.TEACHER]: ['read'],
+        [ROLES.PROFESSIONAL]: ['read']
+    },
+    // O log de auditoria só recebe registros da própria API; ninguém altera ou exclui
+    audit: {
+        [ROLES.ADMIN]: ['read']
+    }
+};
+
+// Campos que, numa alteração, só podem ser modificados pelos níveis listados
+const RESTRICTED_FIELDS = {
+    appointments: {
+        appointmentComments: [ROLES.PROFESSIONAL]
+    }
+};
+
+const METHOD_ACTIONS = {
+    GET: 'read',
+    HEAD: 'read',
+    POST: 'create',
+    PUT: 'update',
+    PATCH: 'update',
+    DELETE: 'delete'
+};
+
+function can(level, resource, action) {
+    const allowed = (PERMISSIONS[resource] || {})[level] || [];
+    return allowed.includes(action);
+}
+
+function canEditField(level, resource, field) {
+    const levels = (RESTRICTED_FIELDS[resource] || {})[field];
+    return !levels || levels.includes(level);
+}
+
+module.exports = { ROLES, PERMISSIONS, METHOD_ACTIONS, can, canEditField };
@@ -0,0 +1,106 @@
+// Conversão dos arquivos db/*.json, do tempo em que a API gravava em JSON, para os campos dos models atuais.
+// Cada registro antigo tem um id (uuid); dele sai um _id fixo, então rodar a carga de novo não duplica nada.
+
+const crypto = require('crypto');
+
+// "on"/"off" (e true/false) dos arquivos antigos para os campos booleanos de status
+function legacyStatus(status) {
+    if (typeof status === 'boolean') return status;
+    return !['off', 'inativo', 'false'].includes(String(status).toLowerCase());
+}
+
+// Os arquivos antigos guardavam a idade; a data de nascimento estimada é a de hoje, tantos anos atrás
+function birthDateFromAge(age) {
+    const years = parseInt(age, 10);
+    if (isNaN(years)) return undefined;
+
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    date.setUTCFullYear(date.getUTCFullYear() - years);
+    return date;
+}
+
+function text(value) {
+    return value === undefined || value === null ? undefined : String(value);
+}
+
+// O mesmo id antigo sempre gera o mesmo ObjectId (24 dígitos hexadecimais)
+function legacyObjectId(resource, id) {
+    return crypto.createHash('sha1').update(`${resource}:${id}`).digest('hex').slice(0, 24);
+}
+
+// Cada recurso: arquivo de origem, campo que identifica um registro já cadastrado (naturalKey)
+// e a conversão de um registro antigo. Os nomes atuais também são aceitos, para arquivos já convertidos.
+const LEGACY_RESOURCES = {
+    users: {
+        file: 'users.json',
+        naturalKey: 'userUser',
+        toDocument: record => ({
+            userName: record.userName || record.name,
+            userEmail: record.userEmail || record.email,
+            userUser: record.userUser || record.user,
+            userLevel: record.userLevel || record.level,
+            userStatus: legacyStatus(record.userStatus !== undefined ? record.userStatus : record.status)
+        })
+    },
+    students: {
+        file: 'students.json',
+        naturalKey: 'studentsPhone_number',
+        toDocument: record => ({
+            studentsName: record.studentsName || record.name,
+            studentsBirthDate: record.studentsBirthDate ? new Date(record.studentsBirthDate) : birthDateFromAge(record.age),
+            studentsPhone_number: text(record.studentsPhone_number || record.phone_number),
+            studentsStatus: legacyStatus(record.studentsStatus !== undefined ? record.studentsStatus : record.status)
+        })
+    },
+    teachers: {
+        file: 'teachers.json',
+        naturalKey: 'teacherContact',
+        toDocument: record => ({
+            teacherName: record.teacherName || record.name,
+            teacherSchoolDisciplines: record.teacherSchoolDisciplines || record.school_disciplines,
+            teacherContact: record.teacherContact || record.contact,
+            teacherPhone: text(record.teacherPhone || record.phone_number),
+            teacherStatus: legacyStatus(record.teacherStatus !== undefined ? record.teacherStatus : record.status)
+        })
+    },
+    professionals: {
+        file: 'professionals.json',
+        naturalKey: 'professionalEmail',
+        toDocument: record => ({
+            professionalName: record.professionalName || record.name,
+            professionalSpeciality: record.professionalSpeciality || record.specialty,
+            professionalEmail: record.professionalEmail || record.email,
+            professionalPhone: text(record.professionalPhone || record.phone_number),
+            professionalStatus: legacyStatus(record.professionalStatus !== undefined ? record.professionalStatus : record.status)
+        })
+    },
+    events: {
+        file: 'events.json',
+        naturalKey: null,  // Eventos não têm campo único; só o _id gerado pelo id antigo evita duplicidade
+        toDocument: record => ({
+            description: record.description,
+            date: record.date,
+            comments: record.comments
+        })
+    },
+    // O aluno e o profissional eram gravados pelo nome; references resolve os nomes em IDs (null = não encontrado)
+    appointments: {
+        file: 'appointments.json',
+        naturalKey: 'appointmentId',
+        toDocument: (record, references) => ({
+            appointmentId: record.id,
+            appointmentSpeciality: record.appointmentSpeciality || record.specialty,
+            appointmentComments: record.appointmentComments || record.comments,
+            appointmentDate: record.appointmentDate || record.date ? new Date(record.appointmentDate || record.date) : undefined,
+            appointmentStudent: references.student,
+            appointmentProfessional: references.professional,
+            appointmentHistory: [{ action: 'created' }]
+        })
+    }
+};
+
+// Ordem de carga: os agendamentos dependem dos estudantes e profissionais já cadastrados
+const LOAD_ORDER = ['users', 'students', 'teachers', 'professionals', 'events', 'appointments'];
+
+module.exports = { LEGACY_RESOURCES, LOAD_ORDER, legacyStatus, legacyObjectId, birthDateFromAge };
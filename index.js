@@ -4,7 +4,11 @@ const swaggerJsDoc = require('swagger-jsdoc');
 const app = express();
 const routes = require('./routes');
 const cors = require('cors');
-app.use(cors());
+const { requestId } = require('./middlewares/requestId');
+const { notFoundHandler, errorHandler } = require('./middlewares/errorHandler');
+const { isImportRequest } = require('./utils/bulkImport');
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'ETag'] }));
 
 const options = {
     definition: {
@@ -26,6 +30,121 @@ const options = {
                 description: 'Server de teste',
             },
         ],
+        security: [
+            {
+                bearerAuth: [],
+            },
+        ],
+        components: {
+            // Parâmetros e resposta comuns a todas as listagens (utils/pagination.js)
+            parameters: {
+                page: { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 }, description: 'Página desejada' },
+                limit: { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }, description: 'Itens por página' },
+                sort: { in: 'query', name: 'sort', schema: { type: 'string' }, description: 'Campos de ordenação separados por vírgula; use "-" para ordem decrescente (ex. -studentsCreate_date,studentsName)' },
+                fields: { in: 'query', name: 'fields', schema: { type: 'string' }, description: 'Campos a retornar, separados por vírgula' },
+                importDryRun: { in: 'query', name: 'dryRun', schema: { type: 'boolean', default: false }, description: 'Quando true, apenas valida e mostra o resultado de cada linha, sem gravar nada' },
+                importExisting: { in: 'query', name: 'existing', schema: { type: 'string', enum: ['update', 'skip'], default: 'update' }, description: 'O que fazer com as linhas de registros já cadastrados: atualizar ou ignorar' },
+                ifMatch: { in: 'header', name: 'If-Match', schema: { type: 'string' }, description: 'ETag recebido na última leitura do registro; se ele tiver sido alterado desde então, a resposta é 412' },
+                filters: {
+                    in: 'query',
+                    name: 'filters',
+                    style: 'form',
+                    explode: true,
+                    schema: { type: 'object', additionalProperties: { type: 'string' } },
+                    description: 'Filtros pelos campos do recurso: campo=valor, campo[ne|gt|gte|lt|lte]=valor, campo[in|nin]=a,b e campo[like]=texto (ex. appointmentDate[gte]=2024-05-01&appointmentStatus[in]=scheduled,confirmed). Campos desconhecidos retornam 400.',
+                },
+            },
+            schemas: {
+                // Formato de todas as respostas de erro (middlewares/errorHandler.js)
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: {
+                            type: 'object',
+                            properties: {
+                                code: { type: 'string', example: 'NOT_FOUND', description: 'BAD_REQUEST, VALIDATION_ERROR, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, CONFLICT, PRECONDITION_FAILED ou INTERNAL_ERROR' },
+                                message: { type: 'string', example: 'Estudante não encontrado' },
+                                details: { description: 'Informações adicionais, quando houver' },
+                                correlationId: { type: 'string', description: 'Id da requisição, também enviado no cabeçalho X-Request-Id' },
+                            },
+                        },
+                    },
+                },
+                ValidationError: {
+                    type: 'object',
+                    properties: {
+                        error: {
+                            type: 'object',
+                            properties: {
+                                code: { type: 'string', example: 'VALIDATION_ERROR' },
+                                message: { type: 'string', example: 'Os dados enviados são inválidos' },
+                                details: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string', example: 'studentsName' },
+                                            message: { type: 'string', example: 'Campo obrigatório' },
+                                        },
+                                    },
+                                },
+                                correlationId: { type: 'string' },
+                            },
+                        },
+                    },
+                },
+                // Resultado das importações em lote (utils/bulkImport.js)
+                ImportReport: {
+                    type: 'object',
+                    properties: {
+                        dryRun: { type: 'boolean' },
+                        summary: {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'integer' },
+                                created: { type: 'integer' },
+                                updated: { type: 'integer' },
+                                skipped: { type: 'integer' },
+                                failed: { type: 'integer' },
+                            },
+                        },
+                        ignoredColumns: { type: 'array', items: { type: 'string' }, description: 'Colunas que não correspondem a nenhum campo' },
+                        rows: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    row: { type: 'integer', description: 'Número da linha, sem contar o cabeçalho' },
+                                    status: { type: 'string', enum: ['created', 'updated', 'skipped', 'failed'] },
+                                    id: { type: 'string' },
+                                    changedFields: { type: 'array', items: { type: 'string' } },
+                                    message: { type: 'string' },
+                                    errors: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } },
+                                },
+                            },
+                        },
+                    },
+                },
+                PaginatedList: {
+                    type: 'object',
+                    properties: {
+                        data: { type: 'array', items: { type: 'object' } },
+                        total: { type: 'integer', description: 'Total de registros encontrados' },
+                        page: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        totalPages: { type: 'integer' },
+                        links: {
+                            type: 'object',
+                            properties: {
+                                self: { type: 'string' },
+                                next: { type: 'string', nullable: true },
+                                prev: { type: 'string', nullable: true },
+                            },
+                        },
+                    },
+                },
+            },
+        },
     },
     apis: ["./routes/*.js"],
 };
@@ -35,16 +154,22 @@ app.use("/api-docs", swaggerUI.serve, swaggerUI.setup(specs));
 
 app.use(function(req, res, next){ //
     res.setHeader("Access-Control-Allow-Origin", "*");
-    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "content-type");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "content-type, authorization, x-request-id, if-match");
     res.setHeader("Content-Type", "application/json");
     res.setHeader("Access-Control-Allow-Credentials", true);
     next();
    }); //
 
-app.use(express.json());
+// As importações em lote aceitam corpos maiores e têm o próprio parser (ver utils/bulkImport.js)
+const jsonParser = express.json();
+app.use((req, res, next) => (isImportRequest(req) ? next() : jsonParser(req, res, next)));
 app.use('/', routes)
 
+// Deve ficar depois das rotas: trata rotas inexistentes e todos os erros repassados com next(err)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 app.listen(8080, function () { 
     console.log('Aplicação executando na porta 8080!');
     console.log('Aplicação: http://localhost:8080/');
@@ -0,0 +1,89 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { verifyAccessToken, hashToken } = require('../utils/tokens');
+const { METHOD_ACTIONS, can } = require('../config/permissions');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Aplicativos de calendário não enviam cabeçalhos: as exportações em format=ics também aceitam
+// o token de agenda do usuário (POST /auth/calendar-token) no parâmetro calendarToken
+function isCalendarRequest(req) {
+    return req.method === 'GET' && req.path === '/export' && req.query.format === 'ics' && typeof req.query.calendarToken === 'string';
+}
+
+async function authenticateCalendar(req, res, next) {
+    try {
+        const user = await User.findOne({ userCalendarTokenHash: hashToken(req.query.calendarToken) });
+        if (!user || user.userStatus === false) {
+            return next(new UnauthorizedError('Token de agenda inválido'));
+        }
+
+        req.user = { id: String(user._id), level: user.userLevel };
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Exige um token de acesso válido no cabeçalho "Authorization: Bearer <token>"
+async function authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (!header && isCalendarRequest(req)) return authenticateCalendar(req, res, next);
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(new UnauthorizedError('Token de acesso não informado'));
+    }
+
+    let payload;
+    try {
+        payload = verifyAccessToken(token);
+    } catch (err) {
+        return next(new UnauthorizedError('Token de acesso inválido ou expirado'));
+    }
+
+    try {
+        // Tokens de sessões encerradas (logout) não são mais aceitos
+        const session = await Session.findById(payload.sid);
+        if (!session || !session.isActive()) {
+            return next(new UnauthorizedError('Sessão encerrada, faça login novamente'));
+        }
+        // A sessão precisa ser do usuário do token: um sid válido não serve para agir como outro usuário
+        if (String(session.sessionUser) !== payload.sub) {
+            return next(new UnauthorizedError('Token de acesso inválido ou expirado'));
+        }
+
+        // O nível e o status são lidos do banco para que alterações valham imediatamente
+        const user = await User.findById(session.sessionUser);
+        if (!user || user.userStatus === false) {
+            return next(new UnauthorizedError('Usuário inativo ou inexistente'));
+        }
+
+        req.user = { id: String(user._id), level: user.userLevel, sessionId: String(session._id) };
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Um POST em uma ação de um item existente (ex.: /:id/cancel) altera esse item
+function actionFor(req) {
+    if (req.method === 'POST' && /^\/[^/]+\/[^/]+/.test(req.path)) return 'update';
+    return METHOD_ACTIONS[req.method];
+}
+
+// Libera a rota apenas para os níveis com permissão sobre o recurso.
+// A ação é deduzida do método HTTP, a não ser que seja informada em options.action.
+// Com options.allowSelf, o próprio usuário (req.params.id) também tem acesso.
+function authorize(resource, options = {}) {
+    return (req, res, next) => {
+        const action = options.action || actionFor(req);
+
+        if (can(req.user.level, resource, action)) return next();
+        if (options.allowSelf && req.params.id === req.user.id) return next();
+
+        next(new ForbiddenError('Acesso negado: seu nível de usuário não permite esta ação'));
+    };
+}
+
+module.exports = { authenticate, authorize };
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError
+} = require('../utils/errors');
+
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+// Mensagens dos erros de validação do Mongoose, sem expor o texto interno da biblioteca
+const MONGOOSE_KIND_MESSAGES = {
+    required: 'Campo obrigatório',
+    enum: 'Valor não permitido',
+    min: 'Valor abaixo do mínimo permitido',
+    max: 'Valor acima do máximo permitido',
+    minlength: 'Texto menor que o permitido',
+    maxlength: 'Texto maior que o permitido'
+};
+
+function castErrorDetail(err) {
+    return { field: err.path, message: err.kind === 'ObjectId' ? 'ID inválido' : 'Valor inválido' };
+}
+
+// Converte os erros conhecidos (Mongoose, MongoDB, JWT, body-parser) em AppError.
+// Qualquer outro erro vira 500 com mensagem genérica.
+function toAppError(err) {
+    if (err instanceof AppError) return err;
+
+    if (err instanceof mongoose.Error.CastError) {
+        const detail = castErrorDetail(err);
+        return new BadRequestError(err.kind === 'ObjectId' ? detail.message : `Valor inválido para ${err.path}`, [detail]);
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new ValidationError(Object.values(err.errors).map(fieldError => {
+            if (fieldError instanceof mongoose.Error.CastError) return castErrorDetail(fieldError);
+            return {
+                field: fieldError.path,
+                message: MONGOOSE_KIND_MESSAGES[fieldError.kind]
+                    || (fieldError.kind === 'user defined' ? fieldError.message : 'Valor inválido')
+            };
+        }));
+    }
+
+    // O documento salvo com doc.save() foi alterado por outra requisição desde que foi lido
+    if (err instanceof mongoose.Error.VersionError) return new PreconditionFailedError();
+
+    // Índice único violado
+    if (err.code === 11000) {
+        return new ConflictError(
+            'Já existe um registro com estes dados',
+            Object.keys(err.keyValue || err.keyPattern || {}).map(field => ({ field, message: 'Valor já cadastrado' }))
+        );
+    }
+
+    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+        return new UnauthorizedError('Token de acesso inválido ou expirado');
+    }
+
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequestError('O corpo da requisição não é um JSON válido');
+    }
+
+    // Erros do Express/body-parser que já trazem um status de cliente (ex.: 413)
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+        return new AppError(status, 'BAD_REQUEST', err.expose ? err.message : 'Requisição inválida');
+    }
+
+    const internal = new AppError(500, 'INTERNAL_ERROR', 'Erro interno do servidor');
+    if (isDevelopment()) internal.message = err.message;
+    return internal;
+}
+
+// Rotas inexistentes
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`Rota não encontrada: ${req.method} ${req.path}`));
+}
+
+// Último middleware da aplicação: todas as respostas de erro saem daqui no formato
+// { error: { code, message, details?, correlationId } }. A pilha só é enviada em desenvolvimento.
+function errorHandler(err, req, res, next) {
+    const appError = toAppError(err);
+
+    if (appError.status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err);
+    }
+
+    // A resposta já começou a ser enviada (ex.: uma exportação): o Express apenas encerra a conexão
+    if (res.headersSent) return next(err);
+
+    const body = {
+        error: {
+            code: appError.code,
+            message: appError.message,
+            correlationId: req.id
+        }
+    };
+    if (appError.details !== undefined) body.error.details = appError.details;
+    if (isDevelopment()) body.error.stack = err.stack;
+
+    res.status(appError.status).json(body);
+}
+
+module.exports = { notFoundHandler, errorHandler };
@@ -0,0 +1,15 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Aceita um identificador vindo do cliente/proxy apenas se for curto e sem caracteres especiais
+const VALID_REQUEST_ID = /^[\w.-]{1,100}$/;
+
+// Identifica cada requisição (id de correlação) para relacionar a resposta de erro aos logs do servidor.
+// Reaproveita o cabeçalho X-Request-Id recebido ou gera um novo, e devolve o valor no mesmo cabeçalho.
+function requestId(req, res, next) {
+    const received = req.get('X-Request-Id');
+    req.id = received && VALID_REQUEST_ID.test(received) ? received : uuidv4();
+    res.setHeader('X-Request-Id', req.id);
+    next();
+}
+
+module.exports = { requestId };
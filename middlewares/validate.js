@@ -0,0 +1,15 @@
+const { validate } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+// Valida req.body com o schema do recurso; em caso de sucesso, req.body passa a ter só os campos conhecidos
+function validateBody(schema, mode = 'create') {
+    return (req, res, next) => {
+        const result = validate(req.body, schema, mode);
+        if (result.details) return next(new ValidationError(result.details));
+
+        req.body = result.value;
+        next();
+    };
+}
+
+module.exports = { validateBody };
@@ -0,0 +1,25 @@
+// appointmentDate passou de texto para Date no schema, mas agendamentos gravados antes disso ainda têm a data
+// como texto ("2023-10-10" ou "2023-10-10T14:30"). Esses valores não entram nos filtros por intervalo nem na
+// verificação de conflito de horário.
+
+module.exports = {
+    description: 'Converte para Date os appointmentDate gravados como texto',
+
+    async up({ db, log }) {
+        const appointments = db.collection('appointments');
+
+        // Valores que não podem ser lidos como data ficam como estão e são listados no final
+        const result = await appointments.updateMany(
+            { appointmentDate: { $type: 'string' } },
+            [{ $set: { appointmentDate: { $convert: { input: '$appointmentDate', to: 'date', onError: '$appointmentDate' } } } }]
+        );
+        log(`${result.modifiedCount} agendamento(s) convertido(s)`);
+
+        const invalid = await appointments.find({ appointmentDate: { $type: 'string' } }, { projection: { appointmentDate: 1 } }).toArray();
+        for (const appointment of invalid) {
+            log(`Agendamento ${appointment._id}: data "${appointment.appointmentDate}" inválida, corrija manualmente`);
+        }
+    }
+
+    // Sem down: depois da conversão não há como saber quais datas estavam gravadas como texto
+};
@@ -0,0 +1,179 @@
+// Normalização dos cadastros:
+// - estudantes: a idade (texto) vira data de nascimento e o status "on"/"off" vira booleano, como nos demais
+// - telefones só com os dígitos, com DDD e sem o código do país; e-mails sem espaços e em minúsculas
+// - date dos eventos passa de texto para Date
+// - índices únicos no login (userUser) e no e-mail dos usuários
+// As funções de normalização ficam aqui, e não em utils/contact.js, para a migração não mudar se aquele arquivo mudar.
+
+const INACTIVE_VALUES = ['off', 'inativo', 'false'];
+
+const CONTACT_FIELDS = {
+    students: { phone: 'studentsPhone_number', status: 'studentsStatus' },
+    teachers: { phone: 'teacherPhone', email: 'teacherContact', status: 'teacherStatus' },
+    professionals: { phone: 'professionalPhone', email: 'professionalEmail', status: 'professionalStatus' },
+    users: { email: 'userEmail', status: 'userStatus' }
+};
+
+const USER_INDEXES = [
+    { key: { userUser: 1 }, name: 'userUser_1' },
+    { key: { userEmail: 1 }, name: 'userEmail_1' }
+];
+
+function normalizePhone(value) {
+    let digits = String(value).replace(/\D/g, '');
+    if (/^55\d{10,11}$/.test(digits)) digits = digits.slice(2);
+    if (/^0\d{10,11}$/.test(digits)) digits = digits.slice(1);
+    return digits;
+}
+
+// Mesmo critério do antigo Student.isActive: qualquer valor diferente de desligado conta como ativo
+function toStatus(value) {
+    return !INACTIVE_VALUES.includes(String(value).toLowerCase());
+}
+
+// Estimativa: hoje, tantos anos atrás
+function birthDateFromAge(age) {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    date.setUTCFullYear(date.getUTCFullYear() - age);
+    return date;
+}
+
+function ageFromBirthDate(birthDate) {
+    const today = new Date();
+    const age = today.getUTCFullYear() - birthDate.getUTCFullYear();
+    const hadBirthday = today.getUTCMonth() > birthDate.getUTCMonth()
+        || (today.getUTCMonth() === birthDate.getUTCMonth() && today.getUTCDate() >= birthDate.getUTCDate());
+    return hadBirthday ? age : age - 1;
+}
+
+// Alterações de um documento; campos que não puderam ser convertidos são informados em log
+function contactChanges(doc, fields, log, collection) {
+    const $set = {};
+
+    if (fields.phone && doc[fields.phone] !== undefined && doc[fields.phone] !== null) {
+        const phone = normalizePhone(doc[fields.phone]);
+        if (phone !== doc[fields.phone]) $set[fields.phone] = phone;
+        if (!/^[1-9]{2}(?:9\d{8}|[2-5]\d{7})$/.test(phone)) {
+            log(`${collection} ${doc._id}: telefone "${doc[fields.phone]}" inválido, corrija manualmente`);
+        }
+    }
+    if (fields.email && typeof doc[fields.email] === 'string') {
+        const email = doc[fields.email].trim().toLowerCase();
+        if (email !== doc[fields.email]) $set[fields.email] = email;
+    }
+    if (fields.status && typeof doc[fields.status] === 'string') {
+        $set[fields.status] = toStatus(doc[fields.status]);
+    }
+    return $set;
+}
+
+async function convertStudentAges(db, log) {
+    const students = db.collection('students');
+    const cursor = students.find({ studentsAge: { $exists: true }, studentsBirthDate: { $exists: false } });
+
+    let converted = 0;
+    for await (const student of cursor) {
+        const age = parseInt(student.studentsAge, 10);
+        if (isNaN(age) || age < 0) {
+            log(`students ${student._id}: idade "${student.studentsAge}" inválida, informe a data de nascimento manualmente`);
+            continue;
+        }
+        await students.updateOne(
+            { _id: student._id },
+            { $set: { studentsBirthDate: birthDateFromAge(age) }, $unset: { studentsAge: '' } }
+        );
+        converted++;
+    }
+    log(`${converted} idade(s) convertida(s) em data de nascimento estimada`);
+}
+
+async function normalizeContacts(db, log) {
+    for (const [name, fields] of Object.entries(CONTACT_FIELDS)) {
+        const collection = db.collection(name);
+        let changed = 0;
+
+        for await (const doc of collection.find({})) {
+            const $set = contactChanges(doc, fields, log, name);
+            if (Object.keys($set).length === 0) continue;
+            await collection.updateOne({ _id: doc._id }, { $set });
+            changed++;
+        }
+        log(`${name}: ${changed} registro(s) normalizado(s)`);
+    }
+}
+
+async function convertEventDates(db, log) {
+    const events = db.collection('events');
+    const result = await events.updateMany(
+        { date: { $type: 'string' } },
+        [{ $set: { date: { $convert: { input: '$date', to: 'date', onError: '$date' } } } }]
+    );
+    log(`${result.modifiedCount} data(s) de evento convertida(s)`);
+
+    for await (const event of events.find({ date: { $type: 'string' } }, { projection: { date: 1 } })) {
+        log(`events ${event._id}: data "${event.date}" inválida, corrija manualmente`);
+    }
+}
+
+// Os índices únicos não podem ser criados com valores repetidos; nesse caso a migração para e lista os registros
+async function createUserIndexes(db) {
+    const users = db.collection('users');
+
+    const duplicates = [];
+    for (const { key } of USER_INDEXES) {
+        const [field] = Object.keys(key);
+        const groups = await users.aggregate([
+            { $group: { _id: `$${field}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } }
+        ]).toArray();
+        for (const group of groups) {
+            duplicates.push(`${field} "${group._id}" nos usuários ${group.ids.join(', ')}`);
+        }
+    }
+    if (duplicates.length > 0) {
+        throw new Error(`Valores repetidos impedem a criação dos índices únicos; corrija e rode de novo:\n  ${duplicates.join('\n  ')}`);
+    }
+
+    for (const { key, name } of USER_INDEXES) {
+        await users.createIndex(key, { name, unique: true });
+    }
+}
+
+module.exports = {
+    description: 'Data de nascimento dos estudantes, status booleano, telefones e e-mails normalizados, data dos eventos como Date e índices únicos dos usuários',
+
+    async up({ db, log }) {
+        await convertStudentAges(db, log);
+        await normalizeContacts(db, log);
+        await convertEventDates(db, log);
+        await createUserIndexes(db);
+    },
+
+    // Telefones e e-mails continuam normalizados: o formato original não foi guardado
+    async down({ db, log }) {
+        const students = db.collection('students');
+        for await (const student of students.find({ studentsBirthDate: { $type: 'date' } })) {
+            await students.updateOne(
+                { _id: student._id },
+                {
+                    $set: { studentsAge: String(ageFromBirthDate(student.studentsBirthDate)) },
+                    $unset: { studentsBirthDate: '' }
+                }
+            );
+        }
+        await students.updateMany({ studentsStatus: true }, { $set: { studentsStatus: 'on' } });
+        await students.updateMany({ studentsStatus: false }, { $set: { studentsStatus: 'off' } });
+
+        await db.collection('events').updateMany(
+            { date: { $type: 'date' } },
+            [{ $set: { date: { $dateToString: { date: '$date', format: '%Y-%m-%dT%H:%M:%S.%LZ' } } } }]
+        );
+
+        const users = db.collection('users');
+        for (const { name } of USER_INDEXES) {
+            if (await users.indexExists(name)) await users.dropIndex(name);
+        }
+        log('Estudantes voltaram a ter idade e status em texto; telefones e e-mails continuam normalizados');
+    }
+};
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const recurrenceSchema = require('./recurrenceSchema');
+const softDelete = require('./softDelete');
+
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_DURATION_MINUTES = 480;
+
+const APPOINTMENT_STATUS = {
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show'
+};
+
+// Para quais status cada status pode avançar; completed, cancelled e no_show são finais
+const STATUS_TRANSITIONS = {
+    [APPOINTMENT_STATUS.SCHEDULED]: [APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+    [APPOINTMENT_STATUS.CONFIRMED]: [APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW],
+    [APPOINTMENT_STATUS.COMPLETED]: [],
+    [APPOINTMENT_STATUS.CANCELLED]: [],
+    [APPOINTMENT_STATUS.NO_SHOW]: []
+};
+
+// Registro de cada alteração feita no agendamento
+const historySchema = new mongoose.Schema({
+    action: { type: String, required: true },  // created, updated ou o novo status
+    fromStatus: String,
+    toStatus: String,
+    reason: String,
+    changedFields: [String],
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Definição do Schema do Agendamento
+const appointmentsSchema = new mongoose.Schema({
+    appointmentId: String,
+    appointmentSpeciality: String,
+    appointmentComments: String,
+    appointmentDate: { type: Date },  // Alterado para tipo Date
+    appointmentDuration: { type: Number, default: DEFAULT_DURATION_MINUTES, min: 1, max: MAX_DURATION_MINUTES },  // Em minutos
+    appointmentStudent: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    appointmentProfessional: { type: mongoose.Schema.Types.ObjectId, ref: 'Professional' },
+    appointmentStatus: { type: String, enum: Object.values(APPOINTMENT_STATUS), default: APPOINTMENT_STATUS.SCHEDULED },
+    appointmentHistory: [historySchema],
+    appointmentSeriesId: { type: mongoose.Schema.Types.ObjectId, index: true },  // Agendamentos recorrentes da mesma série
+    appointmentRecurrence: recurrenceSchema,
+    appointment_create_date: { type: Date, default: Date.now }
+});
+
+// Agendamentos cancelados não ocupam horário
+const OCCUPYING_FILTER = { appointmentStatus: { $ne: APPOINTMENT_STATUS.CANCELLED } };
+
+appointmentsSchema.methods.getEndDate = function () {
+    return new Date(this.appointmentDate.getTime() + this.appointmentDuration * 60000);
+};
+
+appointmentsSchema.methods.canTransitionTo = function (status) {
+    const current = this.appointmentStatus || APPOINTMENT_STATUS.SCHEDULED;
+    return (STATUS_TRANSITIONS[current] || []).includes(status);
+};
+
+// Muda o status registrando a transição no histórico (não salva o documento)
+appointmentsSchema.methods.transitionTo = function (status, { userId, reason } = {}) {
+    const fromStatus = this.appointmentStatus || APPOINTMENT_STATUS.SCHEDULED;
+    this.appointmentStatus = status;
+    this.appointmentHistory.push({ action: status, fromStatus, toStatus: status, reason, changedBy: userId });
+};
+
+// Procura um agendamento do mesmo aluno ou do mesmo profissional que se sobreponha ao período informado.
+// Como nenhum atendimento passa de MAX_DURATION_MINUTES, basta olhar os que começam dentro dessa janela.
+appointmentsSchema.statics.findConflict = async function ({ start, duration, student, professional, excludeId }) {
+    const end = new Date(start.getTime() + duration * 60000);
+    const earliestStart = new Date(start.getTime() - MAX_DURATION_MINUTES * 60000);
+
+    const filter = {
+        ...OCCUPYING_FILTER,
+        appointmentDate: { $gt: earliestStart, $lt: end },
+        $or: [{ appointmentStudent: student }, { appointmentProfessional: professional }]
+    };
+    if (excludeId) filter._id = { $nin: [].concat(excludeId) };  // Um ID ou uma lista de IDs
+
+    const candidates = await this.find(filter).sort({ appointmentDate: 1 });
+    return candidates.find(candidate => candidate.getEndDate() > start) || null;
+};
+
+// Intervalos ocupados pelos agendamentos que atendem ao filtro e se sobrepõem ao período [from, to)
+appointmentsSchema.statics.findBusyIntervals = async function (filter, from, to) {
+    const earliestStart = new Date(from.getTime() - MAX_DURATION_MINUTES * 60000);
+    const appointments = await this.find({ ...OCCUPYING_FILTER, ...filter, appointmentDate: { $gt: earliestStart, $lt: to } });
+
+    return appointments
+        .map(appointment => ({ start: appointment.appointmentDate, end: appointment.getEndDate() }))
+        .filter(interval => interval.end > from);
+};
+
+// Agendamentos ainda em aberto (agendados ou confirmados) a partir de agora que atendem ao filtro
+appointmentsSchema.statics.findUpcoming = function (filter) {
+    return this.find({
+        ...filter,
+        appointmentDate: { $gte: new Date() },
+        appointmentStatus: { $in: [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED] }
+    }).sort({ appointmentDate: 1 });
+};
+
+// Cancela os agendamentos informados, registrando o motivo no histórico de cada um.
+// Retorna a lista de { before, after } de cada agendamento, para a auditoria.
+appointmentsSchema.statics.cancelAll = async function (appointments, { userId, reason }) {
+    const changes = [];
+    for (const appointment of appointments) {
+        const before = appointment.toObject({ depopulate: true });
+        appointment.transitionTo(APPOINTMENT_STATUS.CANCELLED, { userId, reason });
+        appointment.increment();
+        await appointment.save();
+        changes.push({ before, after: appointment });
+    }
+    return changes;
+};
+
+appointmentsSchema.plugin(softDelete);
+
+// Modelo de Agendamento
+module.exports = mongoose.model('Appointment', appointmentsSchema);
+module.exports.DEFAULT_DURATION_MINUTES = DEFAULT_DURATION_MINUTES;
+module.exports.MAX_DURATION_MINUTES = MAX_DURATION_MINUTES;
+module.exports.APPOINTMENT_STATUS = APPOINTMENT_STATUS;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Avaliação (prova, trabalho, participação...) de uma disciplina em uma turma, em um período do ano letivo.
+// A nota de cada estudante fica em Grade; a média do período é ponderada pelo peso das avaliações.
+const assessmentSchema = new mongoose.Schema({
+    assessmentTitle: { type: String, required: true, trim: true },
+    assessmentClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+    assessmentDiscipline: { type: mongoose.Schema.Types.ObjectId, ref: 'Discipline', required: true },
+    assessmentTeacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },  // Professor da disciplina na turma ao cadastrar
+    assessmentSchoolYear: { type: Number, required: true },  // Copiado da turma
+    assessmentTerm: { type: Number, required: true, min: 1 },  // Bimestre, trimestre... conforme GradingPolicy
+    assessmentWeight: { type: Number, default: 1, min: 0 },
+    assessmentMaxScore: { type: Number, default: 10, min: 1 },
+    assessmentDate: Date,
+    assessment_create_date: { type: Date, default: Date.now }
+});
+
+assessmentSchema.index({ assessmentClass: 1, assessmentDiscipline: 1, assessmentTerm: 1 });
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_STATUS = {
+    PRESENT: 'present',
+    ABSENT: 'absent',
+    LATE: 'late',
+    JUSTIFIED: 'justified'  // Falta justificada (atestado, por exemplo): não conta contra o estudante
+};
+
+const ATTENDANCE_TYPES = {
+    DAILY: 'daily',              // Chamada do dia na turma
+    LESSON: 'lesson',            // Chamada de uma aula da grade
+    APPOINTMENT: 'appointment'   // Comparecimento a um agendamento, registrado ao concluí-lo
+};
+
+// Presença de um estudante em um dia: na turma, em uma aula ou em um agendamento.
+// attendanceDate guarda só o dia (meia-noite UTC), ver utils/attendance.js.
+const attendanceSchema = new mongoose.Schema({
+    attendanceStudent: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    attendanceDate: { type: Date, required: true },
+    attendanceType: { type: String, enum: Object.values(ATTENDANCE_TYPES), required: true },
+    attendanceStatus: { type: String, enum: Object.values(ATTENDANCE_STATUS), required: true },
+    attendanceClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    attendanceLesson: { type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' },
+    attendanceAppointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+    attendanceNote: String,  // Justificativa ou observação
+    attendanceRecordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    attendance_create_date: { type: Date, default: Date.now }
+});
+
+// Um registro por estudante e dia na chamada da turma, em cada aula e em cada agendamento
+// (os campos ausentes entram no índice como null)
+attendanceSchema.index(
+    { attendanceStudent: 1, attendanceDate: 1, attendanceLesson: 1, attendanceAppointment: 1 },
+    { unique: true }
+);
+attendanceSchema.index({ attendanceClass: 1, attendanceDate: 1 });
+
+// Contagem dos registros que atendem ao filtro, por estudante e status: Map(id do estudante => { present, absent, ... }).
+// O filtro vai direto para o aggregate, então os IDs precisam ser ObjectId.
+attendanceSchema.statics.countByStudent = async function (filter) {
+    const groups = await this.aggregate([
+        { $match: filter },
+        { $group: { _id: { student: '$attendanceStudent', status: '$attendanceStatus' }, count: { $sum: 1 } } }
+    ]);
+
+    const counts = new Map();
+    for (const { _id, count } of groups) {
+        const key = String(_id.student);
+        if (!counts.has(key)) counts.set(key, {});
+        counts.get(key)[_id.status] = count;
+    }
+    return counts;
+};
+
+// Registra (ou corrige) o comparecimento do estudante a um agendamento concluído ou em que ele faltou.
+// Retorna { before, after } para a auditoria, ou null se o agendamento não tem estudante ou data.
+attendanceSchema.statics.recordAppointment = async function (appointment, status, { userId, day }) {
+    if (!appointment.appointmentStudent || !appointment.appointmentDate) return null;
+
+    const attendance = await this.findOne({ attendanceAppointment: appointment._id });
+    if (attendance) {
+        const before = attendance.toObject({ depopulate: true });
+        attendance.attendanceStatus = status;
+        attendance.attendanceRecordedBy = userId;
+        attendance.increment();
+        await attendance.save();
+        return { before, after: attendance };
+    }
+
+    const created = await this.create({
+        attendanceStudent: appointment.appointmentStudent,
+        attendanceDate: day,
+        attendanceType: ATTENDANCE_TYPES.APPOINTMENT,
+        attendanceStatus: status,
+        attendanceAppointment: appointment._id,
+        attendanceRecordedBy: userId
+    });
+    return { before: null, after: created };
+};
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
+module.exports.ATTENDANCE_STATUS = ATTENDANCE_STATUS;
+module.exports.ATTENDANCE_TYPES = ATTENDANCE_TYPES;
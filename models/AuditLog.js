@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',    // Movido para a lixeira
+    RESTORE: 'restore',  // Retirado da lixeira
+    PURGE: 'purge'       // Excluído definitivamente
+};
+
+// Um campo alterado: valor anterior e novo (null quando o campo não existia ou deixou de existir)
+const changeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Registro de auditoria de uma alteração feita pela API (ver utils/audit.js)
+const auditLogSchema = new mongoose.Schema({
+    auditResource: { type: String, required: true },  // Nome do recurso, como nas rotas (students, appointments...)
+    auditDocument: { type: mongoose.Schema.Types.ObjectId, required: true },
+    auditAction: { type: String, enum: Object.values(AUDIT_ACTIONS), required: true },
+    auditActor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    auditChanges: [changeSchema],
+    auditMethod: String,
+    auditPath: String,
+    auditRequestId: String,  // Mesmo valor do cabeçalho X-Request-Id da requisição
+    audit_create_date: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ auditResource: 1, audit_create_date: -1 });
+auditLogSchema.index({ auditActor: 1, audit_create_date: -1 });
+auditLogSchema.index({ auditDocument: 1, audit_create_date: -1 });
+
+// O log só recebe novos registros: alterar ou apagar um registro existente é sempre um erro
+function rejectChange() {
+    throw new Error('O log de auditoria não pode ser alterado');
+}
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) rejectChange();
+});
+
+auditLogSchema.pre([
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'deleteOne',
+    'deleteMany'
+], rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+
+const CLASS_SHIFTS = {
+    MORNING: 'morning',
+    AFTERNOON: 'afternoon',
+    EVENING: 'evening',
+    FULL_TIME: 'full_time'
+};
+
+// Turma: um grupo de estudantes de uma série, em um ano letivo e turno
+const classSchema = new mongoose.Schema({
+    className: { type: String, required: true, trim: true },  // Ex.: 5º ano A
+    classGradeLevel: { type: String, required: true, trim: true },  // Série, ex.: 5º ano
+    classSchoolYear: { type: Number, required: true, min: 2000, max: 2100 },
+    classShift: { type: String, enum: Object.values(CLASS_SHIFTS), required: true },
+    classCapacity: { type: Number, min: 1 },  // Vagas; sem valor, a turma não tem limite
+    classRoom: String,
+    classStatus: { type: Boolean, default: true },
+    class_create_date: { type: Date, default: Date.now }
+});
+
+classSchema.index({ className: 1, classSchoolYear: 1 }, { unique: true });
+
+classSchema.methods.isActive = function () {
+    return this.classStatus === true;
+};
+
+classSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Class', classSchema);
+module.exports.CLASS_SHIFTS = CLASS_SHIFTS;
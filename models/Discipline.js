@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+
+// Catálogo de disciplinas; quem ensina cada uma em cada turma fica em TeachingAssignment
+const disciplineSchema = new mongoose.Schema({
+    disciplineName: { type: String, required: true, trim: true, unique: true },
+    disciplineCode: { type: String, trim: true, uppercase: true, unique: true, sparse: true },  // Sigla, ex.: MAT
+    disciplineDescription: String,
+    disciplineWorkload: { type: Number, min: 1 },  // Carga horária anual, em horas
+    disciplineStatus: { type: Boolean, default: true },
+    discipline_create_date: { type: Date, default: Date.now }
+});
+
+disciplineSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Discipline', disciplineSchema);
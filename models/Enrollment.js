@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const ENROLLMENT_STATUS = {
+    ACTIVE: 'active',
+    TRANSFERRED: 'transferred',  // Mudou de turma ou de escola
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed'       // Concluiu o ano letivo
+};
+
+// Matrícula de um estudante em uma turma. Encerrar a matrícula muda o status e guarda a data,
+// então o histórico de turmas do estudante fica preservado.
+const enrollmentSchema = new mongoose.Schema({
+    enrollmentStudent: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    enrollmentClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+    enrollmentSchoolYear: { type: Number, required: true },  // Copiado da turma, para a regra de uma matrícula ativa por ano
+    enrollmentStatus: { type: String, enum: Object.values(ENROLLMENT_STATUS), default: ENROLLMENT_STATUS.ACTIVE },
+    enrollmentStartDate: { type: Date, default: Date.now },
+    enrollmentEndDate: Date,
+    enrollmentEndReason: String,
+    enrollment_create_date: { type: Date, default: Date.now }
+});
+
+// Um estudante só tem uma matrícula ativa por ano letivo
+enrollmentSchema.index(
+    { enrollmentStudent: 1, enrollmentSchoolYear: 1 },
+    { unique: true, partialFilterExpression: { enrollmentStatus: ENROLLMENT_STATUS.ACTIVE } }
+);
+enrollmentSchema.index({ enrollmentClass: 1, enrollmentStatus: 1 });
+
+// Encerra as matrículas informadas com o status e o motivo dados.
+// Retorna a lista de { before, after } de cada matrícula, para a auditoria.
+enrollmentSchema.statics.endAll = async function (enrollments, { status, reason }) {
+    const changes = [];
+    for (const enrollment of enrollments) {
+        const before = enrollment.toObject({ depopulate: true });
+        enrollment.enrollmentStatus = status;
+        enrollment.enrollmentEndDate = new Date();
+        enrollment.enrollmentEndReason = reason;
+        enrollment.increment();
+        await enrollment.save();
+        changes.push({ before, after: enrollment });
+    }
+    return changes;
+};
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
+module.exports.ENROLLMENT_STATUS = ENROLLMENT_STATUS;
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const recurrenceSchema = require('./recurrenceSchema');
+const softDelete = require('./softDelete');
+
+const eventSchema = new mongoose.Schema({
+    description: { type: String, required: true },
+    date: { type: Date, required: true },
+    comments: { type: String, required: true },
+    seriesId: { type: mongoose.Schema.Types.ObjectId, index: true },  // Eventos recorrentes da mesma série
+    recurrence: recurrenceSchema
+});
+
+eventSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Nota de um estudante em uma avaliação
+const gradeSchema = new mongoose.Schema({
+    gradeAssessment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assessment', required: true },
+    gradeStudent: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    gradeScore: { type: Number, required: true, min: 0 },  // Até assessmentMaxScore
+    gradeNote: String,
+    gradeRecordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    grade_create_date: { type: Date, default: Date.now }
+});
+
+gradeSchema.index({ gradeAssessment: 1, gradeStudent: 1 }, { unique: true });
+gradeSchema.index({ gradeStudent: 1 });
+
+module.exports = mongoose.model('Grade', gradeSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Regras de cálculo das médias de um ano letivo. Anos sem regra cadastrada usam os valores padrão
+// (4 bimestres de mesmo peso, notas de 0 a 10, média 6 e frequência mínima de 75%).
+const gradingPolicySchema = new mongoose.Schema({
+    gradingSchoolYear: { type: Number, required: true, unique: true, min: 2000, max: 2100 },
+    gradingTerms: { type: Number, default: 4, min: 1, max: 6 },  // 4 = bimestres, 3 = trimestres, 2 = semestres
+    gradingTermWeights: [Number],  // Peso de cada período na média final; vazio = pesos iguais
+    gradingMaxScore: { type: Number, default: 10, min: 1 },  // Escala das médias
+    gradingPassingGrade: { type: Number, default: 6, min: 0 },
+    gradingMinimumAttendance: { type: Number, default: 75, min: 0, max: 100 },  // Em %
+    gradingDecimals: { type: Number, default: 1, min: 0, max: 2 },  // Casas decimais das médias
+    grading_create_date: { type: Date, default: Date.now }
+});
+
+// Peso de cada período (1 a gradingTerms)
+gradingPolicySchema.methods.termWeights = function () {
+    if (this.gradingTermWeights && this.gradingTermWeights.length === this.gradingTerms) return [...this.gradingTermWeights];
+    return Array(this.gradingTerms).fill(1);
+};
+
+// Regra do ano letivo, ou a regra padrão (não salva) quando o ano não tem uma cadastrada
+gradingPolicySchema.statics.forYear = async function (schoolYear) {
+    return (await this.findOne({ gradingSchoolYear: schoolYear })) || new this({ gradingSchoolYear: schoolYear });
+};
+
+module.exports = mongoose.model('GradingPolicy', gradingPolicySchema);
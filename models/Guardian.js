@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+const { phoneField, emailField, cpfField } = require('../utils/contact');
+
+// Responsável por estudantes. O parentesco e a guarda ficam no vínculo com cada estudante (models/Guardianship.js),
+// já que o mesmo responsável pode ter papéis diferentes para cada um
+const guardianSchema = new mongoose.Schema({
+    guardianName: { type: String, required: true, trim: true },
+    guardianDocument: { ...cpfField, unique: true, sparse: true },  // CPF
+    guardianPhones: {
+        type: [phoneField],
+        validate: { validator: phones => phones.length > 0, message: 'Informe ao menos um telefone' }
+    },
+    guardianEmail: { ...emailField },
+    guardianNotes: String,
+    guardian_create_date: { type: Date, default: Date.now }
+});
+
+guardianSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Guardian', guardianSchema);
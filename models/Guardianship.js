@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const GUARDIAN_RELATIONSHIPS = {
+    MOTHER: 'mother',
+    FATHER: 'father',
+    STEPMOTHER: 'stepmother',
+    STEPFATHER: 'stepfather',
+    GRANDPARENT: 'grandparent',
+    SIBLING: 'sibling',
+    UNCLE_AUNT: 'uncle_aunt',
+    LEGAL_GUARDIAN: 'legal_guardian',  // Tutor ou guardião nomeado pela justiça
+    OTHER: 'other'
+};
+
+// Vínculo de um responsável com um estudante. Como as atribuições de professores, é só uma ligação entre os
+// cadastros: ao ser removido, é excluído de fato (sem lixeira), e a auditoria guarda o registro anterior.
+const guardianshipSchema = new mongoose.Schema({
+    guardianshipStudent: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    guardianshipGuardian: { type: mongoose.Schema.Types.ObjectId, ref: 'Guardian', required: true },
+    guardianshipRelationship: { type: String, enum: Object.values(GUARDIAN_RELATIONSHIPS), required: true },
+    guardianshipLegalCustody: { type: Boolean, default: false },  // Detém a guarda legal do estudante
+    guardianshipPrimary: { type: Boolean, default: false },       // Contato principal, que recebe os avisos
+    guardianshipCanPickUp: { type: Boolean, default: false },     // Autorizado a buscar o estudante na escola
+    guardianship_create_date: { type: Date, default: Date.now }
+});
+
+guardianshipSchema.index({ guardianshipStudent: 1, guardianshipGuardian: 1 }, { unique: true });
+guardianshipSchema.index({ guardianshipGuardian: 1 });
+// Cada estudante tem um único contato principal
+guardianshipSchema.index({ guardianshipStudent: 1 }, { unique: true, partialFilterExpression: { guardianshipPrimary: true } });
+
+module.exports = mongoose.model('Guardianship', guardianshipSchema);
+module.exports.GUARDIAN_RELATIONSHIPS = GUARDIAN_RELATIONSHIPS;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Aula semanal: a disciplina de uma turma, com o professor atribuído, em um dia da semana e período.
+// Turma, professor, disciplina, ano letivo e horário são copiados da atribuição e do período,
+// para que a verificação de choques de horário seja uma só consulta.
+const lessonSchema = new mongoose.Schema({
+    lessonAssignment: { type: mongoose.Schema.Types.ObjectId, ref: 'TeachingAssignment', required: true },
+    lessonClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+    lessonTeacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+    lessonDiscipline: { type: mongoose.Schema.Types.ObjectId, ref: 'Discipline', required: true },
+    lessonSchoolYear: { type: Number, required: true },
+    lessonWeekday: { type: Number, required: true, min: 0, max: 6 },  // 0 = domingo
+    lessonPeriod: { type: mongoose.Schema.Types.ObjectId, ref: 'Period', required: true },
+    lessonStart: { type: String, required: true },  // HH:mm
+    lessonEnd: { type: String, required: true },
+    lesson_create_date: { type: Date, default: Date.now }
+});
+
+// Uma turma tem uma aula por período; o índice garante isso mesmo com requisições simultâneas
+lessonSchema.index({ lessonClass: 1, lessonWeekday: 1, lessonPeriod: 1 }, { unique: true });
+lessonSchema.index({ lessonTeacher: 1, lessonSchoolYear: 1, lessonWeekday: 1 });
+lessonSchema.index({ lessonAssignment: 1 });
+
+// Aulas que ocupam a turma ou o professor no mesmo dia e em horário sobreposto ao da aula informada.
+// Os horários "HH:mm" são comparados como texto.
+lessonSchema.statics.findClashes = function ({ lessonClass, lessonTeacher, lessonSchoolYear, lessonWeekday, lessonStart, lessonEnd }, excludeId) {
+    const filter = {
+        lessonSchoolYear,
+        lessonWeekday,
+        lessonStart: { $lt: lessonEnd },
+        lessonEnd: { $gt: lessonStart },
+        $or: [{ lessonClass }, { lessonTeacher }]
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return this.find(filter).sort({ lessonStart: 1 });
+};
+
+module.exports = mongoose.model('Lesson', lessonSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Migração já aplicada ao banco (ver scripts/migrate.js); o nome é o do arquivo em migrations/, sem o .js
+const migrationSchema = new mongoose.Schema({
+    migrationName: { type: String, required: true, unique: true },
+    migrationDescription: String,
+    migration_applied_date: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
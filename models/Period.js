@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const { CLASS_SHIFTS } = require('./Class');
+
+// Horário de aula de um turno, ex.: 2ª aula da manhã, das 08:20 às 09:10.
+// Os horários das aulas cadastradas são copiados daqui; com aulas, o horário do período não pode mudar.
+const periodSchema = new mongoose.Schema({
+    periodShift: { type: String, enum: Object.values(CLASS_SHIFTS), required: true },
+    periodNumber: { type: Number, required: true, min: 1 },  // Ordem no turno
+    periodStart: { type: String, required: true },  // HH:mm
+    periodEnd: { type: String, required: true },
+    period_create_date: { type: Date, default: Date.now }
+});
+
+periodSchema.index({ periodShift: 1, periodNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Period', periodSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+const { phoneField, emailField } = require('../utils/contact');
+
+// Definindo o schema do Mongoose para profissionais
+const professionalSchema = new mongoose.Schema({
+    professionalName: String,
+    professionalSpeciality: String,
+    professionalEmail: { ...emailField },
+    professionalPhone: { ...phoneField },
+    professionalStatus: Boolean,
+    // Janelas de atendimento semanais, ex.: { weekday: 1, start: '08:00', end: '12:00' } (0 = domingo)
+    professionalAvailability: [{
+        _id: false,
+        weekday: { type: Number, min: 0, max: 6, required: true },
+        start: { type: String, required: true },
+        end: { type: String, required: true }
+    }],
+    // Períodos em que o profissional não atende (férias, licenças, folgas)
+    professionalBlockedPeriods: [{
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        reason: String
+    }],
+    professional_create_date: { type: Date, default: Date.now }
+});
+
+professionalSchema.methods.isActive = function () {
+    return this.professionalStatus === true;
+};
+
+professionalSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Professional', professionalSchema);
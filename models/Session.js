@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Sessão de login: guarda o hash do refresh token e permite revogar os tokens emitidos
+const sessionSchema = new mongoose.Schema({
+    sessionUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    sessionRefreshTokenHash: { type: String, required: true },
+    sessionExpiresAt: { type: Date, required: true },
+    sessionRevokedAt: { type: Date, default: null },
+    session_create_date: { type: Date, default: Date.now }
+});
+
+// Remove automaticamente do banco as sessões expiradas
+sessionSchema.index({ sessionExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.sessionRevokedAt && this.sessionExpiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+const { phoneField } = require('../utils/contact');
+
+// Definindo o Schema do Estudante
+const studentSchema = new mongoose.Schema({
+  studentsName: { type: String, required: true },
+  studentsBirthDate: {
+    type: Date,
+    required: true,
+    validate: { validator: date => date <= new Date(), message: 'A data de nascimento não pode estar no futuro' }
+  },
+  studentsPhone_number: { ...phoneField, required: true },
+  studentsStatus: { type: Boolean, required: true },  // true = ativo, como nos demais cadastros
+  studentsCreate_date: { type: Date, default: Date.now }
+}, {
+  id: false,
+  toJSON: { virtuals: true }
+});
+
+// Idade em anos completos, calculada a partir da data de nascimento (só leitura)
+studentSchema.virtual('studentsAge').get(function () {
+  if (!this.studentsBirthDate) return undefined;
+
+  const today = new Date();
+  const birth = this.studentsBirthDate;
+  const age = today.getUTCFullYear() - birth.getUTCFullYear();
+  const hadBirthday = today.getUTCMonth() > birth.getUTCMonth()
+    || (today.getUTCMonth() === birth.getUTCMonth() && today.getUTCDate() >= birth.getUTCDate());
+  return hadBirthday ? age : age - 1;
+});
+
+studentSchema.methods.isActive = function () {
+  return this.studentsStatus === true;
+};
+
+studentSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Student', studentSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete');
+const { phoneField, emailField } = require('../utils/contact');
+
+const teachersSchema = new mongoose.Schema({
+    teacherName: String,
+    teacherSchoolDisciplines: String,
+    teacherContact: { ...emailField },  // E-mail do professor
+    teacherPhone: { ...phoneField },
+    teacherStatus: Boolean,
+    teacher_create_date: { type: Date, default: Date.now }
+});
+
+teachersSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Teacher', teachersSchema);
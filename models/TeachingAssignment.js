@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Professor responsável por uma disciplina em uma turma. É só uma ligação entre os cadastros:
+// ao ser removida, é excluída de fato (sem lixeira), e a auditoria guarda o registro anterior.
+const teachingAssignmentSchema = new mongoose.Schema({
+    assignmentTeacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+    assignmentDiscipline: { type: mongoose.Schema.Types.ObjectId, ref: 'Discipline', required: true },
+    assignmentClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+    assignment_create_date: { type: Date, default: Date.now }
+});
+
+// Cada disciplina tem um único professor em cada turma
+teachingAssignmentSchema.index({ assignmentClass: 1, assignmentDiscipline: 1 }, { unique: true });
+teachingAssignmentSchema.index({ assignmentTeacher: 1 });
+
+module.exports = mongoose.model('TeachingAssignment', teachingAssignmentSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { hashPassword, comparePassword } = require('../utils/password');
+const softDelete = require('./softDelete');
+const { emailField } = require('../utils/contact');
+
+const usersSchema = new mongoose.Schema({
+    userName: String,
+    userEmail: { ...emailField, unique: true },
+    userUser: { type: String, trim: true, unique: true },  // Login
+    userLevel: String,
+    userStatus: Boolean,
+    userPassword: { type: String, select: false },  // Guardada apenas como hash, nunca retornada nas consultas
+    userCalendarTokenHash: { type: String, select: false }  // Hash do token de assinatura da agenda (format=ics)
+}, {
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.userPassword;
+            delete ret.userCalendarTokenHash;
+            return ret;
+        }
+    }
+});
+
+// Gera o hash da senha sempre que ela for criada ou alterada
+usersSchema.pre('save', async function () {
+    if (this.isModified('userPassword') && this.userPassword) {
+        this.userPassword = await hashPassword(this.userPassword);
+    }
+});
+
+usersSchema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate();
+    const target = update.$set && update.$set.userPassword !== undefined ? update.$set : update;
+
+    if (target.userPassword) {
+        target.userPassword = await hashPassword(target.userPassword);
+    }
+});
+
+// Confere a senha informada com o hash salvo (o documento precisa ter sido buscado com +userPassword)
+usersSchema.methods.checkPassword = function (password) {
+    return comparePassword(password, this.userPassword);
+};
+
+usersSchema.plugin(softDelete);
+
+module.exports = mongoose.model('User', usersSchema);
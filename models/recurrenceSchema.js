@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utils/recurrence');
+
+// Regra de recorrência usada na criação de uma série (ver utils/recurrence.js)
+module.exports = new mongoose.Schema({
+    frequency: { type: String, enum: FREQUENCIES },
+    interval: Number,
+    until: Date,
+    count: Number,
+    exceptions: [Date]
+}, { _id: false });
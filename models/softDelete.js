@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Operações de consulta e alteração que passam a ignorar os registros na lixeira
+const QUERY_OPERATIONS = [
+    'find',
+    'findOne',
+    'countDocuments',
+    'findOneAndUpdate',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+    'distinct'
+];
+
+// Campos de controle da lixeira. Ficam de fora dos filtros, da ordenação e da seleção de campos das listagens,
+// exceto na própria lixeira (ver utils/trash.js)
+const TRASH_FIELDS = ['deletedAt', 'deletedBy'];
+
+// Plugin de exclusão lógica: o registro excluído recebe deletedAt/deletedBy e some das consultas.
+// Só a opção { withDeleted: true } na query inclui a lixeira; filtrar por deletedAt não basta.
+function softDelete(schema) {
+    schema.add({
+        deletedAt: { type: Date, default: null },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+    });
+
+    schema.pre(QUERY_OPERATIONS, function () {
+        if (this.getOptions().withDeleted) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.methods.isDeleted = function () {
+        return this.deletedAt != null;
+    };
+}
+
+module.exports = softDelete;
+module.exports.TRASH_FIELDS = TRASH_FIELDS;
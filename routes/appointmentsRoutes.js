@@ -4,23 +4,177 @@ const fs = require('fs');
 const path = require('path');
 const router = express.Router();
 const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const { APPOINTMENT_STATUS } = Appointment;
+const Student = require('../models/Student');
+const Professional = require('../models/Professional');
+const Attendance = require('../models/Attendance');
+const { ATTENDANCE_STATUS } = Attendance;
+const { ROLES, canEditField } = require('../config/permissions');
+const { expandRecurrence } = require('../utils/recurrence');
+const { attendanceDay } = require('../utils/attendance');
+const { recipientsForStudents } = require('../utils/guardians');
+const { validateBody } = require('../middlewares/validate');
+const appointmentValidator = require('../validators/appointments');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, bumpVersion, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, moveManyToTrash, registerTrashRoutes } = require('../utils/trash');
+const { AUDIT_ACTIONS, snapshot, recordAudit, recordAuditBatch } = require('../utils/audit');
 
 // Conectar ao MongoDB
 mongoose.connect('mongodb://localhost:27017');
 
-// Definição do Schema do Agendamento
-const appointmentsSchema = new mongoose.Schema({
-    appointmentId: String,
-    appointmentSpeciality: String,
-    appointmentComments: String,
-    appointmentDate: { type: Date },  // Alterado para tipo Date
-    appointmentStudent: String,
-    appointmentProfessional: String,
-    appointment_create_date: { type: Date, default: Date.now }
-});
+// Campos do corpo da requisição e os campos correspondentes do model
+const REQUEST_FIELDS = {
+    specialty: 'appointmentSpeciality',
+    comments: 'appointmentComments',
+    date: 'appointmentDate',
+    duration: 'appointmentDuration',
+    student: 'appointmentStudent',
+    professional: 'appointmentProfessional'
+};
+
+// Status das ocorrências ainda em aberto, que scope=following altera
+const OPEN_STATUSES = [APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CONFIRMED];
+
+// Confere se o aluno e o profissional informados existem e estão ativos (os não informados são ignorados).
+// Retorna a lista de erros por campo (vazia quando está tudo certo).
+async function checkParticipants(studentId, professionalId) {
+    const [student, professional] = await Promise.all([
+        studentId !== undefined ? Student.findById(studentId) : null,
+        professionalId !== undefined ? Professional.findById(professionalId) : null
+    ]);
+
+    const details = [];
+    if (studentId !== undefined) {
+        if (!student) details.push({ field: 'student', message: 'Estudante não encontrado' });
+        else if (!student.isActive()) details.push({ field: 'student', message: 'Estudante está inativo' });
+    }
+    if (professionalId !== undefined) {
+        if (!professional) details.push({ field: 'professional', message: 'Profissional não encontrado' });
+        else if (!professional.isActive()) details.push({ field: 'professional', message: 'Profissional está inativo' });
+    }
+    return details;
+}
+
+// Verifica se o horário está livre para o aluno e o profissional.
+// Retorna o erro a ser enviado (403 ou 409), ou null quando o agendamento pode ser salvo.
+async function checkSchedule(req, { date, duration, student, professional, excludeId }) {
+    // Somente administradores podem forçar um agendamento em horário ocupado
+    if (req.body.force === true) {
+        if (req.user.level !== ROLES.ADMIN) {
+            return new ForbiddenError('Apenas administradores podem forçar um agendamento');
+        }
+        return null;
+    }
+
+    const conflict = await Appointment.findConflict({ start: date, duration, student, professional, excludeId });
+    if (!conflict) return null;
+
+    const sameProfessional = String(conflict.appointmentProfessional) === String(professional);
+    return new ConflictError(
+        sameProfessional
+            ? 'O profissional já possui um agendamento neste horário'
+            : 'O estudante já possui um agendamento neste horário',
+        {
+            occurrenceDate: date,
+            conflictingAppointment: {
+                _id: conflict._id,
+                appointmentDate: conflict.appointmentDate,
+                appointmentDuration: conflict.appointmentDuration,
+                appointmentStudent: conflict.appointmentStudent,
+                appointmentProfessional: conflict.appointmentProfessional
+            }
+        }
+    );
+}
+
+// Nomes dos campos cujo valor muda entre o documento atual e as alterações recebidas
+function changedFields(current, changes) {
+    return Object.keys(changes).filter(field => {
+        const before = current[field];
+        const after = changes[field];
+        if (before instanceof Date || after instanceof Date) {
+            return new Date(before).getTime() !== new Date(after).getTime();
+        }
+        return String(before) !== String(after);
+    });
+}
+
+// Status do agendamento na agenda exportada em format=ics
+const CALENDAR_STATUS = {
+    [APPOINTMENT_STATUS.SCHEDULED]: 'TENTATIVE',
+    [APPOINTMENT_STATUS.CONFIRMED]: 'CONFIRMED',
+    [APPOINTMENT_STATUS.COMPLETED]: 'CONFIRMED',
+    [APPOINTMENT_STATUS.CANCELLED]: 'CANCELLED',
+    [APPOINTMENT_STATUS.NO_SHOW]: 'CANCELLED'
+};
+
+// Compromisso da agenda: especialidade e aluno no título, profissional e comentários na descrição
+function appointmentCalendarEvent(appointment) {
+    if (!appointment.appointmentDate) return null;
+
+    const student = appointment.appointmentStudent && appointment.appointmentStudent.studentsName;
+    const professional = appointment.appointmentProfessional && appointment.appointmentProfessional.professionalName;
+    return {
+        id: appointment._id,
+        start: appointment.appointmentDate,
+        end: appointment.getEndDate(),
+        summary: [appointment.appointmentSpeciality || 'Atendimento', student].filter(Boolean).join(' - '),
+        description: [professional && `Profissional: ${professional}`, appointment.appointmentComments].filter(Boolean).join('\n'),
+        status: CALENDAR_STATUS[appointment.appointmentStatus],
+        sequence: appointment.__v
+    };
+}
+
+// Concluir o agendamento ou marcar a falta registra o comparecimento do estudante na frequência
+const ATTENDANCE_BY_STATUS = {
+    [APPOINTMENT_STATUS.COMPLETED]: ATTENDANCE_STATUS.PRESENT,
+    [APPOINTMENT_STATUS.NO_SHOW]: ATTENDANCE_STATUS.ABSENT
+};
+
+// Cria a rota que leva o agendamento a um novo status, validando a transição e registrando o histórico
+function transitionHandler(status) {
+    return async (req, res, next) => {
+        const { reason } = req.body;
+
+        try {
+            const appointment = await Appointment.findById(req.params.id);
+            if (!appointment) return next(new NotFoundError('Agendamento não encontrado'));
+            checkIfMatch(req, appointment);
 
-// Modelo de Agendamento
-const Appointment = mongoose.model('Appointment', appointmentsSchema);
+            if (!appointment.canTransitionTo(status)) {
+                return next(new ConflictError(
+                    `Não é possível mudar o agendamento de ${appointment.appointmentStatus} para ${status}`
+                ));
+            }
+
+            const before = snapshot(appointment);
+            appointment.transitionTo(status, { userId: req.user.id, reason });
+            appointment.increment();
+            await appointment.save();
+            await recordAudit(req, 'appointments', AUDIT_ACTIONS.UPDATE, before, appointment);
+
+            if (ATTENDANCE_BY_STATUS[status]) {
+                const change = await Attendance.recordAppointment(appointment, ATTENDANCE_BY_STATUS[status], {
+                    userId: req.user.id,
+                    day: attendanceDay(appointment.appointmentDate)
+                });
+                if (change) {
+                    const action = change.before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE;
+                    await recordAudit(req, 'attendance', action, change.before, change.after);
+                }
+            }
+
+            setETag(res, appointment);
+            res.json(appointment);
+        } catch (err) {
+            next(err);
+        }
+    };
+}
 
 // ** DOCUMENTAÇÃO SWAGGER **
 
@@ -47,18 +201,100 @@ const Appointment = mongoose.model('Appointment', appointmentsSchema);
  *           type: string
  *           format: date-time
  *           description: Data e hora do agendamento
+ *         duration:
+ *           type: integer
+ *           description: Duração do atendimento em minutos (padrão 30, máximo 480)
+ *         force:
+ *           type: boolean
+ *           description: Permite a um administrador agendar mesmo com conflito de horário
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
  *         student:
  *           type: string
- *           description: Nome do aluno
+ *           description: ID do aluno (deve estar ativo)
  *         professional:
  *           type: string
- *           description: Nome do profissional
+ *           description: ID do profissional (deve estar ativo)
+ *         appointmentStatus:
+ *           type: string
+ *           readOnly: true
+ *           enum: [scheduled, confirmed, completed, cancelled, no_show]
+ *           description: Situação do agendamento, alterada pelas rotas de confirmação, conclusão, cancelamento e falta
+ *         appointmentHistory:
+ *           type: array
+ *           readOnly: true
+ *           description: Histórico de alterações do agendamento
+ *           items:
+ *             $ref: '#/components/schemas/AppointmentHistory'
+ *         appointmentSeriesId:
+ *           type: string
+ *           readOnly: true
+ *           description: ID da série, presente nos agendamentos recorrentes
  *       example:
  *         specialty: "Fisioterapeuta"
  *         comments: "Dores no joelho"
  *         date: "2024-05-20T14:30:00Z"
- *         student: "Érick Lúcio"
- *         professional: "Dr. Ricardo"
+ *         duration: 45
+ *         student: "6740c1f2a1b2c3d4e5f60718"
+ *         professional: "6740c1f2a1b2c3d4e5f60719"
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Recurrence:
+ *       type: object
+ *       required:
+ *         - frequency
+ *       description: Regra de recorrência; informe until ou count (no máximo 100 ocorrências)
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval:
+ *           type: integer
+ *           description: Intervalo entre as ocorrências (padrão 1, ex. 2 = a cada duas semanas)
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           description: Data limite da última ocorrência
+ *         count:
+ *           type: integer
+ *           description: Quantidade de ocorrências
+ *         exceptions:
+ *           type: array
+ *           description: Dias (AAAA-MM-DD) em que a ocorrência não deve ser criada
+ *           items:
+ *             type: string
+ *       example:
+ *         frequency: weekly
+ *         interval: 1
+ *         count: 10
+ *         exceptions: ["2024-06-03"]
+ *     AppointmentHistory:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           description: created, updated ou o novo status do agendamento
+ *         fromStatus:
+ *           type: string
+ *         toStatus:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           description: Motivo informado (obrigatório no cancelamento)
+ *         changedFields:
+ *           type: array
+ *           items:
+ *             type: string
+ *         changedBy:
+ *           type: string
+ *           description: ID do usuário que fez a alteração
+ *         changedAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -67,35 +303,259 @@ const Appointment = mongoose.model('Appointment', appointmentsSchema);
  *   get:
  *     summary: Retorna todos os agendamentos
  *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Quando true, inclui os dados do aluno e do profissional no lugar dos IDs
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
  *     responses:
  *       200:
- *         description: Lista de todos os agendamentos
+ *         description: Página da lista de agendamentos
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: "#/components/schemas/Appointments"
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: "#/components/schemas/Appointments"
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Appointment, { defaultSort: 'appointmentDate', reserved: ['populate'] });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
     try {
-        const docs = await Appointment.find();
-        
+        const populate = req.query.populate === 'true' ? ['appointmentStudent', 'appointmentProfessional'] : [];
+
         // Formata a data para o formato correto sem alterar a hora
-        const formattedDocs = docs.map(appointment => {
-            const formattedDate = new Date(appointment.appointmentDate).toISOString().slice(0, 16); 
-            return {
-                ...appointment.toObject(),
-                appointmentDate: formattedDate
-            };
+        const formattedDocs = await paginate(req, Appointment, {}, listOptions, {
+            populate,
+            transform: appointment => {
+                const doc = appointment.toObject();
+                if (!doc.appointmentDate) return doc;
+                return { ...doc, appointmentDate: new Date(doc.appointmentDate).toISOString().slice(0, 16) };
+            }
         });
 
         res.status(200).json(formattedDocs);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /appointments/occurrences:
+ *   get:
+ *     summary: Lista as ocorrências de agendamentos em um período
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: true
+ *         description: Início do período
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: true
+ *         description: Fim do período
+ *       - in: query
+ *         name: seriesId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Restringe às ocorrências de uma série recorrente
+ *     responses:
+ *       200:
+ *         description: Ocorrências do período, em ordem de data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: "#/components/schemas/Appointments"
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/occurrences', async (req, res, next) => {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return next(new BadRequestError('Informe from e to válidos, com from anterior a to'));
+    }
+
+    const filter = { appointmentDate: { $gte: from, $lt: to } };
+    if (req.query.seriesId) {
+        if (!mongoose.isValidObjectId(req.query.seriesId)) return next(new BadRequestError('ID da série inválido'));
+        filter.appointmentSeriesId = req.query.seriesId;
+    }
+
+    try {
+        const docs = await Appointment.find(filter).sort({ appointmentDate: 1 });
+        res.status(200).json(docs);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /appointments/trash:
+ *   get:
+ *     summary: Lista os agendamentos excluídos (lixeira)
+ *     tags: [Appointments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lixeira, dos excluídos mais recentemente para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Appointments'
+ *       403:
+ *         description: Usuário sem permissão para excluir agendamentos
+ *
+ * /appointments/{id}/restore:
+ *   post:
+ *     summary: Restaura um agendamento da lixeira
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *     responses:
+ *       200:
+ *         description: Agendamento restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointments'
+ *       404:
+ *         description: Agendamento não encontrado na lixeira
+ *       409:
+ *         description: O horário do agendamento foi ocupado enquanto ele estava na lixeira
+ *
+ * /appointments/{id}/purge:
+ *   delete:
+ *     summary: Exclui definitivamente um agendamento que está na lixeira (somente administradores)
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *     responses:
+ *       200:
+ *         description: Registro excluído definitivamente
+ *       403:
+ *         description: Apenas administradores podem excluir definitivamente
+ *       404:
+ *         description: Agendamento não encontrado na lixeira
+ */
+// Lixeira: GET /trash, POST /:id/restore e DELETE /:id/purge
+registerTrashRoutes(router, Appointment, {
+    resource: 'appointments',
+    notFoundMessage: 'Agendamento não encontrado',
+    // O agendamento excluído liberou o horário; ao restaurá-lo, o horário precisa continuar livre
+    beforeRestore: async (appointment) => {
+        if (appointment.appointmentStatus === APPOINTMENT_STATUS.CANCELLED) return;
+
+        const conflict = await Appointment.findConflict({
+            start: appointment.appointmentDate,
+            duration: appointment.appointmentDuration,
+            student: appointment.appointmentStudent,
+            professional: appointment.appointmentProfessional,
+            excludeId: appointment._id
+        });
+        if (conflict) {
+            throw new ConflictError('O horário do agendamento foi ocupado por outro agendamento', {
+                conflictingAppointment: { _id: conflict._id, appointmentDate: conflict.appointmentDate }
+            });
+        }
     }
 });
 
+/**
+ * @swagger
+ * /appointments/export:
+ *   get:
+ *     summary: Exporta os agendamentos em CSV, JSON ou iCalendar
+ *     description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação. Com format=ics, retorna um calendário que pode ser assinado em aplicativos de calendário.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ics]
+ *           default: json
+ *         description: Formato do arquivo
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *       - in: query
+ *         name: calendarToken
+ *         schema:
+ *           type: string
+ *         description: Token de agenda (POST /auth/calendar-token), para aplicativos de calendário que não enviam o token de acesso; vale apenas com format=ics
+ *     responses:
+ *       200:
+ *         description: Arquivo com os registros encontrados
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Appointments'
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Formato, filtros ou ordenação inválidos
+ */
+registerExportRoute(router, Appointment, {
+    resource: 'appointments',
+    filename: 'agendamentos',
+    defaultSort: 'appointmentDate',
+    calendarName: 'Agendamentos',
+    toCalendarEvent: appointmentCalendarEvent,
+    populate: ['appointmentStudent', 'appointmentProfessional']
+});
+
 /**
  * @swagger
  * /appointments/{id}:
@@ -109,6 +569,12 @@ router.get('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID do agendamento
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Quando true, inclui os dados do aluno e do profissional no lugar dos IDs
  *     responses:
  *       200:
  *         description: Detalhes do agendamento
@@ -119,20 +585,25 @@ router.get('/', async (req, res) => {
  *       404:
  *         description: Agendamento não encontrado
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
     const id = req.params.id;
     try {
-        const docs = await Appointment.findById(id);
+        let query = Appointment.findById(id);
+        if (req.query.populate === 'true') {
+            query = query.populate('appointmentStudent').populate('appointmentProfessional');
+        }
+        const docs = await query;
         if (!docs) {
-            return res.status(404).json({ message: "Agendamento não encontrado" });
+            return next(new NotFoundError("Agendamento não encontrado"));
         }
 
         const formattedDate = new Date(docs.appointmentDate).toISOString().slice(0, 16);
         const formattedAppointment = { ...docs.toObject(), appointmentDate: formattedDate };
 
+        setETag(res, docs);
         res.json(formattedAppointment);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -148,6 +619,14 @@ router.get('/:id', async (req, res) => {
  *         required: true
  *         type: string
  *         description: ID do agendamento a ser atualizado
+ *       - name: scope
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [this, following]
+ *         description: Em agendamentos recorrentes, following altera também as ocorrências seguintes em aberto (retorna a lista)
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -171,18 +650,24 @@ router.get('/:id', async (req, res) => {
  *                 type: string
  *                 format: date-time
  *                 description: Data e hora do agendamento no formato ISO
+ *               duration:
+ *                 type: integer
+ *                 description: Duração em minutos (mantém a atual se omitida)
+ *               force:
+ *                 type: boolean
+ *                 description: Permite a um administrador agendar mesmo com conflito de horário
  *               student:
  *                 type: string
- *                 description: Nome do aluno
+ *                 description: ID do aluno
  *               professional:
  *                 type: string
- *                 description: Nome do profissional
+ *                 description: ID do profissional
  *           example:
  *             specialty: "Fisioterapeuta"
  *             comments: "Dores no joelho"
  *             date: "2024-05-20T14:30:00Z"
- *             student: "Érick Lúcio"
- *             professional: "Dr. Adalman"
+ *             student: "6740c1f2a1b2c3d4e5f60718"
+ *             professional: "6740c1f2a1b2c3d4e5f60720"
  *     responses:
  *       200:
  *         description: Agendamento atualizado com sucesso
@@ -191,37 +676,175 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Appointments'
  *       400:
- *         description: Erro de validação
+ *         description: Erro de validação, ou aluno/profissional inexistente ou inativo
+ *       403:
+ *         description: Apenas profissionais podem alterar os comentários, ou usuário sem permissão para forçar o agendamento
  *       404:
  *         description: Agendamento não encontrado
+ *       409:
+ *         description: Conflito de horário com outro agendamento do aluno ou do profissional, ou scope=following em uma ocorrência já encerrada (completed, cancelled ou no_show)
+ *       412:
+ *         description: O agendamento foi alterado desde a leitura (If-Match desatualizado)
  */
-router.put('/:id', async (req, res) => {
+// PUT e PATCH compartilham a alteração. No PATCH só os campos enviados mudam; os demais
+// continuam com o valor de cada agendamento (ou de cada ocorrência, com scope=following).
+async function updateAppointment(req, res, next) {
     try {
         const id = req.params.id;
         const appointment = req.body;
+        const scope = req.query.scope || 'this';
+
+        if (!['this', 'following'].includes(scope)) {
+            return next(new BadRequestError('scope deve ser "this" ou "following"'));
+        }
+
+        const currentAppointment = await Appointment.findById(id);
+        if (!currentAppointment) return next(new NotFoundError('Agendamento não encontrado'));
+        checkIfMatch(req, currentAppointment);
+
+        // A partir de uma ocorrência encerrada, a resposta não traria o agendamento informado na URL
+        if (scope === 'following' && currentAppointment.appointmentSeriesId
+            && !OPEN_STATUSES.includes(currentAppointment.appointmentStatus)) {
+            return next(new ConflictError(
+                `O agendamento está ${currentAppointment.appointmentStatus}; use scope=following a partir de uma ocorrência em aberto`
+            ));
+        }
 
+        // Somente profissionais podem alterar os comentários do agendamento
+        if (appointment.comments !== undefined
+            && appointment.comments !== currentAppointment.appointmentComments
+            && !canEditField(req.user.level, 'appointments', 'appointmentComments')) {
+            return next(new ForbiddenError('Apenas profissionais podem alterar os comentários do agendamento'));
+        }
+
+        const participantsErrors = await checkParticipants(appointment.student, appointment.professional);
+        if (participantsErrors.length > 0) return next(new ValidationError(participantsErrors));
+
+        // Com scope=following, a alteração vale para esta ocorrência e as seguintes ainda em aberto da série;
+        // a mudança de data é aplicada como deslocamento a partir da data de cada ocorrência
+        let targets = [currentAppointment];
+        if (scope === 'following' && currentAppointment.appointmentSeriesId) {
+            targets = await Appointment.find({
+                appointmentSeriesId: currentAppointment.appointmentSeriesId,
+                appointmentDate: { $gte: currentAppointment.appointmentDate },
+                appointmentStatus: { $in: OPEN_STATUSES }
+            }).sort({ appointmentDate: 1 });
+        }
         // Garantindo que a data seja convertida corretamente
-        const updatedAppointment = await Appointment.findByIdAndUpdate(id, {
-            appointmentSpeciality: appointment.specialty,
-            appointmentComments: appointment.comments,
-            appointmentDate: new Date(appointment.date),  // Garantindo que a data seja convertida corretamente
-            appointmentStudent: appointment.student,
-            appointmentProfessional: appointment.professional
-        }, { new: true });
+        const shift = appointment.date !== undefined
+            ? new Date(appointment.date).getTime() - currentAppointment.appointmentDate.getTime()
+            : 0;
+        const reschedules = ['date', 'duration', 'student', 'professional'].some(field => appointment[field] !== undefined);
+        const targetIds = targets.map(target => target._id);
 
-        if (!updatedAppointment) return res.status(404).json({ error: 'Agendamento não encontrado' });
+        const updates = [];
+        for (const target of targets) {
+            const changes = {};
+            for (const [field, path] of Object.entries(REQUEST_FIELDS)) {
+                if (appointment[field] !== undefined) changes[path] = appointment[field];
+            }
+            if (appointment.date !== undefined) changes.appointmentDate = new Date(target.appointmentDate.getTime() + shift);
+
+            if (reschedules) {
+                const scheduleError = await checkSchedule(req, {
+                    date: changes.appointmentDate || target.appointmentDate,
+                    duration: changes.appointmentDuration || target.appointmentDuration,
+                    student: changes.appointmentStudent || target.appointmentStudent,
+                    professional: changes.appointmentProfessional || target.appointmentProfessional,
+                    excludeId: targetIds
+                });
+                if (scheduleError) return next(scheduleError);
+            }
+
+            updates.push({ target, changes });
+        }
+
+        const updatedAppointments = [];
+        const auditChanges = [];
+        for (const { target, changes } of updates) {
+            const update = {
+                ...changes,
+                $push: {
+                    appointmentHistory: {
+                        action: 'updated',
+                        changedFields: changedFields(target, changes),
+                        changedBy: req.user.id
+                    }
+                }
+            };
+            // O If-Match vale para o agendamento informado na URL; as demais ocorrências só têm a versão incrementada
+            const { before, after } = target._id.equals(currentAppointment._id)
+                ? await updateVersioned(req, Appointment, target._id, update)
+                : { before: target, after: await Appointment.findByIdAndUpdate(target._id, bumpVersion(update), { new: true }) };
+            updatedAppointments.push(after);
+            if (after) auditChanges.push({ before, after });
+        }
 
-        res.json(updatedAppointment);
+        if (!updatedAppointments[0]) return next(new NotFoundError('Agendamento não encontrado'));
+        await recordAuditBatch(req, 'appointments', AUDIT_ACTIONS.UPDATE, auditChanges);
+
+        setETag(res, updatedAppointments[0]);
+        res.json(scope === 'following' ? updatedAppointments : updatedAppointments[0]);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
-});
+}
+
+router.put('/:id', validateBody(appointmentValidator.updateFields, 'update'), updateAppointment);
+
+/**
+ * @swagger
+ * /appointments/{id}:
+ *   patch:
+ *     summary: Altera apenas os campos informados de um agendamento
+ *     tags: [Appointments]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         type: string
+ *         description: ID do agendamento a ser atualizado
+ *       - name: scope
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [this, following]
+ *         description: Em agendamentos recorrentes, following altera também as ocorrências seguintes em aberto (retorna a lista)
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Appointments'
+ *           example:
+ *             comments: "Retorno em duas semanas"
+ *     responses:
+ *       200:
+ *         description: Agendamento atualizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointments'
+ *       400:
+ *         description: Erro de validação, ou aluno/profissional inexistente ou inativo
+ *       403:
+ *         description: Apenas profissionais podem alterar os comentários, ou usuário sem permissão para forçar o agendamento
+ *       404:
+ *         description: Agendamento não encontrado
+ *       409:
+ *         description: Conflito de horário com outro agendamento do aluno ou do profissional, ou scope=following em uma ocorrência já encerrada (completed, cancelled ou no_show)
+ *       412:
+ *         description: O agendamento foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.patch('/:id', validateBody(appointmentValidator.updateFields, 'patch'), updateAppointment);
 
 /**
  * @swagger
  * /appointments:
  *   post:
- *     summary: Cria um novo agendamento
+ *     summary: Cria um novo agendamento (ou uma série, quando recurrence é informado)
  *     tags: [Appointments]
  *     requestBody:
  *       required: true
@@ -231,36 +854,337 @@ router.put('/:id', async (req, res) => {
  *             $ref: '#/components/schemas/Appointments'
  *     responses:
  *       200:
- *         description: Agendamento criado com sucesso
+ *         description: Agendamento criado com sucesso (em séries recorrentes, retorna { seriesId, occurrences })
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Appointments'
  *       400:
- *         description: Erro de validação
+ *         description: Erro de validação, ou aluno/profissional inexistente ou inativo
+ *       403:
+ *         description: Usuário sem permissão para forçar o agendamento
+ *       409:
+ *         description: Conflito de horário com outro agendamento do aluno ou do profissional
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody(appointmentValidator.fields), async (req, res, next) => {
     const appointment = req.body;
 
-    // Validações de campos obrigatórios
-    if (!appointment.specialty) return res.status(400).json({ "erro": "O agendamento precisa ter uma especialidade" });
-    if (!appointment.comments) return res.status(400).json({ "erro": "O agendamento precisa ter comentários" });
-    if (!appointment.date) return res.status(400).json({ "erro": "O agendamento precisa ter uma data" });
-    if (!appointment.student) return res.status(400).json({ "erro": "O agendamento precisa ter um estudante" });
-    if (!appointment.professional) return res.status(400).json({ "erro": "O agendamento precisa ter um profissional" });
-
     try {
-        const newAppointment = new Appointment({
+        const participantsErrors = await checkParticipants(appointment.student, appointment.professional);
+        if (participantsErrors.length > 0) return next(new ValidationError(participantsErrors));
+
+        const date = new Date(appointment.date);  // Garantindo que a data seja convertida corretamente
+        const duration = appointment.duration !== undefined ? appointment.duration : Appointment.DEFAULT_DURATION_MINUTES;
+
+        let dates = [date];
+        if (appointment.recurrence !== undefined) {
+            try {
+                dates = expandRecurrence(date, appointment.recurrence);
+            } catch (err) {
+                return next(new ValidationError([{ field: 'recurrence', message: err.message }]));
+            }
+        }
+
+        // Cada ocorrência precisa de horário livre; o conflito retornado indica qual delas falhou
+        for (const occurrenceDate of dates) {
+            const scheduleError = await checkSchedule(req, {
+                date: occurrenceDate,
+                duration,
+                student: appointment.student,
+                professional: appointment.professional
+            });
+            if (scheduleError) return next(scheduleError);
+        }
+
+        const seriesId = appointment.recurrence !== undefined ? new mongoose.Types.ObjectId() : undefined;
+        const newAppointments = dates.map(occurrenceDate => new Appointment({
             appointmentSpeciality: appointment.specialty,
             appointmentComments: appointment.comments,
-            appointmentDate: new Date(appointment.date),  // Garantindo que a data seja convertida corretamente
+            appointmentDate: occurrenceDate,
+            appointmentDuration: duration,
             appointmentStudent: appointment.student,
             appointmentProfessional: appointment.professional,
-        });
-        await newAppointment.save();
-        res.status(201).json(newAppointment);
+            appointmentSeriesId: seriesId,
+            appointmentRecurrence: appointment.recurrence,
+            appointmentHistory: [{ action: 'created', toStatus: APPOINTMENT_STATUS.SCHEDULED, changedBy: req.user.id }]
+        }));
+
+        if (!seriesId) {
+            await newAppointments[0].save();
+            await recordAudit(req, 'appointments', AUDIT_ACTIONS.CREATE, null, newAppointments[0]);
+            return res.status(201).json(newAppointments[0]);
+        }
+
+        await Appointment.insertMany(newAppointments);
+        await recordAuditBatch(req, 'appointments', AUDIT_ACTIONS.CREATE, newAppointments.map(newAppointment => ({ before: null, after: newAppointment })));
+        res.status(201).json({ seriesId, occurrences: newAppointments });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /appointments/{id}/confirm:
+ *   post:
+ *     summary: Confirma o agendamento
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo (opcional)
+ *     responses:
+ *       200:
+ *         description: Status do agendamento atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointments'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Agendamento não encontrado
+ *       409:
+ *         description: Transição de status não permitida
+ *       412:
+ *         description: O agendamento foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.post('/:id/confirm', validateBody(appointmentValidator.transition), transitionHandler(APPOINTMENT_STATUS.CONFIRMED));
+
+/**
+ * @swagger
+ * /appointments/{id}/complete:
+ *   post:
+ *     summary: Marca o agendamento como realizado
+ *     description: Registra a presença do estudante na frequência (attendanceType appointment).
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo (opcional)
+ *     responses:
+ *       200:
+ *         description: Status do agendamento atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointments'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Agendamento não encontrado
+ *       409:
+ *         description: Transição de status não permitida
+ *       412:
+ *         description: O agendamento foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.post('/:id/complete', validateBody(appointmentValidator.transition), transitionHandler(APPOINTMENT_STATUS.COMPLETED));
+
+/**
+ * @swagger
+ * /appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancela o agendamento, liberando o horário
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo do cancelamento
+ *     responses:
+ *       200:
+ *         description: Status do agendamento atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointments'
+ *       400:
+ *         description: Motivo não informado
+ *       404:
+ *         description: Agendamento não encontrado
+ *       409:
+ *         description: Transição de status não permitida
+ *       412:
+ *         description: O agendamento foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.post('/:id/cancel', validateBody(appointmentValidator.cancel), transitionHandler(APPOINTMENT_STATUS.CANCELLED));
+
+/**
+ * @swagger
+ * /appointments/{id}/no-show:
+ *   post:
+ *     summary: Registra que o estudante não compareceu
+ *     description: Registra a falta do estudante na frequência (attendanceType appointment).
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo (opcional)
+ *     responses:
+ *       200:
+ *         description: Status do agendamento atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointments'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Agendamento não encontrado
+ *       409:
+ *         description: Transição de status não permitida
+ *       412:
+ *         description: O agendamento foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.post('/:id/no-show', validateBody(appointmentValidator.transition), transitionHandler(APPOINTMENT_STATUS.NO_SHOW));
+
+/**
+ * @swagger
+ * /appointments/{id}/history:
+ *   get:
+ *     summary: Retorna o histórico de alterações do agendamento
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *     responses:
+ *       200:
+ *         description: Histórico do agendamento, do mais antigo ao mais recente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AppointmentHistory'
+ *       404:
+ *         description: Agendamento não encontrado
+ */
+router.get('/:id/history', async (req, res, next) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id)
+            .populate('appointmentHistory.changedBy', 'userName userUser');
+        if (!appointment) return next(new NotFoundError('Agendamento não encontrado'));
+
+        res.json(appointment.appointmentHistory);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /appointments/{id}/recipients:
+ *   get:
+ *     summary: Para quem enviar os avisos do agendamento (confirmação, lembrete, cancelamento)
+ *     description: O aviso vai para o contato principal do estudante; sem ele, para o primeiro responsável com a guarda legal e, não havendo nenhum, para o telefone do cadastro do estudante.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *     responses:
+ *       200:
+ *         description: Estudante do agendamento e o destinatário dos avisos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 student:
+ *                   type: object
+ *                 recipient:
+ *                   $ref: '#/components/schemas/NotificationRecipient'
+ *       404:
+ *         description: Agendamento ou estudante não encontrado
+ */
+router.get('/:id/recipients', async (req, res, next) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) return next(new NotFoundError('Agendamento não encontrado'));
+
+        const student = await Student.findById(appointment.appointmentStudent);
+        if (!student) return next(new NotFoundError('Estudante do agendamento não encontrado'));
+
+        const [recipient] = await recipientsForStudents([student]);
+        res.json(recipient);
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -268,7 +1192,7 @@ router.post('/', async (req, res) => {
  * @swagger
  * /appointments/{id}:
  *   delete:
- *     summary: Deleta um agendamento pelo ID
+ *     summary: Move um agendamento para a lixeira, liberando o horário
  *     tags: [Appointments]
  *     parameters:
  *       - in: path
@@ -277,22 +1201,46 @@ router.post('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID do agendamento a ser deletado
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following]
+ *         required: false
+ *         description: Em agendamentos recorrentes, following deleta também as ocorrências seguintes
+ *       - $ref: '#/components/parameters/ifMatch'
  *     responses:
  *       200:
- *         description: Agendamento deletado com sucesso
+ *         description: Agendamento movido para a lixeira
  *       404:
  *         description: Agendamento não encontrado
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', async (req, res, next) => {
     const id = req.params.id;
+    const scope = req.query.scope || 'this';
+
+    if (!['this', 'following'].includes(scope)) {
+        return next(new BadRequestError('scope deve ser "this" ou "following"'));
+    }
 
     try {
-        const deletedAppointment = await Appointment.findByIdAndDelete(id);
-        if (!deletedAppointment) return res.status(404).json({ error: 'Agendamento não encontrado' });
+        const { before, after: deletedAppointment } = await moveToTrash(req, Appointment, id);
+        if (!deletedAppointment) return next(new NotFoundError('Agendamento não encontrado'));
+        await recordAudit(req, 'appointments', AUDIT_ACTIONS.DELETE, before, deletedAppointment);
+
+        if (scope === 'following' && deletedAppointment.appointmentSeriesId) {
+            const following = await Appointment.find({
+                appointmentSeriesId: deletedAppointment.appointmentSeriesId,
+                appointmentDate: { $gt: deletedAppointment.appointmentDate }
+            });
+            const trashed = await moveManyToTrash(req, Appointment, following, deletedAppointment.deletedAt);
+            await recordAuditBatch(req, 'appointments', AUDIT_ACTIONS.DELETE, trashed);
+            return res.status(200).json({ message: `${trashed.length + 1} agendamento(s) da série deletado(s) com sucesso` });
+        }
 
         res.status(200).json({ message: 'Agendamento deletado com sucesso' });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
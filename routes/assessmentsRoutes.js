@@ -0,0 +1,547 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Assessment = require('../models/Assessment');
+const Grade = require('../models/Grade');
+const GradingPolicy = require('../models/GradingPolicy');
+const SchoolClass = require('../models/Class');
+const Discipline = require('../models/Discipline');
+const Enrollment = require('../models/Enrollment');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const { ENROLLMENT_STATUS } = require('../models/Enrollment');
+const { validateBody } = require('../middlewares/validate');
+const assessmentValidator = require('../validators/assessments');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { AUDIT_ACTIONS, snapshot, recordAudit, recordAuditBatch } = require('../utils/audit');
+
+mongoose.connect('mongodb://localhost:27017');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Assessment:
+ *       type: object
+ *       required:
+ *         - assessmentTitle
+ *         - assessmentClass
+ *         - assessmentDiscipline
+ *         - assessmentTerm
+ *       properties:
+ *         assessmentTitle:
+ *           type: string
+ *           description: Nome da avaliação
+ *         assessmentClass:
+ *           type: string
+ *           description: ID da turma
+ *         assessmentDiscipline:
+ *           type: string
+ *           description: ID da disciplina (precisa ter professor atribuído na turma)
+ *         assessmentTeacher:
+ *           type: string
+ *           description: ID do professor da disciplina na turma (preenchido pela API)
+ *         assessmentSchoolYear:
+ *           type: integer
+ *           description: Ano letivo da turma (preenchido pela API)
+ *         assessmentTerm:
+ *           type: integer
+ *           description: Período (1º bimestre = 1...), conforme a regra do ano letivo
+ *         assessmentWeight:
+ *           type: number
+ *           default: 1
+ *           description: Peso na média do período
+ *         assessmentMaxScore:
+ *           type: number
+ *           default: 10
+ *           description: Nota máxima da avaliação
+ *         assessmentDate:
+ *           type: string
+ *           format: date
+ *       example:
+ *         assessmentTitle: Prova 1
+ *         assessmentClass: 6740c1f2a1b2c3d4e5f60721
+ *         assessmentDiscipline: 6740c1f2a1b2c3d4e5f60711
+ *         assessmentTerm: 1
+ *         assessmentWeight: 2
+ *         assessmentMaxScore: 10
+ *         assessmentDate: "2025-04-10"
+ *     Grade:
+ *       type: object
+ *       properties:
+ *         gradeAssessment:
+ *           type: string
+ *         gradeStudent:
+ *           type: string
+ *         gradeScore:
+ *           type: number
+ *         gradeNote:
+ *           type: string
+ *         gradeRecordedBy:
+ *           type: string
+ *           description: ID do usuário que lançou a nota
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Assessments
+ *     description: Avaliações das disciplinas em cada turma e notas dos estudantes
+ */
+
+// O período precisa existir na regra do ano letivo
+async function checkTerm(term, schoolYear) {
+    const policy = await GradingPolicy.forYear(schoolYear);
+    if (term > policy.gradingTerms) {
+        throw new ValidationError([{ field: 'assessmentTerm', message: `O ano letivo ${schoolYear} tem ${policy.gradingTerms} períodos` }]);
+    }
+}
+
+/**
+ * @swagger
+ * /assessments:
+ *   get:
+ *     summary: Retorna uma lista paginada das avaliações
+ *     description: "Use os filtros comuns das listagens, por exemplo assessmentClass=<id>, assessmentDiscipline=<id> e assessmentTerm=2."
+ *     tags: [Assessments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lista de avaliações
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Assessment'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
+ *   post:
+ *     summary: Cadastra uma avaliação
+ *     tags: [Assessments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Assessment'
+ *     responses:
+ *       200:
+ *         description: Avaliação cadastrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assessment'
+ *       400:
+ *         description: Dados inválidos, turma ou disciplina inexistentes, disciplina sem professor na turma ou período fora da regra do ano
+ */
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Assessment, { defaultSort: 'assessmentTerm,assessmentDate' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        res.json(await paginate(req, Assessment, {}, listOptions));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/', validateBody(assessmentValidator.fields), async (req, res, next) => {
+    try {
+        const [schoolClass, discipline] = await Promise.all([
+            SchoolClass.findById(req.body.assessmentClass),
+            Discipline.findById(req.body.assessmentDiscipline)
+        ]);
+        const details = [];
+        if (!schoolClass) details.push({ field: 'assessmentClass', message: 'Turma não encontrada' });
+        if (!discipline) details.push({ field: 'assessmentDiscipline', message: 'Disciplina não encontrada' });
+        if (details.length > 0) return next(new ValidationError(details));
+
+        // A disciplina precisa ser dada na turma (ver POST /classes/:id/teachers)
+        const assignment = await TeachingAssignment.findOne({ assignmentClass: schoolClass._id, assignmentDiscipline: discipline._id });
+        if (!assignment) {
+            return next(new ValidationError([{ field: 'assessmentDiscipline', message: 'A disciplina não tem professor atribuído nesta turma' }]));
+        }
+        await checkTerm(req.body.assessmentTerm, schoolClass.classSchoolYear);
+
+        const assessment = await Assessment.create({
+            ...req.body,
+            assessmentTeacher: assignment.assignmentTeacher,
+            assessmentSchoolYear: schoolClass.classSchoolYear
+        });
+        await recordAudit(req, 'assessments', AUDIT_ACTIONS.CREATE, null, assessment);
+        res.json(assessment);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /assessments/{id}:
+ *   get:
+ *     summary: Retorna uma avaliação pelo ID
+ *     tags: [Assessments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da avaliação
+ *     responses:
+ *       200:
+ *         description: Dados da avaliação
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assessment'
+ *       404:
+ *         description: Avaliação não encontrada
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const assessment = await Assessment.findById(req.params.id);
+        if (!assessment) return next(new NotFoundError('Avaliação não encontrada'));
+        setETag(res, assessment);
+        res.json(assessment);
+    } catch (err) {
+        next(err);
+    }
+});
+
+async function updateAssessment(req, res, next) {
+    try {
+        const current = await Assessment.findById(req.params.id);
+        if (!current) return next(new NotFoundError('Avaliação não encontrada'));
+
+        if (req.body.assessmentTerm !== undefined) await checkTerm(req.body.assessmentTerm, current.assessmentSchoolYear);
+
+        // Notas já lançadas não podem ficar acima da nova nota máxima
+        if (req.body.assessmentMaxScore !== undefined
+            && await Grade.exists({ gradeAssessment: current._id, gradeScore: { $gt: req.body.assessmentMaxScore } })) {
+            return next(new ConflictError('Há notas lançadas acima da nova nota máxima; corrija-as antes'));
+        }
+
+        const { before, after: assessment } = await updateVersioned(req, Assessment, current._id, req.body);
+        if (!assessment) return next(new NotFoundError('Avaliação não encontrada'));
+        await recordAudit(req, 'assessments', AUDIT_ACTIONS.UPDATE, before, assessment);
+        setETag(res, assessment);
+        res.json(assessment);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * @swagger
+ * /assessments/{id}:
+ *   put:
+ *     summary: Atualiza uma avaliação pelo ID
+ *     description: A turma e a disciplina não podem ser alteradas.
+ *     tags: [Assessments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da avaliação
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Assessment'
+ *     responses:
+ *       200:
+ *         description: Avaliação atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assessment'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Avaliação não encontrada
+ *       409:
+ *         description: Nota máxima menor que notas já lançadas
+ *       412:
+ *         description: A avaliação foi alterada desde a leitura (If-Match desatualizado)
+ *   patch:
+ *     summary: Altera apenas os campos informados de uma avaliação
+ *     tags: [Assessments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da avaliação
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Assessment'
+ *     responses:
+ *       200:
+ *         description: Avaliação atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assessment'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Avaliação não encontrada
+ *       409:
+ *         description: Nota máxima menor que notas já lançadas
+ *       412:
+ *         description: A avaliação foi alterada desde a leitura (If-Match desatualizado)
+ *   delete:
+ *     summary: Exclui uma avaliação
+ *     tags: [Assessments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da avaliação
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Quando true, exclui também as notas lançadas em vez de bloquear a exclusão
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: Avaliação excluída
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assessment'
+ *       404:
+ *         description: Avaliação não encontrada
+ *       409:
+ *         description: A avaliação tem notas lançadas (quantidade em details.grades)
+ *       412:
+ *         description: A avaliação foi alterada desde a leitura (If-Match desatualizado)
+ */
+router.put('/:id', validateBody(assessmentValidator.updateFields, 'update'), updateAssessment);
+router.patch('/:id', validateBody(assessmentValidator.updateFields, 'patch'), updateAssessment);
+
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const assessment = await Assessment.findById(req.params.id);
+        if (!assessment) return next(new NotFoundError('Avaliação não encontrada'));
+        checkIfMatch(req, assessment);
+
+        // As notas lançadas bloqueiam a exclusão, a menos que cascade=true peça a exclusão delas
+        const grades = await Grade.find({ gradeAssessment: assessment._id });
+        if (grades.length > 0) {
+            if (req.query.cascade !== 'true') {
+                return next(new ConflictError('A avaliação tem notas lançadas; use cascade=true para excluí-las junto', { grades: grades.length }));
+            }
+            await Grade.deleteMany({ gradeAssessment: assessment._id });
+            await recordAuditBatch(req, 'grades', AUDIT_ACTIONS.PURGE, grades.map(grade => ({ before: grade, after: null })));
+        }
+
+        await Assessment.deleteOne({ _id: assessment._id });
+        await recordAudit(req, 'assessments', AUDIT_ACTIONS.PURGE, assessment, null);
+        res.json(assessment);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /assessments/{id}/grades:
+ *   get:
+ *     summary: Notas da avaliação, com os estudantes matriculados na turma em ordem de nome
+ *     tags: [Assessments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da avaliação
+ *     responses:
+ *       200:
+ *         description: Estudantes matriculados (e os que têm nota, mesmo se já saíram da turma); grade é null para quem ainda não tem nota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   student:
+ *                     $ref: '#/components/schemas/Students'
+ *                   grade:
+ *                     $ref: '#/components/schemas/Grade'
+ *       404:
+ *         description: Avaliação não encontrada
+ *   put:
+ *     summary: Lança as notas da avaliação para vários estudantes de uma vez
+ *     description: Cada estudante precisa ter matrícula ativa na turma. Notas já lançadas são substituídas.
+ *     tags: [Assessments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da avaliação
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [grades]
+ *             properties:
+ *               grades:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [student, score]
+ *                   properties:
+ *                     student:
+ *                       type: string
+ *                     score:
+ *                       type: number
+ *                     note:
+ *                       type: string
+ *           example:
+ *             grades:
+ *               - student: 6740c1f2a1b2c3d4e5f60718
+ *                 score: 8.5
+ *               - student: 6740c1f2a1b2c3d4e5f60719
+ *                 score: 6
+ *     responses:
+ *       200:
+ *         description: Resumo do lançamento
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 unchanged:
+ *                   type: integer
+ *       400:
+ *         description: Dados inválidos, nota acima da nota máxima ou estudante sem matrícula ativa na turma (details)
+ *       404:
+ *         description: Avaliação não encontrada
+ */
+router.get('/:id/grades', async (req, res, next) => {
+    try {
+        const assessment = await Assessment.findById(req.params.id);
+        if (!assessment) return next(new NotFoundError('Avaliação não encontrada'));
+
+        const [enrollments, grades] = await Promise.all([
+            Enrollment.find({ enrollmentClass: assessment.assessmentClass, enrollmentStatus: ENROLLMENT_STATUS.ACTIVE }).populate('enrollmentStudent'),
+            Grade.find({ gradeAssessment: assessment._id }).populate('gradeStudent')
+        ]);
+
+        // Estudantes na lixeira não são populados e ficam de fora
+        const students = new Map();
+        for (const enrollment of enrollments) {
+            if (enrollment.enrollmentStudent) students.set(String(enrollment.enrollmentStudent._id), { student: enrollment.enrollmentStudent, grade: null });
+        }
+        for (const grade of grades) {
+            if (!grade.gradeStudent) continue;
+            const student = grade.gradeStudent;
+            students.set(String(student._id), { student, grade: grade.toJSON({ depopulate: true }) });
+        }
+
+        res.json([...students.values()].sort((a, b) => a.student.studentsName.localeCompare(b.student.studentsName, 'pt-BR')));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.put('/:id/grades', validateBody(assessmentValidator.grades), async (req, res, next) => {
+    try {
+        const assessment = await Assessment.findById(req.params.id);
+        if (!assessment) return next(new NotFoundError('Avaliação não encontrada'));
+
+        const enrolled = new Set((await Enrollment.find({
+            enrollmentClass: assessment.assessmentClass,
+            enrollmentStatus: ENROLLMENT_STATUS.ACTIVE
+        })).map(enrollment => String(enrollment.enrollmentStudent)));
+
+        // O mesmo ID pode chegar em maiúsculas: as comparações usam a forma canônica
+        const grades = req.body.grades.map(grade => ({ ...grade, student: String(new mongoose.Types.ObjectId(grade.student)) }));
+
+        const details = [];
+        grades.forEach((grade, index) => {
+            if (!enrolled.has(grade.student)) {
+                details.push({ field: `grades[${index}].student`, message: 'Estudante sem matrícula ativa na turma' });
+            }
+            if (grade.score > assessment.assessmentMaxScore) {
+                details.push({ field: `grades[${index}].score`, message: `Deve ser no máximo ${assessment.assessmentMaxScore}` });
+            }
+        });
+        if (details.length > 0) return next(new ValidationError(details));
+
+        const existing = new Map((await Grade.find({ gradeAssessment: assessment._id }))
+            .map(grade => [String(grade.gradeStudent), grade]));
+
+        const created = [];
+        const updated = [];
+        let unchanged = 0;
+        for (const { student, score, note } of grades) {
+            const grade = existing.get(student);
+            if (!grade) {
+                created.push(await Grade.create({
+                    gradeAssessment: assessment._id,
+                    gradeStudent: student,
+                    gradeScore: score,
+                    gradeNote: note,
+                    gradeRecordedBy: req.user.id
+                }));
+                continue;
+            }
+            if (grade.gradeScore === score && (note === undefined || grade.gradeNote === note)) {
+                unchanged++;
+                continue;
+            }
+
+            const before = snapshot(grade);
+            grade.gradeScore = score;
+            if (note !== undefined) grade.gradeNote = note;
+            grade.gradeRecordedBy = req.user.id;
+            grade.increment();
+            await grade.save();
+            updated.push({ before, after: grade });
+        }
+
+        await recordAuditBatch(req, 'grades', AUDIT_ACTIONS.CREATE, created.map(grade => ({ before: null, after: grade })));
+        await recordAuditBatch(req, 'grades', AUDIT_ACTIONS.UPDATE, updated);
+        res.json({ created: created.length, updated: updated.length, unchanged });
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,742 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Attendance = require('../models/Attendance');
+const { ATTENDANCE_STATUS, ATTENDANCE_TYPES } = require('../models/Attendance');
+const SchoolClass = require('../models/Class');
+const Enrollment = require('../models/Enrollment');
+const Lesson = require('../models/Lesson');
+const Student = require('../models/Student');
+const { validateBody } = require('../middlewares/validate');
+const attendanceValidator = require('../validators/attendance');
+const { attendanceDay, summarize, parseReportQuery, reportFilter } = require('../utils/attendance');
+const { DAY_MS } = require('../utils/availability');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError, ValidationError, NotFoundError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { AUDIT_ACTIONS, snapshot, recordAudit, recordAuditBatch } = require('../utils/audit');
+
+mongoose.connect('mongodb://localhost:27017');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attendance:
+ *       type: object
+ *       properties:
+ *         attendanceStudent:
+ *           type: string
+ *           description: ID do estudante
+ *         attendanceDate:
+ *           type: string
+ *           format: date
+ *           description: Dia do registro
+ *         attendanceType:
+ *           type: string
+ *           enum: [daily, lesson, appointment]
+ *           description: Chamada do dia na turma, chamada de uma aula ou comparecimento a um agendamento
+ *         attendanceStatus:
+ *           type: string
+ *           enum: [present, absent, late, justified]
+ *         attendanceClass:
+ *           type: string
+ *           description: ID da turma (chamadas da turma e das aulas)
+ *         attendanceLesson:
+ *           type: string
+ *           description: ID da aula (chamadas por aula)
+ *         attendanceAppointment:
+ *           type: string
+ *           description: ID do agendamento (registrado ao concluir o agendamento ou marcar a falta)
+ *         attendanceNote:
+ *           type: string
+ *           description: Justificativa ou observação
+ *         attendanceRecordedBy:
+ *           type: string
+ *           description: ID do usuário que registrou
+ *     AttendanceSummary:
+ *       type: object
+ *       properties:
+ *         present:
+ *           type: integer
+ *         absent:
+ *           type: integer
+ *         late:
+ *           type: integer
+ *         justified:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         rate:
+ *           type: number
+ *           nullable: true
+ *           description: Frequência em % (atrasos contam como presença; faltas justificadas ficam fora da conta)
+ *   parameters:
+ *     attendanceFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *       required: false
+ *       description: Primeiro dia do período (padrão, 1º de janeiro do ano atual)
+ *     attendanceTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *       required: false
+ *       description: Último dia do período (padrão, hoje); no máximo 366 dias após from
+ *     attendanceType:
+ *       in: query
+ *       name: type
+ *       schema:
+ *         type: string
+ *         enum: [daily, lesson, appointment]
+ *       required: false
+ *       description: Tipo de registro considerado (padrão, as chamadas do dia e das aulas)
+ *     attendanceThreshold:
+ *       in: query
+ *       name: threshold
+ *       schema:
+ *         type: number
+ *         default: 75
+ *       required: false
+ *       description: Frequência mínima em %; abaixo dela o estudante está em risco
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Attendance
+ *     description: Frequência dos estudantes - chamadas das turmas e das aulas, comparecimento aos agendamentos e relatórios
+ */
+
+// Matrículas da turma vigentes no dia: iniciadas até o dia e não encerradas antes dele
+function enrollmentsOn(classId, day) {
+    return Enrollment.find({
+        enrollmentClass: classId,
+        enrollmentStartDate: { $lt: new Date(day.getTime() + DAY_MS) },
+        $or: [{ enrollmentEndDate: null }, { enrollmentEndDate: { $gte: day } }]
+    });
+}
+
+// Aula informada na chamada: precisa ser da turma e do dia da semana da data
+async function findLessonFor(schoolClass, lessonId, day) {
+    if (!lessonId) return null;
+
+    const lesson = await Lesson.findById(lessonId);
+    if (!lesson || !lesson.lessonClass.equals(schoolClass._id)) {
+        throw new ValidationError([{ field: 'lesson', message: 'Aula não encontrada na grade da turma' }]);
+    }
+    if (lesson.lessonWeekday !== day.getUTCDay()) {
+        throw new ValidationError([{ field: 'lesson', message: 'A aula não acontece no dia da semana da data informada' }]);
+    }
+    return lesson;
+}
+
+// Filtro dos registros da chamada da turma (lesson = null) ou de uma aula, em um dia
+function rollCallFilter(day, lesson) {
+    return {
+        attendanceDate: day,
+        attendanceType: lesson ? ATTENDANCE_TYPES.LESSON : ATTENDANCE_TYPES.DAILY,
+        attendanceLesson: lesson ? lesson._id : null
+    };
+}
+
+/**
+ * @swagger
+ * /attendance:
+ *   get:
+ *     summary: Retorna uma lista paginada dos registros de frequência
+ *     description: "Use os filtros comuns das listagens, por exemplo attendanceStudent=<id>, attendanceClass=<id>, attendanceStatus=absent e attendanceDate[gte]=2025-03-01."
+ *     tags: [Attendance]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lista de registros, dos mais recentes para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
+ */
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Attendance, { defaultSort: '-attendanceDate' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        res.json(await paginate(req, Attendance, {}, listOptions));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /attendance/classes/{classId}:
+ *   get:
+ *     summary: Chamada da turma em um dia (ou de uma aula), com os estudantes matriculados e o registro de cada um
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Dia da chamada (padrão, hoje)
+ *       - in: query
+ *         name: lesson
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: ID da aula, para a chamada por aula
+ *     responses:
+ *       200:
+ *         description: Estudantes matriculados no dia, em ordem de nome; attendance é null para quem ainda não tem registro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 lesson:
+ *                   type: string
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       student:
+ *                         $ref: '#/components/schemas/Students'
+ *                       attendance:
+ *                         $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Data ou aula inválidas
+ *       404:
+ *         description: Turma não encontrada
+ *   post:
+ *     summary: Registra a chamada da turma (ou de uma aula) para vários estudantes de uma vez
+ *     description: Cada estudante precisa estar matriculado na turma no dia. Registros já existentes do mesmo dia (e aula) são atualizados; os estudantes matriculados que ficaram de fora são listados em missing.
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date, records]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Dia da chamada (não pode ser futuro)
+ *               lesson:
+ *                 type: string
+ *                 description: ID da aula, para a chamada por aula
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [student, status]
+ *                   properties:
+ *                     student:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, absent, late, justified]
+ *                     note:
+ *                       type: string
+ *           example:
+ *             date: "2025-03-11"
+ *             records:
+ *               - student: 6740c1f2a1b2c3d4e5f60718
+ *                 status: present
+ *               - student: 6740c1f2a1b2c3d4e5f60719
+ *                 status: justified
+ *                 note: Atestado médico
+ *     responses:
+ *       200:
+ *         description: Resumo da chamada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 unchanged:
+ *                   type: integer
+ *                 missing:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: IDs dos estudantes matriculados sem registro no dia
+ *       400:
+ *         description: Dados inválidos, aula de outra turma ou de outro dia da semana, ou estudante não matriculado (details)
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.get('/classes/:classId', async (req, res, next) => {
+    const day = attendanceDay(req.query.date === undefined ? new Date() : req.query.date);
+    if (!day) return next(new BadRequestError('date deve ser uma data válida, ex.: 2025-03-11'));
+
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.classId);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+        const lesson = await findLessonFor(schoolClass, req.query.lesson, day);
+
+        const [enrollments, records] = await Promise.all([
+            enrollmentsOn(schoolClass._id, day).populate('enrollmentStudent'),
+            Attendance.find({ ...rollCallFilter(day, lesson), attendanceClass: schoolClass._id })
+        ]);
+        const byStudent = new Map(records.map(record => [String(record.attendanceStudent), record]));
+
+        // Estudantes na lixeira não são populados e ficam de fora
+        const students = enrollments
+            .filter(enrollment => enrollment.enrollmentStudent)
+            .map(enrollment => ({
+                student: enrollment.enrollmentStudent,
+                attendance: byStudent.get(String(enrollment.enrollmentStudent._id)) || null
+            }))
+            .sort((a, b) => a.student.studentsName.localeCompare(b.student.studentsName, 'pt-BR'));
+
+        res.json({ date: day, lesson: lesson ? lesson._id : null, students });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/classes/:classId', validateBody(attendanceValidator.classAttendance), async (req, res, next) => {
+    const day = attendanceDay(req.body.date);
+
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.classId);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+        const lesson = await findLessonFor(schoolClass, req.body.lesson, day);
+
+        const enrolled = new Set((await enrollmentsOn(schoolClass._id, day)).map(enrollment => String(enrollment.enrollmentStudent)));
+        const details = [];
+        req.body.records.forEach((record, index) => {
+            if (!enrolled.has(record.student)) {
+                details.push({ field: `records[${index}].student`, message: 'Estudante não matriculado na turma nesta data' });
+            }
+        });
+        if (details.length > 0) return next(new ValidationError(details));
+
+        const filter = rollCallFilter(day, lesson);
+        const existing = new Map((await Attendance.find({ ...filter, attendanceStudent: { $in: [...enrolled] } }))
+            .map(record => [String(record.attendanceStudent), record]));
+
+        const created = [];
+        const updated = [];
+        let unchanged = 0;
+        for (const { student, status, note } of req.body.records) {
+            const record = existing.get(student);
+            if (!record) {
+                created.push(await Attendance.create({
+                    ...filter,
+                    attendanceStudent: student,
+                    attendanceStatus: status,
+                    attendanceClass: schoolClass._id,
+                    attendanceNote: note,
+                    attendanceRecordedBy: req.user.id
+                }));
+                continue;
+            }
+            if (record.attendanceStatus === status && (note === undefined || record.attendanceNote === note)) {
+                unchanged++;
+                continue;
+            }
+
+            const before = snapshot(record);
+            record.attendanceStatus = status;
+            if (note !== undefined) record.attendanceNote = note;
+            record.attendanceRecordedBy = req.user.id;
+            record.increment();
+            await record.save();
+            updated.push({ before, after: record });
+        }
+
+        await recordAuditBatch(req, 'attendance', AUDIT_ACTIONS.CREATE, created.map(record => ({ before: null, after: record })));
+        await recordAuditBatch(req, 'attendance', AUDIT_ACTIONS.UPDATE, updated);
+
+        const submitted = new Set(req.body.records.map(record => record.student));
+        res.json({
+            date: day,
+            lesson: lesson ? lesson._id : null,
+            created: created.length,
+            updated: updated.length,
+            unchanged,
+            missing: [...enrolled].filter(student => !submitted.has(student) && !existing.has(student))
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /attendance/report/students/{studentId}:
+ *   get:
+ *     summary: Frequência de um estudante no período
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - $ref: '#/components/parameters/attendanceFrom'
+ *       - $ref: '#/components/parameters/attendanceTo'
+ *       - $ref: '#/components/parameters/attendanceType'
+ *       - $ref: '#/components/parameters/attendanceThreshold'
+ *     responses:
+ *       200:
+ *         description: Contagem por status e frequência
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AttendanceSummary'
+ *                 - properties:
+ *                     student:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                     atRisk:
+ *                       type: boolean
+ *                       description: Frequência abaixo de threshold
+ *       400:
+ *         description: Parâmetros inválidos
+ *       404:
+ *         description: Estudante não encontrado
+ */
+router.get('/report/students/:studentId', async (req, res, next) => {
+    const report = parseReportQuery(req.query);
+    if (report.error) return next(new BadRequestError(report.error));
+
+    try {
+        const student = await Student.findById(req.params.studentId);
+        if (!student) return next(new NotFoundError('Estudante não encontrado'));
+
+        const counts = await Attendance.countByStudent({ ...reportFilter(report), attendanceStudent: student._id });
+        const summary = summarize(counts.get(String(student._id)));
+        res.json({
+            student: student._id,
+            from: report.from,
+            to: report.to,
+            ...summary,
+            atRisk: summary.rate !== null && summary.rate < report.threshold
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Frequência de cada estudante que tem registros no filtro, com o nome, da menor para a maior.
+// studentFilter restringe os estudantes listados (ex.: só os ativos).
+async function studentRates(filter, threshold, studentFilter = {}) {
+    const counts = await Attendance.countByStudent(filter);
+    const students = await Student.find({ ...studentFilter, _id: { $in: [...counts.keys()] } });
+
+    return students
+        .map(student => {
+            const summary = summarize(counts.get(String(student._id)));
+            return {
+                student: { _id: student._id, studentsName: student.studentsName },
+                ...summary,
+                atRisk: summary.rate !== null && summary.rate < threshold
+            };
+        })
+        .sort((a, b) => (a.rate === null ? 101 : a.rate) - (b.rate === null ? 101 : b.rate)
+            || a.student.studentsName.localeCompare(b.student.studentsName, 'pt-BR'));
+}
+
+/**
+ * @swagger
+ * /attendance/report/classes/{classId}:
+ *   get:
+ *     summary: Frequência da turma e de cada estudante no período
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - $ref: '#/components/parameters/attendanceFrom'
+ *       - $ref: '#/components/parameters/attendanceTo'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [daily, lesson]
+ *         required: false
+ *         description: Tipo de chamada considerado (padrão, as duas)
+ *       - $ref: '#/components/parameters/attendanceThreshold'
+ *     responses:
+ *       200:
+ *         description: Frequência da turma (soma dos registros) e dos estudantes, da menor para a maior
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AttendanceSummary'
+ *                 - properties:
+ *                     class:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/AttendanceSummary'
+ *                           - properties:
+ *                               student:
+ *                                 type: object
+ *                               atRisk:
+ *                                 type: boolean
+ *       400:
+ *         description: Parâmetros inválidos
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.get('/report/classes/:classId', async (req, res, next) => {
+    const report = parseReportQuery(req.query);
+    if (report.error) return next(new BadRequestError(report.error));
+
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.classId);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+
+        const students = await studentRates({ ...reportFilter(report), attendanceClass: schoolClass._id }, report.threshold);
+        const totals = {};
+        for (const student of students) {
+            for (const status of Object.values(ATTENDANCE_STATUS)) totals[status] = (totals[status] || 0) + student[status];
+        }
+
+        res.json({ class: schoolClass._id, from: report.from, to: report.to, ...summarize(totals), students });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /attendance/at-risk:
+ *   get:
+ *     summary: Estudantes com frequência abaixo do mínimo no período
+ *     tags: [Attendance]
+ *     parameters:
+ *       - $ref: '#/components/parameters/attendanceFrom'
+ *       - $ref: '#/components/parameters/attendanceTo'
+ *       - $ref: '#/components/parameters/attendanceType'
+ *       - $ref: '#/components/parameters/attendanceThreshold'
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Restringe aos registros de uma turma
+ *     responses:
+ *       200:
+ *         description: Estudantes em risco, da menor frequência para a maior
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/AttendanceSummary'
+ *                   - properties:
+ *                       student:
+ *                         type: object
+ *                       atRisk:
+ *                         type: boolean
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/at-risk', async (req, res, next) => {
+    const report = parseReportQuery(req.query);
+    if (report.error) return next(new BadRequestError(report.error));
+    if (req.query.class !== undefined && !mongoose.isValidObjectId(req.query.class)) {
+        return next(new BadRequestError('class deve ser o ID de uma turma'));
+    }
+
+    try {
+        const filter = reportFilter(report);
+        if (req.query.class) filter.attendanceClass = new mongoose.Types.ObjectId(req.query.class);
+
+        // Só os estudantes ativos: os inativos já não frequentam a escola
+        const students = await studentRates(filter, report.threshold, { studentsStatus: true });
+        res.json(students.filter(item => item.atRisk));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /attendance/{id}:
+ *   get:
+ *     summary: Retorna um registro de frequência pelo ID
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do registro
+ *     responses:
+ *       200:
+ *         description: Dados do registro
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attendance'
+ *       404:
+ *         description: Registro não encontrado
+ *   patch:
+ *     summary: Corrige o status de um registro ou justifica uma falta
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do registro
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attendanceStatus:
+ *                 type: string
+ *                 enum: [present, absent, late, justified]
+ *               attendanceNote:
+ *                 type: string
+ *           example:
+ *             attendanceStatus: justified
+ *             attendanceNote: Atestado médico
+ *     responses:
+ *       200:
+ *         description: Registro atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Registro não encontrado
+ *       412:
+ *         description: O registro foi alterado desde a leitura (If-Match desatualizado)
+ *   delete:
+ *     summary: Exclui um registro de frequência lançado por engano
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do registro
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: Registro excluído
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attendance'
+ *       404:
+ *         description: Registro não encontrado
+ *       412:
+ *         description: O registro foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const attendance = await Attendance.findById(req.params.id);
+        if (!attendance) return next(new NotFoundError('Registro de frequência não encontrado'));
+        setETag(res, attendance);
+        res.json(attendance);
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.patch('/:id', validateBody(attendanceValidator.fields, 'patch'), async (req, res, next) => {
+    try {
+        const update = { ...req.body, attendanceRecordedBy: req.user.id };
+        const { before, after: attendance } = await updateVersioned(req, Attendance, req.params.id, update);
+        if (!attendance) return next(new NotFoundError('Registro de frequência não encontrado'));
+        await recordAudit(req, 'attendance', AUDIT_ACTIONS.UPDATE, before, attendance);
+        setETag(res, attendance);
+        res.json(attendance);
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const attendance = await Attendance.findById(req.params.id);
+        if (!attendance) return next(new NotFoundError('Registro de frequência não encontrado'));
+        checkIfMatch(req, attendance);
+
+        await Attendance.deleteOne({ _id: attendance._id });
+        await recordAudit(req, 'attendance', AUDIT_ACTIONS.PURGE, attendance, null);
+        res.json(attendance);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
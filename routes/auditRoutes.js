@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         auditResource:
+ *           type: string
+ *           description: Recurso alterado (students, teachers, professionals, appointments, events, users, classes, disciplines, enrollments, assignments, periods, lessons, attendance, assessments, grades, gradingPolicies, guardians ou guardianships)
+ *         auditDocument:
+ *           type: string
+ *           description: ID do registro alterado
+ *         auditAction:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *           description: delete move o registro para a lixeira; purge o exclui definitivamente
+ *         auditActor:
+ *           type: string
+ *           description: ID do usuário que fez a alteração
+ *         auditChanges:
+ *           type: array
+ *           description: Campos alterados, com o valor anterior e o novo (senhas aparecem como "[oculto]")
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         auditMethod:
+ *           type: string
+ *           example: PATCH
+ *         auditPath:
+ *           type: string
+ *           example: /students/6740c1f2a1b2c3d4e5f60718
+ *         auditRequestId:
+ *           type: string
+ *           description: Id da requisição (cabeçalho X-Request-Id)
+ *         audit_create_date:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         auditResource: students
+ *         auditDocument: 6740c1f2a1b2c3d4e5f60718
+ *         auditAction: update
+ *         auditActor: 6740c1f2a1b2c3d4e5f60701
+ *         auditChanges:
+ *           - field: studentsPhone_number
+ *             before: "48999055949"
+ *             after: "48988887777"
+ *         auditMethod: PATCH
+ *         auditPath: /students/6740c1f2a1b2c3d4e5f60718
+ *         audit_create_date: "2024-05-20T14:30:00Z"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Audit
+ *     description: Trilha de auditoria das alterações feitas na API (somente leitura, apenas administradores)
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Retorna uma lista paginada dos registros de auditoria, do mais recente para o mais antigo
+ *     description: "Use os filtros comuns das listagens, por exemplo auditResource=students, auditActor=<id do usuário>, auditDocument=<id do registro> e audit_create_date[gte]=2024-05-01&audit_create_date[lt]=2024-06-01."
+ *     tags: [Audit]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: A página do log de auditoria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
+ *       403:
+ *         description: Apenas administradores podem consultar a auditoria
+ */
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, AuditLog, { defaultSort: '-audit_create_date' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        res.json(await paginate(req, AuditLog, {}, listOptions));
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticate } = require('../middlewares/auth');
+const { validateBody } = require('../middlewares/validate');
+const authValidator = require('../validators/auth');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const {
+    signAccessToken,
+    generateRefreshToken,
+    generateCalendarToken,
+    hashToken,
+    refreshTokenExpiration,
+    ACCESS_TOKEN_TTL
+} = require('../utils/tokens');
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *           description: Token de acesso (JWT) a ser enviado no cabeçalho Authorization
+ *         refreshToken:
+ *           type: string
+ *           description: Token usado para renovar o token de acesso
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         expiresIn:
+ *           type: string
+ *           description: Validade do token de acesso
+ *           example: 15m
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Auth
+ *     description: Login, renovação e encerramento das sessões de acesso à API
+ */
+
+// Cria a sessão do usuário e devolve o par de tokens
+async function issueTokens(user) {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        sessionUser: user._id,
+        sessionRefreshTokenHash: hashToken(refreshToken),
+        sessionExpiresAt: refreshTokenExpiration()
+    });
+
+    return {
+        accessToken: signAccessToken(user, session),
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Autentica o usuário e retorna os tokens de acesso
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userUser
+ *               - userPassword
+ *             properties:
+ *               userUser:
+ *                 type: string
+ *                 description: User de login do usuário
+ *               userPassword:
+ *                 type: string
+ *                 description: Senha do usuário
+ *           example:
+ *             userUser: stackoski
+ *             userPassword: mySecurePassword123
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Usuário e senha são obrigatórios
+ *       401:
+ *         description: Usuário ou senha inválidos
+ *       403:
+ *         description: Usuário inativo (userStatus false)
+ */
+router.post('/login', validateBody(authValidator.login), async (req, res, next) => {
+    const { userUser, userPassword } = req.body;
+
+    try {
+        const user = await User.findOne({ userUser }).select('+userPassword');
+        if (!user || !(await user.checkPassword(userPassword))) {
+            return next(new UnauthorizedError('Usuário ou senha inválidos'));
+        }
+
+        if (user.userStatus === false) {
+            return next(new ForbiddenError('Usuário inativo, procure um administrador'));
+        }
+
+        res.json(await issueTokens(user));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Renova o token de acesso a partir do refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Novos tokens emitidos; o refresh token anterior deixa de valer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Refresh token não informado
+ *       401:
+ *         description: Refresh token inválido, expirado ou revogado
+ */
+router.post('/refresh', validateBody(authValidator.refresh), async (req, res, next) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const session = await Session.findOne({ sessionRefreshTokenHash: hashToken(refreshToken) });
+        if (!session || !session.isActive()) {
+            return next(new UnauthorizedError('Refresh token inválido ou expirado'));
+        }
+
+        const user = await User.findById(session.sessionUser);
+        if (!user || user.userStatus === false) {
+            return next(new UnauthorizedError('Refresh token inválido ou expirado'));
+        }
+
+        // Rotaciona o refresh token: a sessão antiga é revogada e uma nova é criada
+        session.sessionRevokedAt = new Date();
+        await session.save();
+
+        res.json(await issueTokens(user));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Encerra a sessão atual, revogando seus tokens
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada com sucesso
+ *       401:
+ *         description: Token de acesso ausente ou inválido
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+    try {
+        await Session.findByIdAndUpdate(req.user.sessionId, { sessionRevokedAt: new Date() });
+        res.json({ message: 'Sessão encerrada com sucesso' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /auth/calendar-token:
+ *   post:
+ *     summary: Gera o token para assinar a agenda em aplicativos de calendário
+ *     description: >
+ *       Aplicativos de calendário não enviam o token de acesso; as exportações em format=ics aceitam este token
+ *       no parâmetro calendarToken. Gerar um novo token invalida o anterior.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token gerado, com os endereços das agendas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 calendarToken:
+ *                   type: string
+ *                 appointmentsUrl:
+ *                   type: string
+ *                   example: /appointments/export?format=ics&calendarToken=...
+ *                 eventsUrl:
+ *                   type: string
+ *                   example: /events/export?format=ics&calendarToken=...
+ *       401:
+ *         description: Token de acesso ausente ou inválido
+ *   delete:
+ *     summary: Revoga o token de agenda do usuário
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token revogado; as assinaturas existentes deixam de funcionar
+ *       401:
+ *         description: Token de acesso ausente ou inválido
+ */
+router.post('/calendar-token', authenticate, async (req, res, next) => {
+    try {
+        const calendarToken = generateCalendarToken();
+        await User.findByIdAndUpdate(req.user.id, { userCalendarTokenHash: hashToken(calendarToken) });
+
+        // Os filtros das listagens podem ser acrescentados ao endereço (ex.: &appointmentProfessional=<id>)
+        res.json({
+            calendarToken,
+            appointmentsUrl: `/appointments/export?format=ics&calendarToken=${calendarToken}`,
+            eventsUrl: `/events/export?format=ics&calendarToken=${calendarToken}`
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/calendar-token', authenticate, async (req, res, next) => {
+    try {
+        await User.findByIdAndUpdate(req.user.id, { userCalendarTokenHash: null });
+        res.json({ message: 'Token de agenda revogado' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,1017 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const SchoolClass = require('../models/Class');
+const Enrollment = require('../models/Enrollment');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Discipline = require('../models/Discipline');
+const Lesson = require('../models/Lesson');
+const { ENROLLMENT_STATUS } = require('../models/Enrollment');
+const { validateBody } = require('../middlewares/validate');
+const classValidator = require('../validators/classes');
+const { validate } = require('../utils/validation');
+const { parseWeekday, weekdayAndTime } = require('../utils/timetable');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, registerTrashRoutes } = require('../utils/trash');
+const { AUDIT_ACTIONS, recordAudit, recordAuditBatch } = require('../utils/audit');
+
+mongoose.connect('mongodb://localhost:27017');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Class:
+ *       type: object
+ *       required:
+ *         - className
+ *         - classGradeLevel
+ *         - classSchoolYear
+ *         - classShift
+ *       properties:
+ *         className:
+ *           type: string
+ *           description: Nome da turma (único no ano letivo)
+ *         classGradeLevel:
+ *           type: string
+ *           description: Série ou etapa
+ *         classSchoolYear:
+ *           type: integer
+ *           description: Ano letivo
+ *         classShift:
+ *           type: string
+ *           enum: [morning, afternoon, evening, full_time]
+ *           description: Turno
+ *         classCapacity:
+ *           type: integer
+ *           description: Número de vagas (sem valor, a turma não tem limite)
+ *         classRoom:
+ *           type: string
+ *           description: Sala
+ *         classStatus:
+ *           type: boolean
+ *           default: true
+ *           description: Se a turma está ativa (turmas inativas não recebem matrículas)
+ *       example:
+ *         className: 5º ano A
+ *         classGradeLevel: 5º ano
+ *         classSchoolYear: 2025
+ *         classShift: morning
+ *         classCapacity: 30
+ *         classRoom: Sala 12
+ *         classStatus: true
+ *     Enrollment:
+ *       type: object
+ *       properties:
+ *         enrollmentStudent:
+ *           description: ID do estudante (ou o estudante, nas listagens da turma)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Students'
+ *         enrollmentClass:
+ *           description: ID da turma (ou a turma, no histórico do estudante)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Class'
+ *         enrollmentSchoolYear:
+ *           type: integer
+ *         enrollmentStatus:
+ *           type: string
+ *           enum: [active, transferred, cancelled, completed]
+ *         enrollmentStartDate:
+ *           type: string
+ *           format: date-time
+ *         enrollmentEndDate:
+ *           type: string
+ *           format: date-time
+ *         enrollmentEndReason:
+ *           type: string
+ *     TeachingAssignment:
+ *       type: object
+ *       properties:
+ *         assignmentTeacher:
+ *           description: ID do professor (ou o professor, nas listagens)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Teachers'
+ *         assignmentDiscipline:
+ *           description: ID da disciplina (ou a disciplina, nas listagens)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Discipline'
+ *         assignmentClass:
+ *           type: string
+ *           description: ID da turma
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Classes
+ *     description: Turmas, matrículas dos estudantes e professores de cada disciplina
+ */
+
+/**
+ * @swagger
+ * /classes:
+ *   get:
+ *     summary: Retorna uma lista paginada das turmas
+ *     tags: [Classes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lista de turmas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Class'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
+ */
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, SchoolClass, { defaultSort: '-classSchoolYear,className' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        res.json(await paginate(req, SchoolClass, {}, listOptions));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /classes/trash:
+ *   get:
+ *     summary: Lista as turmas excluídas (lixeira)
+ *     tags: [Classes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lixeira, das excluídas mais recentemente para as mais antigas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Class'
+ *       403:
+ *         description: Usuário sem permissão para excluir turmas
+ *
+ * /classes/{id}/restore:
+ *   post:
+ *     summary: Restaura uma turma da lixeira
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     responses:
+ *       200:
+ *         description: Turma restaurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Class'
+ *       404:
+ *         description: Turma não encontrada na lixeira
+ *
+ * /classes/{id}/purge:
+ *   delete:
+ *     summary: Exclui definitivamente uma turma que está na lixeira (somente administradores)
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     responses:
+ *       200:
+ *         description: Registro excluído definitivamente
+ *       403:
+ *         description: Apenas administradores podem excluir definitivamente
+ *       404:
+ *         description: Turma não encontrada na lixeira
+ *       409:
+ *         description: A turma tem matrículas registradas
+ */
+// Lixeira: GET /trash, POST /:id/restore e DELETE /:id/purge
+registerTrashRoutes(router, SchoolClass, {
+    resource: 'classes',
+    notFoundMessage: 'Turma não encontrada',
+    // As matrículas, mesmo encerradas, fazem parte do histórico dos estudantes
+    beforePurge: async (schoolClass) => {
+        if (await Enrollment.exists({ enrollmentClass: schoolClass._id })) {
+            throw new ConflictError('A turma possui matrículas registradas e não pode ser excluída definitivamente');
+        }
+    }
+});
+
+/**
+ * @swagger
+ * /classes/export:
+ *   get:
+ *     summary: Exporta as turmas em CSV ou JSON
+ *     description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação.
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *         description: Formato do arquivo
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Arquivo com os registros encontrados
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Class'
+ *       400:
+ *         description: Formato, filtros ou ordenação inválidos
+ */
+registerExportRoute(router, SchoolClass, { resource: 'classes', filename: 'turmas', defaultSort: '-classSchoolYear,className' });
+
+/**
+ * @swagger
+ * /classes/{id}:
+ *   get:
+ *     summary: Retorna uma turma pelo ID
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     responses:
+ *       200:
+ *         description: Dados da turma
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Class'
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+        setETag(res, schoolClass);
+        res.json(schoolClass);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /classes:
+ *   post:
+ *     summary: Cadastra uma turma
+ *     tags: [Classes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Class'
+ *     responses:
+ *       200:
+ *         description: Turma cadastrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Class'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Já existe uma turma com este nome no ano letivo
+ */
+router.post('/', validateBody(classValidator.fields), async (req, res, next) => {
+    try {
+        const schoolClass = await SchoolClass.create(req.body);
+        await recordAudit(req, 'classes', AUDIT_ACTIONS.CREATE, null, schoolClass);
+        res.json(schoolClass);
+    } catch (err) {
+        next(err);
+    }
+});
+
+async function updateClass(req, res, next) {
+    try {
+        // As matrículas e as aulas guardam o ano letivo da turma, e os períodos das aulas são do turno dela
+        if (req.body.classSchoolYear !== undefined || req.body.classShift !== undefined) {
+            const current = await SchoolClass.findById(req.params.id);
+            const yearChanged = current && req.body.classSchoolYear !== undefined && current.classSchoolYear !== req.body.classSchoolYear;
+            const shiftChanged = current && req.body.classShift !== undefined && current.classShift !== req.body.classShift;
+            if (yearChanged && await Enrollment.exists({ enrollmentClass: current._id })) {
+                return next(new ConflictError('A turma já tem matrículas; o ano letivo não pode ser alterado'));
+            }
+            if ((yearChanged || shiftChanged) && await Lesson.exists({ lessonClass: current._id })) {
+                return next(new ConflictError('A turma já tem aulas na grade; o turno e o ano letivo não podem ser alterados'));
+            }
+        }
+
+        const { before, after: schoolClass } = await updateVersioned(req, SchoolClass, req.params.id, req.body);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+        await recordAudit(req, 'classes', AUDIT_ACTIONS.UPDATE, before, schoolClass);
+        setETag(res, schoolClass);
+        res.json(schoolClass);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * @swagger
+ * /classes/{id}:
+ *   put:
+ *     summary: Atualiza uma turma pelo ID
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Class'
+ *     responses:
+ *       200:
+ *         description: Turma atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Class'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: Nome repetido no ano letivo, mudança de ano letivo em turma com matrículas, ou de turno ou ano letivo em turma com aulas na grade
+ *       412:
+ *         description: A turma foi alterada desde a leitura (If-Match desatualizado)
+ *   patch:
+ *     summary: Altera apenas os campos informados de uma turma
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Class'
+ *     responses:
+ *       200:
+ *         description: Turma atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Class'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: Nome repetido no ano letivo, mudança de ano letivo em turma com matrículas, ou de turno ou ano letivo em turma com aulas na grade
+ *       412:
+ *         description: A turma foi alterada desde a leitura (If-Match desatualizado)
+ */
+router.put('/:id', validateBody(classValidator.fields, 'update'), updateClass);
+router.patch('/:id', validateBody(classValidator.fields, 'patch'), updateClass);
+
+/**
+ * @swagger
+ * /classes/{id}:
+ *   delete:
+ *     summary: Move uma turma para a lixeira
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: Turma movida para a lixeira
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: A turma tem matrículas ativas ou professores atribuídos (listados em details)
+ *       412:
+ *         description: A turma foi alterada desde a leitura (If-Match desatualizado)
+ */
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+        checkIfMatch(req, schoolClass);
+
+        const [enrollments, assignments] = await Promise.all([
+            Enrollment.find({ enrollmentClass: schoolClass._id, enrollmentStatus: ENROLLMENT_STATUS.ACTIVE }),
+            TeachingAssignment.find({ assignmentClass: schoolClass._id })
+        ]);
+        if (enrollments.length > 0 || assignments.length > 0) {
+            return next(new ConflictError(
+                'A turma tem matrículas ativas ou professores atribuídos; encerre as matrículas e remova as atribuições antes',
+                {
+                    activeEnrollments: enrollments.map(enrollment => ({ _id: enrollment._id, student: enrollment.enrollmentStudent })),
+                    assignments: assignments.map(assignment => ({ _id: assignment._id, teacher: assignment.assignmentTeacher, discipline: assignment.assignmentDiscipline }))
+                }
+            ));
+        }
+
+        const { before, after: deletedClass } = await moveToTrash(req, SchoolClass, schoolClass._id);
+        if (!deletedClass) return next(new NotFoundError('Turma não encontrada'));
+        await recordAudit(req, 'classes', AUDIT_ACTIONS.DELETE, before, deletedClass);
+        res.json(deletedClass);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/students:
+ *   get:
+ *     summary: Lista as matrículas da turma, com os dados de cada estudante, em ordem de nome
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, transferred, cancelled, completed, all]
+ *           default: active
+ *         description: Situação das matrículas listadas
+ *     responses:
+ *       200:
+ *         description: Matrículas da turma
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Enrollment'
+ *       400:
+ *         description: Status inválido
+ *       404:
+ *         description: Turma não encontrada
+ *   post:
+ *     summary: Matricula um estudante na turma
+ *     description: O estudante precisa estar ativo e não pode ter outra matrícula ativa no mesmo ano letivo; para trocar de turma, encerre a matrícula atual com status transferred.
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [student]
+ *             properties:
+ *               student:
+ *                 type: string
+ *                 description: ID do estudante
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Início da matrícula (padrão, hoje)
+ *     responses:
+ *       200:
+ *         description: Matrícula criada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Enrollment'
+ *       400:
+ *         description: Dados inválidos, estudante inexistente ou inativo
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: Turma inativa ou sem vagas, ou estudante já matriculado no ano letivo (details.enrollment)
+ */
+router.get('/:id/students', async (req, res, next) => {
+    const status = req.query.status || ENROLLMENT_STATUS.ACTIVE;
+    if (status !== 'all' && !Object.values(ENROLLMENT_STATUS).includes(status)) {
+        return next(new BadRequestError(`status deve ser ${[...Object.values(ENROLLMENT_STATUS), 'all'].join(', ')}`));
+    }
+
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+
+        const filter = { enrollmentClass: schoolClass._id };
+        if (status !== 'all') filter.enrollmentStatus = status;
+
+        // Estudantes na lixeira não são populados e ficam de fora
+        const enrollments = (await Enrollment.find(filter).populate('enrollmentStudent'))
+            .filter(enrollment => enrollment.enrollmentStudent)
+            .sort((a, b) => a.enrollmentStudent.studentsName.localeCompare(b.enrollmentStudent.studentsName, 'pt-BR'));
+        res.json(enrollments);
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/:id/students', validateBody(classValidator.enrollment), async (req, res, next) => {
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+        if (!schoolClass.isActive()) return next(new ConflictError('A turma está inativa e não recebe matrículas'));
+
+        const student = await Student.findById(req.body.student);
+        if (!student) return next(new ValidationError([{ field: 'student', message: 'Estudante não encontrado' }]));
+        if (!student.isActive()) return next(new ValidationError([{ field: 'student', message: 'Estudante está inativo' }]));
+
+        const current = await Enrollment.findOne({
+            enrollmentStudent: student._id,
+            enrollmentSchoolYear: schoolClass.classSchoolYear,
+            enrollmentStatus: ENROLLMENT_STATUS.ACTIVE
+        });
+        if (current) {
+            const message = current.enrollmentClass.equals(schoolClass._id)
+                ? 'O estudante já está matriculado nesta turma'
+                : 'O estudante já tem matrícula ativa em outra turma neste ano letivo; encerre-a com status transferred antes';
+            return next(new ConflictError(message, { enrollment: { _id: current._id, class: current.enrollmentClass } }));
+        }
+
+        if (schoolClass.classCapacity) {
+            const enrolled = await Enrollment.countDocuments({ enrollmentClass: schoolClass._id, enrollmentStatus: ENROLLMENT_STATUS.ACTIVE });
+            if (enrolled >= schoolClass.classCapacity) {
+                return next(new ConflictError('A turma não tem vagas', { classCapacity: schoolClass.classCapacity, enrolled }));
+            }
+        }
+
+        const enrollment = await Enrollment.create({
+            enrollmentStudent: student._id,
+            enrollmentClass: schoolClass._id,
+            enrollmentSchoolYear: schoolClass.classSchoolYear,
+            enrollmentStartDate: req.body.startDate
+        });
+        await recordAudit(req, 'enrollments', AUDIT_ACTIONS.CREATE, null, enrollment);
+        res.json(enrollment);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/students/{studentId}:
+ *   delete:
+ *     summary: Encerra a matrícula ativa do estudante na turma
+ *     description: A matrícula não é apagada; ela recebe o status informado e a data de encerramento.
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [transferred, cancelled, completed]
+ *           default: cancelled
+ *         description: Situação final da matrícula
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Motivo do encerramento
+ *     responses:
+ *       200:
+ *         description: Matrícula encerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Enrollment'
+ *       400:
+ *         description: Status ou motivo inválidos
+ *       404:
+ *         description: O estudante não tem matrícula ativa na turma
+ */
+router.delete('/:id/students/:studentId', async (req, res, next) => {
+    const { status, reason } = req.query;
+    const result = validate({ status, reason }, classValidator.endEnrollment, 'update');
+    if (result.details) return next(new ValidationError(result.details));
+
+    try {
+        const enrollment = await Enrollment.findOne({
+            enrollmentClass: req.params.id,
+            enrollmentStudent: req.params.studentId,
+            enrollmentStatus: ENROLLMENT_STATUS.ACTIVE
+        });
+        if (!enrollment) return next(new NotFoundError('O estudante não tem matrícula ativa nesta turma'));
+
+        const [change] = await Enrollment.endAll([enrollment], { status: status || ENROLLMENT_STATUS.CANCELLED, reason });
+        await recordAudit(req, 'enrollments', AUDIT_ACTIONS.UPDATE, change.before, change.after);
+        res.json(change.after);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/teachers:
+ *   get:
+ *     summary: Lista os professores da turma e a disciplina de cada um
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     responses:
+ *       200:
+ *         description: Atribuições da turma, em ordem de disciplina
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TeachingAssignment'
+ *       404:
+ *         description: Turma não encontrada
+ *   post:
+ *     summary: Atribui um professor a uma disciplina da turma
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [teacher, discipline]
+ *             properties:
+ *               teacher:
+ *                 type: string
+ *                 description: ID do professor
+ *               discipline:
+ *                 type: string
+ *                 description: ID da disciplina
+ *     responses:
+ *       200:
+ *         description: Professor atribuído
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TeachingAssignment'
+ *       400:
+ *         description: Dados inválidos, professor ou disciplina inexistentes ou inativos
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: A disciplina já tem professor nesta turma (details.assignment)
+ */
+router.get('/:id/teachers', async (req, res, next) => {
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+
+        const assignments = (await TeachingAssignment.find({ assignmentClass: schoolClass._id })
+            .populate('assignmentTeacher')
+            .populate('assignmentDiscipline'))
+            .sort((a, b) => disciplineName(a).localeCompare(disciplineName(b), 'pt-BR'));
+        res.json(assignments);
+    } catch (err) {
+        next(err);
+    }
+});
+
+function disciplineName(assignment) {
+    return assignment.assignmentDiscipline ? assignment.assignmentDiscipline.disciplineName : '';
+}
+
+router.post('/:id/teachers', validateBody(classValidator.assignment), async (req, res, next) => {
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+
+        const [teacher, discipline] = await Promise.all([
+            Teacher.findById(req.body.teacher),
+            Discipline.findById(req.body.discipline)
+        ]);
+        const details = [];
+        if (!teacher) details.push({ field: 'teacher', message: 'Professor(a) não encontrado' });
+        else if (teacher.teacherStatus !== true) details.push({ field: 'teacher', message: 'Professor(a) está inativo' });
+        if (!discipline) details.push({ field: 'discipline', message: 'Disciplina não encontrada' });
+        else if (discipline.disciplineStatus === false) details.push({ field: 'discipline', message: 'Disciplina está inativa' });
+        if (details.length > 0) return next(new ValidationError(details));
+
+        const existing = await TeachingAssignment.findOne({ assignmentClass: schoolClass._id, assignmentDiscipline: discipline._id });
+        if (existing) {
+            return next(new ConflictError(
+                'A disciplina já tem professor nesta turma; remova a atribuição atual antes',
+                { assignment: { _id: existing._id, teacher: existing.assignmentTeacher } }
+            ));
+        }
+
+        const assignment = await TeachingAssignment.create({
+            assignmentTeacher: teacher._id,
+            assignmentDiscipline: discipline._id,
+            assignmentClass: schoolClass._id
+        });
+        await recordAudit(req, 'assignments', AUDIT_ACTIONS.CREATE, null, assignment);
+        res.json(assignment);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/teachers/{assignmentId}:
+ *   delete:
+ *     summary: Remove a atribuição de um professor na turma
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: path
+ *         name: assignmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da atribuição
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Quando true, retira da grade as aulas da atribuição em vez de bloquear a remoção
+ *     responses:
+ *       200:
+ *         description: Atribuição removida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TeachingAssignment'
+ *       404:
+ *         description: Atribuição não encontrada na turma
+ *       409:
+ *         description: A atribuição tem aulas na grade (listadas em details.lessons)
+ */
+router.delete('/:id/teachers/:assignmentId', async (req, res, next) => {
+    try {
+        const assignment = await TeachingAssignment.findOne({ _id: req.params.assignmentId, assignmentClass: req.params.id });
+        if (!assignment) return next(new NotFoundError('Atribuição não encontrada nesta turma'));
+
+        // As aulas da grade dependem da atribuição: bloqueiam a remoção, a menos que cascade=true peça a exclusão delas
+        const lessons = await Lesson.find({ lessonAssignment: assignment._id });
+        if (lessons.length > 0) {
+            if (req.query.cascade !== 'true') {
+                return next(new ConflictError(
+                    'A atribuição tem aulas na grade; retire-as ou use cascade=true',
+                    { lessons: lessons.map(lesson => ({ _id: lesson._id, weekday: lesson.lessonWeekday, start: lesson.lessonStart })) }
+                ));
+            }
+            await Lesson.deleteMany({ _id: { $in: lessons.map(lesson => lesson._id) } });
+            await recordAuditBatch(req, 'lessons', AUDIT_ACTIONS.PURGE, lessons.map(lesson => ({ before: lesson, after: null })));
+        }
+
+        await TeachingAssignment.deleteOne({ _id: assignment._id });
+        await recordAudit(req, 'assignments', AUDIT_ACTIONS.PURGE, assignment, null);
+        res.json(assignment);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Aulas da turma com professor, disciplina e período; teacherInactive indica aulas cujo professor
+// foi desativado e precisa ser substituído
+function populateLessons(query) {
+    return query.populate('lessonTeacher').populate('lessonDiscipline').populate('lessonPeriod');
+}
+
+function lessonView(lesson) {
+    return { ...lesson.toJSON(), teacherInactive: !lesson.lessonTeacher || lesson.lessonTeacher.teacherStatus !== true };
+}
+
+/**
+ * @swagger
+ * /classes/{id}/timetable:
+ *   get:
+ *     summary: Grade horária semanal da turma
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: query
+ *         name: weekday
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Restringe a um dia da semana, pelo número (0 = domingo) ou pelo nome, como terça
+ *     responses:
+ *       200:
+ *         description: Aulas da turma, por dia e horário
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Lesson'
+ *                   - properties:
+ *                       teacherInactive:
+ *                         type: boolean
+ *                         description: O professor da aula está inativo ou foi excluído
+ *       400:
+ *         description: Dia da semana inválido
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.get('/:id/timetable', async (req, res, next) => {
+    const weekday = req.query.weekday === undefined ? undefined : parseWeekday(req.query.weekday);
+    if (weekday === null) return next(new BadRequestError('weekday deve ser um número de 0 (domingo) a 6 (sábado) ou o nome do dia'));
+
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+
+        const filter = { lessonClass: schoolClass._id };
+        if (weekday !== undefined) filter.lessonWeekday = weekday;
+
+        const lessons = await populateLessons(Lesson.find(filter).sort({ lessonWeekday: 1, lessonStart: 1 }));
+        res.json(lessons.map(lessonView));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/now:
+ *   get:
+ *     summary: Aula que a turma está tendo agora (ou no momento informado) e a próxima aula do dia
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Momento consultado (padrão, agora); o horário é o do fuso do servidor
+ *     responses:
+ *       200:
+ *         description: Aula atual e próxima aula (null quando não há)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 at:
+ *                   type: string
+ *                   format: date-time
+ *                 weekday:
+ *                   type: integer
+ *                 time:
+ *                   type: string
+ *                   description: Horário consultado (HH:mm)
+ *                 current:
+ *                   $ref: '#/components/schemas/Lesson'
+ *                 next:
+ *                   $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Data inválida
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.get('/:id/now', async (req, res, next) => {
+    const at = req.query.at === undefined ? new Date() : new Date(req.query.at);
+    if (isNaN(at.getTime())) return next(new BadRequestError('at deve ser uma data e hora válida'));
+
+    try {
+        const schoolClass = await SchoolClass.findById(req.params.id);
+        if (!schoolClass) return next(new NotFoundError('Turma não encontrada'));
+
+        const { weekday, time } = weekdayAndTime(at);
+        const lessons = await populateLessons(Lesson.find({
+            lessonClass: schoolClass._id,
+            lessonWeekday: weekday,
+            lessonEnd: { $gt: time }
+        }).sort({ lessonStart: 1 }));
+
+        const current = lessons.find(lesson => lesson.lessonStart <= time);
+        const upcoming = lessons.find(lesson => lesson.lessonStart > time);
+        res.json({
+            at,
+            weekday,
+            time,
+            current: current ? lessonView(current) : null,
+            next: upcoming ? lessonView(upcoming) : null
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Discipline = require('../models/Discipline');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const { validateBody } = require('../middlewares/validate');
+const disciplineValidator = require('../validators/disciplines');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, registerTrashRoutes } = require('../utils/trash');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+mongoose.connect('mongodb://localhost:27017');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Discipline:
+ *       type: object
+ *       required:
+ *         - disciplineName
+ *       properties:
+ *         disciplineName:
+ *           type: string
+ *           description: Nome da disciplina (único)
+ *         disciplineCode:
+ *           type: string
+ *           description: Sigla da disciplina (única, guardada em maiúsculas)
+ *         disciplineDescription:
+ *           type: string
+ *           description: Ementa ou observações
+ *         disciplineWorkload:
+ *           type: integer
+ *           description: Carga horária anual, em horas
+ *         disciplineStatus:
+ *           type: boolean
+ *           default: true
+ *           description: Se a disciplina está sendo oferecida
+ *       example:
+ *         disciplineName: Matemática
+ *         disciplineCode: MAT
+ *         disciplineWorkload: 160
+ *         disciplineStatus: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Disciplines
+ *     description: Catálogo de disciplinas oferecidas pela escola
+ */
+
+/**
+ * @swagger
+ * /disciplines:
+ *   get:
+ *     summary: Retorna uma lista paginada das disciplinas
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lista de disciplinas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Discipline'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
+ */
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Discipline, { defaultSort: 'disciplineName' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        res.json(await paginate(req, Discipline, {}, listOptions));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /disciplines/trash:
+ *   get:
+ *     summary: Lista as disciplinas excluídas (lixeira)
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lixeira, das excluídas mais recentemente para as mais antigas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Discipline'
+ *       403:
+ *         description: Usuário sem permissão para excluir disciplinas
+ *
+ * /disciplines/{id}/restore:
+ *   post:
+ *     summary: Restaura uma disciplina da lixeira
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da disciplina
+ *     responses:
+ *       200:
+ *         description: Disciplina restaurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Discipline'
+ *       404:
+ *         description: Disciplina não encontrada na lixeira
+ *
+ * /disciplines/{id}/purge:
+ *   delete:
+ *     summary: Exclui definitivamente uma disciplina que está na lixeira (somente administradores)
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da disciplina
+ *     responses:
+ *       200:
+ *         description: Registro excluído definitivamente
+ *       403:
+ *         description: Apenas administradores podem excluir definitivamente
+ *       404:
+ *         description: Disciplina não encontrada na lixeira
+ */
+registerTrashRoutes(router, Discipline, { resource: 'disciplines', notFoundMessage: 'Disciplina não encontrada' });
+
+/**
+ * @swagger
+ * /disciplines/export:
+ *   get:
+ *     summary: Exporta as disciplinas em CSV ou JSON
+ *     description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação.
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *         description: Formato do arquivo
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Arquivo com os registros encontrados
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Discipline'
+ *       400:
+ *         description: Formato, filtros ou ordenação inválidos
+ */
+registerExportRoute(router, Discipline, { resource: 'disciplines', filename: 'disciplinas', defaultSort: 'disciplineName' });
+
+/**
+ * @swagger
+ * /disciplines/{id}:
+ *   get:
+ *     summary: Retorna uma disciplina pelo ID
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da disciplina
+ *     responses:
+ *       200:
+ *         description: Dados da disciplina
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Discipline'
+ *       404:
+ *         description: Disciplina não encontrada
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const discipline = await Discipline.findById(req.params.id);
+        if (!discipline) return next(new NotFoundError('Disciplina não encontrada'));
+        setETag(res, discipline);
+        res.json(discipline);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /disciplines:
+ *   post:
+ *     summary: Cadastra uma disciplina
+ *     tags: [Disciplines]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Discipline'
+ *     responses:
+ *       200:
+ *         description: Disciplina cadastrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Discipline'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Já existe uma disciplina com este nome ou sigla
+ */
+router.post('/', validateBody(disciplineValidator.fields), async (req, res, next) => {
+    try {
+        const discipline = await Discipline.create(req.body);
+        await recordAudit(req, 'disciplines', AUDIT_ACTIONS.CREATE, null, discipline);
+        res.json(discipline);
+    } catch (err) {
+        next(err);
+    }
+});
+
+async function updateDiscipline(req, res, next) {
+    try {
+        const { before, after: discipline } = await updateVersioned(req, Discipline, req.params.id, req.body);
+        if (!discipline) return next(new NotFoundError('Disciplina não encontrada'));
+        await recordAudit(req, 'disciplines', AUDIT_ACTIONS.UPDATE, before, discipline);
+        setETag(res, discipline);
+        res.json(discipline);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * @swagger
+ * /disciplines/{id}:
+ *   put:
+ *     summary: Atualiza uma disciplina pelo ID
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da disciplina
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Discipline'
+ *     responses:
+ *       200:
+ *         description: Disciplina atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Discipline'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Disciplina não encontrada
+ *       409:
+ *         description: Já existe uma disciplina com este nome ou sigla
+ *       412:
+ *         description: A disciplina foi alterada desde a leitura (If-Match desatualizado)
+ *   patch:
+ *     summary: Altera apenas os campos informados de uma disciplina
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da disciplina
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Discipline'
+ *     responses:
+ *       200:
+ *         description: Disciplina atualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Discipline'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Disciplina não encontrada
+ *       409:
+ *         description: Já existe uma disciplina com este nome ou sigla
+ *       412:
+ *         description: A disciplina foi alterada desde a leitura (If-Match desatualizado)
+ */
+router.put('/:id', validateBody(disciplineValidator.fields, 'update'), updateDiscipline);
+router.patch('/:id', validateBody(disciplineValidator.fields, 'patch'), updateDiscipline);
+
+/**
+ * @swagger
+ * /disciplines/{id}:
+ *   delete:
+ *     summary: Move uma disciplina para a lixeira
+ *     tags: [Disciplines]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da disciplina
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: Disciplina movida para a lixeira
+ *       404:
+ *         description: Disciplina não encontrada
+ *       409:
+ *         description: A disciplina tem professores atribuídos em turmas (a lista vem em details.assignments)
+ *       412:
+ *         description: A disciplina foi alterada desde a leitura (If-Match desatualizado)
+ */
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const discipline = await Discipline.findById(req.params.id);
+        if (!discipline) return next(new NotFoundError('Disciplina não encontrada'));
+        checkIfMatch(req, discipline);
+
+        // As atribuições precisam ser removidas antes, em DELETE /classes/:id/teachers/:assignmentId
+        const assignments = await TeachingAssignment.find({ assignmentDiscipline: discipline._id });
+        if (assignments.length > 0) {
+            return next(new ConflictError(
+                'A disciplina tem professores atribuídos em turmas; remova as atribuições antes de excluí-la',
+                { assignments: assignments.map(assignment => ({ _id: assignment._id, class: assignment.assignmentClass, teacher: assignment.assignmentTeacher })) }
+            ));
+        }
+
+        const { before, after: deletedDiscipline } = await moveToTrash(req, Discipline, discipline._id);
+        if (!deletedDiscipline) return next(new NotFoundError('Disciplina não encontrada'));
+        await recordAudit(req, 'disciplines', AUDIT_ACTIONS.DELETE, before, deletedDiscipline);
+        res.json(deletedDiscipline);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
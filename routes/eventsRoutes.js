@@ -1,17 +1,24 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
+const Event = require('../models/Event');
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const { ENROLLMENT_STATUS } = require('../models/Enrollment');
+const { expandRecurrence } = require('../utils/recurrence');
+const { validateBody } = require('../middlewares/validate');
+const eventValidator = require('../validators/events');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { likeCondition } = require('../utils/filtering');
+const { BadRequestError, ValidationError, NotFoundError } = require('../utils/errors');
+const { setETag, checkIfMatch, bumpVersion, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, moveManyToTrash, registerTrashRoutes } = require('../utils/trash');
+const { recipientsForStudents, groupByRecipient } = require('../utils/guardians');
+const { AUDIT_ACTIONS, recordAudit, recordAuditBatch } = require('../utils/audit');
 
 mongoose.connect('mongodb://localhost:27017');
 
-const eventSchema = new mongoose.Schema({
-    description: { type: String, required: true },
-    date: { type: String, required: true },
-    comments: { type: String, required: true }
-});
-
-const Event = mongoose.model('Event', eventSchema);
-
 /**
  * @swagger
  * components:
@@ -33,6 +40,12 @@ const Event = mongoose.model('Event', eventSchema);
  *         comments:
  *           type: string
  *           description: Comentários sobre o evento
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         seriesId:
+ *           type: string
+ *           readOnly: true
+ *           description: ID da série, presente nos eventos recorrentes
  *       example:
  *         description: "Reunião de equipe"
  *         date: "2024-05-20T14:30:00Z"
@@ -51,24 +64,38 @@ const Event = mongoose.model('Event', eventSchema);
  * @swagger
  * /events:
  *   get:
- *     summary: Retorna uma lista de todos os eventos
+ *     summary: Retorna uma lista paginada dos eventos
  *     tags: [Events]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
  *     responses:
  *       200:
- *         description: A lista de eventos
+ *         description: Página da lista de eventos
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Event'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Event, { defaultSort: 'date' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
     try {
-        const events = await Event.find();
+        const events = await paginate(req, Event, {}, listOptions);
         res.json(events);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -77,6 +104,7 @@ router.get('/', async (req, res) => {
  * /events/search:
  *   get:
  *     summary: Pesquisa eventos por descrição e/ou data
+ *     description: Mantida por compatibilidade; equivale a GET /events?description[like]=...&date[gte]=...
  *     tags: [Events]
  *     parameters:
  *       - in: query
@@ -103,27 +131,89 @@ router.get('/', async (req, res) => {
  *       400:
  *         description: Parâmetros de consulta inválidos
  */
-router.get('/search', async (req, res) => {
+router.get('/search', async (req, res, next) => {
     const { description, date } = req.query;
     const filters = {};
 
     if (description) {
-        filters.description = new RegExp(description, 'i'); // Filtro para buscar pela descrição (case-insensitive)
+        filters.description = likeCondition(description); // Filtro para buscar pela descrição (case-insensitive)
     }
 
     if (date) {
         const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(date)) {
-            return res.status(400).json({ error: "Formato de data inválido. Use YYYY-MM-DD." });
+        const day = new Date(`${date}T00:00:00Z`);
+        if (!dateRegex.test(date) || isNaN(day.getTime())) {
+            return next(new BadRequestError("Formato de data inválido. Use YYYY-MM-DD."));
         }
-        filters.date = { $regex: `^${date}` }; // Filtro para buscar pela data
+        filters.date = { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) }; // Eventos do dia (UTC)
     }
 
     try {
         const events = await Event.find(filters);
         res.json(events);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /events/occurrences:
+ *   get:
+ *     summary: Lista as ocorrências de eventos em um período
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: true
+ *         description: Início do período
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: true
+ *         description: Fim do período
+ *       - in: query
+ *         name: seriesId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Restringe às ocorrências de uma série recorrente
+ *     responses:
+ *       200:
+ *         description: Ocorrências do período, em ordem de data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Parâmetros de consulta inválidos
+ */
+router.get('/occurrences', async (req, res, next) => {
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return next(new BadRequestError("Informe from e to válidos, com from anterior a to"));
+    }
+
+    const filters = {};
+    if (req.query.seriesId) {
+        if (!mongoose.isValidObjectId(req.query.seriesId)) return next(new BadRequestError("ID da série inválido"));
+        filters.seriesId = req.query.seriesId;
+    }
+
+    try {
+        const events = await Event.find({ ...filters, date: { $gte: from, $lt: to } }).sort({ date: 1 });
+        res.json(events);
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -131,7 +221,7 @@ router.get('/search', async (req, res) => {
  * @swagger
  * /events:
  *   post:
- *     summary: Cria um novo evento
+ *     summary: Cria um novo evento (ou uma série, quando recurrence é informado)
  *     tags: [Events]
  *     requestBody:
  *       required: true
@@ -146,14 +236,170 @@ router.get('/search', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody(eventValidator.fields), async (req, res, next) => {
+    const { recurrence } = req.body;
+
+    if (recurrence === undefined) {
+        try {
+            const newEvent = new Event(req.body);
+            await newEvent.save();
+            await recordAudit(req, 'events', AUDIT_ACTIONS.CREATE, null, newEvent);
+            return res.json(newEvent);
+        } catch (err) {
+            return next(err);
+        }
+    }
+
+    // Evento recorrente: cria uma ocorrência por data gerada pela regra
+    let dates;
+    try {
+        dates = expandRecurrence(new Date(req.body.date), recurrence);
+    } catch (err) {
+        return next(new ValidationError([{ field: 'recurrence', message: err.message }]));
+    }
+
     try {
-        const newEvent = new Event(req.body);
-        await newEvent.save();
-        res.json(newEvent);
+        const seriesId = new mongoose.Types.ObjectId();
+        const occurrences = dates.map(date => new Event({
+            ...req.body,
+            date,
+            seriesId
+        }));
+
+        await Event.insertMany(occurrences);
+        await recordAuditBatch(req, 'events', AUDIT_ACTIONS.CREATE, occurrences.map(occurrence => ({ before: null, after: occurrence })));
+        res.json({ seriesId, occurrences });
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /events/trash:
+ *   get:
+ *     summary: Lista os eventos excluídos (lixeira)
+ *     tags: [Events]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lixeira, dos excluídos mais recentemente para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: Usuário sem permissão para excluir eventos
+ *
+ * /events/{id}/restore:
+ *   post:
+ *     summary: Restaura um evento da lixeira
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *     responses:
+ *       200:
+ *         description: Evento restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       404:
+ *         description: Evento não encontrado na lixeira
+ *
+ * /events/{id}/purge:
+ *   delete:
+ *     summary: Exclui definitivamente um evento que está na lixeira (somente administradores)
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *     responses:
+ *       200:
+ *         description: Registro excluído definitivamente
+ *       403:
+ *         description: Apenas administradores podem excluir definitivamente
+ *       404:
+ *         description: Evento não encontrado na lixeira
+ */
+// Lixeira: GET /trash, POST /:id/restore e DELETE /:id/purge
+registerTrashRoutes(router, Event, { resource: 'events', notFoundMessage: 'Evento não encontrado' });
+
+/**
+ * @swagger
+ * /events/export:
+ *   get:
+ *     summary: Exporta os eventos em CSV, JSON ou iCalendar
+ *     description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação. Com format=ics, retorna um calendário que pode ser assinado em aplicativos de calendário.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ics]
+ *           default: json
+ *         description: Formato do arquivo
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *       - in: query
+ *         name: calendarToken
+ *         schema:
+ *           type: string
+ *         description: Token de agenda (POST /auth/calendar-token), para aplicativos de calendário que não enviam o token de acesso; vale apenas com format=ics
+ *     responses:
+ *       200:
+ *         description: Arquivo com os registros encontrados
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Event'
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Formato, filtros ou ordenação inválidos
+ */
+registerExportRoute(router, Event, {
+    resource: 'events',
+    filename: 'eventos',
+    defaultSort: 'date',
+    calendarName: 'Eventos',
+    toCalendarEvent: event => {
+        if (!event.date) return null;
+        return { id: event._id, start: event.date, summary: event.description, description: event.comments, sequence: event.__v };
     }
 });
 
@@ -180,13 +426,75 @@ router.post('/', async (req, res) => {
  *       404:
  *         description: Evento não encontrado
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
     try {
         const event = await Event.findById(req.params.id);
-        if (!event) return res.status(404).json({ error: "Evento não encontrado" });
+        if (!event) return next(new NotFoundError("Evento não encontrado"));
+        setETag(res, event);
         res.json(event);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /events/{id}/recipients:
+ *   get:
+ *     summary: Para quem enviar o aviso do evento
+ *     description: Um destinatário por responsável (irmãos com o mesmo contato recebem um único aviso), escolhido para cada estudante ativo como em GET /appointments/{id}/recipients.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: ID da turma, para avisar só os estudantes matriculados nela
+ *     responses:
+ *       200:
+ *         description: Destinatários em ordem de nome, cada um com os estudantes a que o aviso se refere
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/NotificationRecipient'
+ *                   - properties:
+ *                       students:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: ID de turma inválido
+ *       404:
+ *         description: Evento não encontrado
+ */
+router.get('/:id/recipients', async (req, res, next) => {
+    if (req.query.class !== undefined && !mongoose.isValidObjectId(req.query.class)) {
+        return next(new BadRequestError('class deve ser o ID de uma turma'));
+    }
+
+    try {
+        const event = await Event.findById(req.params.id);
+        if (!event) return next(new NotFoundError("Evento não encontrado"));
+
+        const filter = { studentsStatus: true };
+        if (req.query.class) {
+            const enrollments = await Enrollment.find({ enrollmentClass: req.query.class, enrollmentStatus: ENROLLMENT_STATUS.ACTIVE });
+            filter._id = { $in: enrollments.map(enrollment => enrollment.enrollmentStudent) };
+        }
+        const students = await Student.find(filter);
+        res.json(groupByRecipient(await recipientsForStudents(students)));
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -203,6 +511,14 @@ router.get('/:id', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID do evento
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following]
+ *         required: false
+ *         description: Em eventos recorrentes, following altera também as ocorrências seguintes (retorna a lista)
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -212,28 +528,111 @@ router.get('/:id', async (req, res) => {
  *     responses:
  *       200:
  *         description: Evento atualizado com sucesso
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       404:
  *         description: Evento não encontrado
+ *       412:
+ *         description: O evento foi alterado desde a leitura (If-Match desatualizado)
  */
-router.put('/:id', async (req, res) => {
+// PUT e PATCH compartilham a alteração; a diferença está só na validação do corpo (completo ou parcial)
+async function updateEvent(req, res, next) {
+    const scope = req.query.scope || 'this';
+    if (!['this', 'following'].includes(scope)) {
+        return next(new BadRequestError('scope deve ser "this" ou "following"'));
+    }
+
     try {
-        const updatedEvent = await Event.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true }
-        );
-        if (!updatedEvent) return res.status(404).json({ error: "Evento não encontrado" });
-        res.json(updatedEvent);
+        const currentEvent = await Event.findById(req.params.id);
+        if (!currentEvent) return next(new NotFoundError("Evento não encontrado"));
+        checkIfMatch(req, currentEvent);
+
+        if (scope === 'this' || !currentEvent.seriesId) {
+            const { before, after: updatedEvent } = await updateVersioned(req, Event, req.params.id, req.body);
+            if (!updatedEvent) return next(new NotFoundError("Evento não encontrado"));
+            await recordAudit(req, 'events', AUDIT_ACTIONS.UPDATE, before, updatedEvent);
+            setETag(res, updatedEvent);
+            return res.json(scope === 'this' ? updatedEvent : [updatedEvent]);
+        }
+
+        // Esta ocorrência e as seguintes recebem as alterações; a mudança de data vira um deslocamento
+        const following = await Event.find({ seriesId: currentEvent.seriesId, date: { $gte: currentEvent.date } });
+        const shift = req.body.date !== undefined
+            ? new Date(req.body.date).getTime() - currentEvent.date.getTime()
+            : 0;
+
+        const changes = [];
+        for (const event of following) {
+            const updatedEvent = await Event.findByIdAndUpdate(event._id, bumpVersion({
+                ...req.body,
+                date: new Date(event.date.getTime() + shift)
+            }), { new: true });
+            if (updatedEvent) changes.push({ before: event, after: updatedEvent });
+        }
+        await recordAuditBatch(req, 'events', AUDIT_ACTIONS.UPDATE, changes);
+
+        const updatedEvents = changes.map(change => change.after);
+
+        res.json(updatedEvents.sort((a, b) => a.date - b.date));
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        next(err);
     }
-});
+}
+
+router.put('/:id', validateBody(eventValidator.updateFields, 'update'), updateEvent);
+
+/**
+ * @swagger
+ * /events/{id}:
+ *   patch:
+ *     summary: Altera apenas os campos informados de um evento
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following]
+ *         required: false
+ *         description: Em eventos recorrentes, following altera também as ocorrências seguintes (retorna a lista)
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Event'
+ *     responses:
+ *       200:
+ *         description: Evento atualizado com sucesso
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Evento não encontrado
+ *       412:
+ *         description: O evento foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.patch('/:id', validateBody(eventValidator.updateFields, 'patch'), updateEvent);
 
 /**
  * @swagger
  * /events/{id}:
  *   delete:
- *     summary: Remove um evento pelo ID
+ *     summary: Move um evento para a lixeira
  *     tags: [Events]
  *     parameters:
  *       - in: path
@@ -242,19 +641,41 @@ router.put('/:id', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID do evento
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, following]
+ *         required: false
+ *         description: Em eventos recorrentes, following remove também as ocorrências seguintes
+ *       - $ref: '#/components/parameters/ifMatch'
  *     responses:
  *       200:
- *         description: Evento removido com sucesso
+ *         description: Evento movido para a lixeira
  *       404:
  *         description: Evento não encontrado
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', async (req, res, next) => {
+    const scope = req.query.scope || 'this';
+    if (!['this', 'following'].includes(scope)) {
+        return next(new BadRequestError('scope deve ser "this" ou "following"'));
+    }
+
     try {
-        const deletedEvent = await Event.findByIdAndDelete(req.params.id);
-        if (!deletedEvent) return res.status(404).json({ error: "Evento não encontrado" });
+        const { before, after: deletedEvent } = await moveToTrash(req, Event, req.params.id);
+        if (!deletedEvent) return next(new NotFoundError("Evento não encontrado"));
+        await recordAudit(req, 'events', AUDIT_ACTIONS.DELETE, before, deletedEvent);
+
+        if (scope === 'following' && deletedEvent.seriesId) {
+            const following = await Event.find({ seriesId: deletedEvent.seriesId, date: { $gt: deletedEvent.date } });
+            const trashed = await moveManyToTrash(req, Event, following, deletedEvent.deletedAt);
+            await recordAuditBatch(req, 'events', AUDIT_ACTIONS.DELETE, trashed);
+            return res.json({ deleted: [deletedEvent, ...following] });
+        }
+
         res.json(deletedEvent);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -0,0 +1,197 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const GradingPolicy = require('../models/GradingPolicy');
+const Assessment = require('../models/Assessment');
+const { validateBody } = require('../middlewares/validate');
+const gradingPolicyValidator = require('../validators/gradingPolicies');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const { setETag, updateVersioned } = require('../utils/concurrency');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+mongoose.connect('mongodb://localhost:27017');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GradingPolicy:
+ *       type: object
+ *       properties:
+ *         gradingSchoolYear:
+ *           type: integer
+ *           description: Ano letivo
+ *         gradingTerms:
+ *           type: integer
+ *           default: 4
+ *           description: Quantidade de períodos (4 = bimestres, 3 = trimestres, 2 = semestres)
+ *         gradingTermWeights:
+ *           type: array
+ *           items:
+ *             type: number
+ *           description: Peso de cada período na média final (vazio = pesos iguais)
+ *         gradingMaxScore:
+ *           type: number
+ *           default: 10
+ *           description: Nota máxima das médias
+ *         gradingPassingGrade:
+ *           type: number
+ *           default: 6
+ *           description: Média final mínima para aprovação
+ *         gradingMinimumAttendance:
+ *           type: number
+ *           default: 75
+ *           description: Frequência mínima para aprovação, em %
+ *         gradingDecimals:
+ *           type: integer
+ *           default: 1
+ *           description: Casas decimais das médias
+ *       example:
+ *         gradingTerms: 3
+ *         gradingTermWeights: [3, 3, 4]
+ *         gradingMaxScore: 10
+ *         gradingPassingGrade: 7
+ *         gradingMinimumAttendance: 75
+ *         gradingDecimals: 1
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: GradingPolicies
+ *     description: Regras de cálculo das médias e da aprovação de cada ano letivo
+ */
+
+function parseSchoolYear(value) {
+    const schoolYear = Number(value);
+    return Number.isInteger(schoolYear) && schoolYear >= 2000 && schoolYear <= 2100 ? schoolYear : null;
+}
+
+/**
+ * @swagger
+ * /grading-policies:
+ *   get:
+ *     summary: Lista as regras cadastradas, do ano letivo mais recente para o mais antigo
+ *     tags: [GradingPolicies]
+ *     responses:
+ *       200:
+ *         description: Regras cadastradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/GradingPolicy'
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        res.json(await GradingPolicy.find().sort({ gradingSchoolYear: -1 }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /grading-policies/{year}:
+ *   get:
+ *     summary: Regra de um ano letivo (a regra padrão, se o ano não tiver uma cadastrada)
+ *     tags: [GradingPolicies]
+ *     parameters:
+ *       - in: path
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Ano letivo
+ *     responses:
+ *       200:
+ *         description: Regra do ano letivo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GradingPolicy'
+ *       400:
+ *         description: Ano letivo inválido
+ *   put:
+ *     summary: Define a regra de um ano letivo
+ *     description: Os campos não enviados voltam ao valor padrão.
+ *     tags: [GradingPolicies]
+ *     parameters:
+ *       - in: path
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Ano letivo
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GradingPolicy'
+ *     responses:
+ *       200:
+ *         description: Regra gravada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GradingPolicy'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       409:
+ *         description: Já há avaliações em um período que deixaria de existir
+ *       412:
+ *         description: A regra foi alterada desde a leitura (If-Match desatualizado)
+ */
+router.get('/:year', async (req, res, next) => {
+    const schoolYear = parseSchoolYear(req.params.year);
+    if (!schoolYear) return next(new BadRequestError('O ano letivo deve ser um ano de 2000 a 2100'));
+
+    try {
+        const policy = await GradingPolicy.forYear(schoolYear);
+        setETag(res, policy);
+        res.json(policy);
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.put('/:year', validateBody(gradingPolicyValidator.fields, 'update'), async (req, res, next) => {
+    const schoolYear = parseSchoolYear(req.params.year);
+    if (!schoolYear) return next(new BadRequestError('O ano letivo deve ser um ano de 2000 a 2100'));
+
+    try {
+        // Todos os campos são gravados: os que não vieram recebem o valor padrão do model
+        const values = new GradingPolicy({ ...req.body, gradingSchoolYear: schoolYear }).toObject();
+        delete values._id;
+        delete values.__v;
+        delete values.grading_create_date;
+
+        const lastTerm = await Assessment.findOne({ assessmentSchoolYear: schoolYear, assessmentTerm: { $gt: values.gradingTerms } });
+        if (lastTerm) {
+            return next(new ConflictError(
+                `Já há avaliações no ${lastTerm.assessmentTerm}º período; mude-as de período antes de reduzir a quantidade de períodos`,
+                { assessment: { _id: lastTerm._id, assessmentTerm: lastTerm.assessmentTerm } }
+            ));
+        }
+
+        const current = await GradingPolicy.findOne({ gradingSchoolYear: schoolYear });
+        if (!current) {
+            const policy = await GradingPolicy.create(values);
+            await recordAudit(req, 'gradingPolicies', AUDIT_ACTIONS.CREATE, null, policy);
+            setETag(res, policy);
+            return res.json(policy);
+        }
+
+        const { before, after: policy } = await updateVersioned(req, GradingPolicy, current._id, values);
+        await recordAudit(req, 'gradingPolicies', AUDIT_ACTIONS.UPDATE, before, policy);
+        setETag(res, policy);
+        res.json(policy);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
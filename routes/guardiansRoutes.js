@@ -0,0 +1,471 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Guardian = require('../models/Guardian');
+const Guardianship = require('../models/Guardianship');
+const { validateBody } = require('../middlewares/validate');
+const guardianValidator = require('../validators/guardians');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { moveToTrash, registerTrashRoutes } = require('../utils/trash');
+const { promoteNextPrimary } = require('../utils/guardians');
+const { AUDIT_ACTIONS, recordAudit, recordAuditBatch } = require('../utils/audit');
+
+mongoose.connect('mongodb://localhost:27017');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Guardian:
+ *       type: object
+ *       required:
+ *         - guardianName
+ *         - guardianPhones
+ *       properties:
+ *         guardianName:
+ *           type: string
+ *           description: Nome do responsável
+ *         guardianDocument:
+ *           type: string
+ *           description: CPF do responsável (único); aceita pontuação e é guardado só com os dígitos
+ *         guardianPhones:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Telefones com DDD, do principal para os demais (até 5)
+ *         guardianEmail:
+ *           type: string
+ *           description: E-mail do responsável
+ *         guardianNotes:
+ *           type: string
+ *           description: Observações, como horários em que pode ser contatado
+ *       example:
+ *         guardianName: Maria Silva
+ *         guardianDocument: 529.982.247-25
+ *         guardianPhones: ["(48) 99905-5949", "4833334444"]
+ *         guardianEmail: maria.silva@email.com
+ *     Guardianship:
+ *       type: object
+ *       properties:
+ *         guardianshipStudent:
+ *           type: string
+ *         guardianshipGuardian:
+ *           $ref: '#/components/schemas/Guardian'
+ *         guardianshipRelationship:
+ *           type: string
+ *           enum: [mother, father, stepmother, stepfather, grandparent, sibling, uncle_aunt, legal_guardian, other]
+ *           description: Parentesco com o estudante
+ *         guardianshipLegalCustody:
+ *           type: boolean
+ *           description: Se detém a guarda legal do estudante
+ *         guardianshipPrimary:
+ *           type: boolean
+ *           description: Se é o contato principal do estudante, que recebe os avisos
+ *         guardianshipCanPickUp:
+ *           type: boolean
+ *           description: Se está autorizado a buscar o estudante na escola
+ *     NotificationRecipient:
+ *       type: object
+ *       description: Para quem enviar os avisos de um estudante
+ *       properties:
+ *         source:
+ *           type: string
+ *           enum: [primary, legal_custody, student]
+ *           description: primary = contato principal; legal_custody = primeiro responsável com a guarda legal, quando não há contato principal; student = telefone do cadastro do estudante, quando não há nenhum dos dois
+ *         guardian:
+ *           type: string
+ *           nullable: true
+ *           description: ID do responsável
+ *         name:
+ *           type: string
+ *         relationship:
+ *           type: string
+ *           nullable: true
+ *         phones:
+ *           type: array
+ *           items:
+ *             type: string
+ *         email:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Guardians
+ *     description: Cadastro dos responsáveis pelos estudantes (os vínculos ficam em /students/{id}/guardians)
+ */
+
+/**
+ * @swagger
+ * /guardians:
+ *   get:
+ *     summary: Retorna uma lista paginada dos responsáveis
+ *     tags: [Guardians]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lista de responsáveis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Guardian'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
+ */
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Guardian, { defaultSort: 'guardianName' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        res.json(await paginate(req, Guardian, {}, listOptions));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /guardians/trash:
+ *   get:
+ *     summary: Lista os responsáveis excluídos (lixeira)
+ *     tags: [Guardians]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lixeira, dos excluídos mais recentemente para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Guardian'
+ *       403:
+ *         description: Usuário sem permissão para excluir responsáveis
+ *
+ * /guardians/{id}/restore:
+ *   post:
+ *     summary: Restaura um responsável da lixeira
+ *     description: Os vínculos removidos na exclusão não são restaurados.
+ *     tags: [Guardians]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       200:
+ *         description: Responsável restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardian'
+ *       404:
+ *         description: Responsável não encontrado na lixeira
+ *
+ * /guardians/{id}/purge:
+ *   delete:
+ *     summary: Exclui definitivamente um responsável que está na lixeira (somente administradores)
+ *     tags: [Guardians]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       200:
+ *         description: Registro excluído definitivamente
+ *       403:
+ *         description: Apenas administradores podem excluir definitivamente
+ *       404:
+ *         description: Responsável não encontrado na lixeira
+ */
+registerTrashRoutes(router, Guardian, { resource: 'guardians', notFoundMessage: 'Responsável não encontrado' });
+
+/**
+ * @swagger
+ * /guardians/{id}:
+ *   get:
+ *     summary: Retorna um responsável pelo ID
+ *     tags: [Guardians]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       200:
+ *         description: Dados do responsável
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardian'
+ *       404:
+ *         description: Responsável não encontrado
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const guardian = await Guardian.findById(req.params.id);
+        if (!guardian) return next(new NotFoundError('Responsável não encontrado'));
+        setETag(res, guardian);
+        res.json(guardian);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /guardians/{id}/students:
+ *   get:
+ *     summary: Estudantes vinculados ao responsável, com o parentesco e as autorizações de cada vínculo
+ *     tags: [Guardians]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       200:
+ *         description: Vínculos do responsável, em ordem de nome do estudante (guardianshipStudent populado)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Guardianship'
+ *       404:
+ *         description: Responsável não encontrado
+ */
+router.get('/:id/students', async (req, res, next) => {
+    try {
+        const guardian = await Guardian.findById(req.params.id);
+        if (!guardian) return next(new NotFoundError('Responsável não encontrado'));
+
+        // Estudantes na lixeira não são populados e ficam de fora
+        const guardianships = (await Guardianship.find({ guardianshipGuardian: guardian._id }).populate('guardianshipStudent'))
+            .filter(guardianship => guardianship.guardianshipStudent)
+            .sort((a, b) => a.guardianshipStudent.studentsName.localeCompare(b.guardianshipStudent.studentsName, 'pt-BR'));
+        res.json(guardianships);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /guardians:
+ *   post:
+ *     summary: Cadastra um responsável
+ *     description: Depois de cadastrado, o responsável é vinculado a cada estudante em POST /students/{id}/guardians.
+ *     tags: [Guardians]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Guardian'
+ *     responses:
+ *       200:
+ *         description: Responsável cadastrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardian'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Já existe um responsável com o mesmo CPF
+ */
+router.post('/', validateBody(guardianValidator.fields), async (req, res, next) => {
+    try {
+        const guardian = await Guardian.create(req.body);
+        await recordAudit(req, 'guardians', AUDIT_ACTIONS.CREATE, null, guardian);
+        res.json(guardian);
+    } catch (err) {
+        next(err);
+    }
+});
+
+async function updateGuardian(req, res, next) {
+    try {
+        const { before, after: guardian } = await updateVersioned(req, Guardian, req.params.id, req.body);
+        if (!guardian) return next(new NotFoundError('Responsável não encontrado'));
+        await recordAudit(req, 'guardians', AUDIT_ACTIONS.UPDATE, before, guardian);
+        setETag(res, guardian);
+        res.json(guardian);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * @swagger
+ * /guardians/{id}:
+ *   put:
+ *     summary: Atualiza um responsável pelo ID
+ *     tags: [Guardians]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Guardian'
+ *     responses:
+ *       200:
+ *         description: Responsável atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardian'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Responsável não encontrado
+ *       409:
+ *         description: Já existe um responsável com o mesmo CPF
+ *       412:
+ *         description: O responsável foi alterado desde a leitura (If-Match desatualizado)
+ *   patch:
+ *     summary: Altera apenas os campos informados de um responsável
+ *     tags: [Guardians]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Guardian'
+ *     responses:
+ *       200:
+ *         description: Responsável atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardian'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Responsável não encontrado
+ *       409:
+ *         description: Já existe um responsável com o mesmo CPF
+ *       412:
+ *         description: O responsável foi alterado desde a leitura (If-Match desatualizado)
+ *   delete:
+ *     summary: Move um responsável para a lixeira
+ *     tags: [Guardians]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Quando true, desvincula o responsável dos estudantes em vez de bloquear a exclusão; onde ele era o contato principal, o próximo responsável assume
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: Responsável movido para a lixeira
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardian'
+ *       404:
+ *         description: Responsável não encontrado
+ *       409:
+ *         description: O responsável está vinculado a estudantes (lista em details.students)
+ *       412:
+ *         description: O responsável foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.put('/:id', validateBody(guardianValidator.fields, 'update'), updateGuardian);
+router.patch('/:id', validateBody(guardianValidator.fields, 'patch'), updateGuardian);
+
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const guardian = await Guardian.findById(req.params.id);
+        if (!guardian) return next(new NotFoundError('Responsável não encontrado'));
+        checkIfMatch(req, guardian);
+
+        // Os vínculos com estudantes bloqueiam a exclusão, a menos que cascade=true peça a remoção deles
+        const guardianships = await Guardianship.find({ guardianshipGuardian: guardian._id });
+        if (guardianships.length > 0) {
+            if (req.query.cascade !== 'true') {
+                return next(new ConflictError(
+                    'O responsável está vinculado a estudantes; remova os vínculos ou use cascade=true',
+                    { students: guardianships.map(guardianship => ({ _id: guardianship.guardianshipStudent, primaryContact: guardianship.guardianshipPrimary })) }
+                ));
+            }
+            await Guardianship.deleteMany({ guardianshipGuardian: guardian._id });
+            await recordAuditBatch(req, 'guardianships', AUDIT_ACTIONS.PURGE, guardianships.map(guardianship => ({ before: guardianship, after: null })));
+
+            const promoted = [];
+            for (const guardianship of guardianships.filter(item => item.guardianshipPrimary)) {
+                const change = await promoteNextPrimary(guardianship.guardianshipStudent);
+                if (change) promoted.push(change);
+            }
+            await recordAuditBatch(req, 'guardianships', AUDIT_ACTIONS.UPDATE, promoted);
+        }
+
+        const { before, after: deletedGuardian } = await moveToTrash(req, Guardian, guardian._id);
+        if (!deletedGuardian) return next(new NotFoundError('Responsável não encontrado'));
+        await recordAudit(req, 'guardians', AUDIT_ACTIONS.DELETE, before, deletedGuardian);
+        res.json(deletedGuardian);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -1,17 +1,36 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate, authorize } = require('../middlewares/auth');
+const authRoutes = require('./authRoutes');
 const appointmentsRoutes = require('./appointmentsRoutes');
+const assessmentsRoutes = require('./assessmentsRoutes');
+const attendanceRoutes = require('./attendanceRoutes');
+const auditRoutes = require('./auditRoutes');
+const classesRoutes = require('./classesRoutes');
+const disciplinesRoutes = require('./disciplinesRoutes');
 const eventsRoutes = require('./eventsRoutes');
+const gradingPoliciesRoutes = require('./gradingPoliciesRoutes');
+const guardiansRoutes = require('./guardiansRoutes');
 const professionalsRoutes = require('./professionalsRoutes');
 const studentsRoutes = require('./studentsRoutes');
 const teachersRoutes = require('./teachersRoutes');
+const timetableRoutes = require('./timetableRoutes');
 const usersRoutes = require('./usersRoutes');
 
-router.use('/appointments', appointmentsRoutes);
-router.use('/events', eventsRoutes);
-router.use('/professionals', professionalsRoutes);
-router.use('/students', studentsRoutes);
-router.use('/teachers', teachersRoutes);
-router.use('/users', usersRoutes);
+router.use('/auth', authRoutes);
+router.use('/appointments', authenticate, authorize('appointments'), appointmentsRoutes);
+router.use('/assessments', authenticate, authorize('assessments'), assessmentsRoutes);
+router.use('/attendance', authenticate, authorize('attendance'), attendanceRoutes);
+router.use('/audit', authenticate, authorize('audit'), auditRoutes);
+router.use('/classes', authenticate, authorize('classes'), classesRoutes);
+router.use('/disciplines', authenticate, authorize('disciplines'), disciplinesRoutes);
+router.use('/events', authenticate, authorize('events'), eventsRoutes);
+router.use('/grading-policies', authenticate, authorize('gradingPolicies'), gradingPoliciesRoutes);
+router.use('/guardians', authenticate, authorize('guardians'), guardiansRoutes);
+router.use('/professionals', authenticate, authorize('professionals'), professionalsRoutes);
+router.use('/students', authenticate, authorize('students'), studentsRoutes);
+router.use('/teachers', authenticate, authorize('teachers'), teachersRoutes);
+router.use('/timetable', authenticate, authorize('timetable'), timetableRoutes);
+router.use('/users', authenticate, usersRoutes);  // permissões verificadas em cada rota
 
 module.exports = router;
\ No newline at end of file
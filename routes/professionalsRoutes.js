@@ -1,20 +1,62 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const Professional = require('../models/Professional');
+const Appointment = require('../models/Appointment');
+const {
+    MAX_RANGE_DAYS,
+    DAY_MS,
+    computeFreeSlots
+} = require('../utils/availability');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { validateBody } = require('../middlewares/validate');
+const professionalValidator = require('../validators/professionals');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, registerTrashRoutes } = require('../utils/trash');
+const { registerImportRoute } = require('../utils/bulkImport');
+const { AUDIT_ACTIONS, recordAudit, recordAuditBatch } = require('../utils/audit');
 
 mongoose.connect('mongodb://localhost:27017');
 
-// Definindo o schema do Mongoose para profissionais
-const professionalSchema = new mongoose.Schema({
-    professionalName: String,
-    professionalSpeciality: String,
-    professionalEmail: String,
-    professionalPhone: String,
-    professionalStatus: Boolean,
-    professional_create_date: { type: Date, default: Date.now }
-});
+const NEXT_SLOT_HORIZON_DAYS = 60;
+
+// Lê duration (minutos) e, opcionalmente, from/to da query. Retorna { error } ou os valores convertidos.
+function parseSlotQuery(query, { requireRange }) {
+    const duration = query.duration === undefined ? Appointment.DEFAULT_DURATION_MINUTES : Number(query.duration);
+    if (!Number.isInteger(duration) || duration < 1 || duration > Appointment.MAX_DURATION_MINUTES) {
+        return { error: `duration deve ser um número inteiro de 1 a ${Appointment.MAX_DURATION_MINUTES} minutos` };
+    }
+
+    if (requireRange && (!query.from || !query.to)) {
+        return { error: 'Os parâmetros from e to são obrigatórios' };
+    }
+
+    const from = query.from ? new Date(query.from) : new Date();
+    const to = query.to ? new Date(query.to) : null;
+    if (isNaN(from.getTime()) || (to && isNaN(to.getTime()))) {
+        return { error: 'Datas inválidas, use o formato ISO (ex.: 2024-05-20 ou 2024-05-20T08:00:00)' };
+    }
+    if (to && (to <= from || to - from > MAX_RANGE_DAYS * DAY_MS)) {
+        return { error: `O período deve ter to posterior a from e no máximo ${MAX_RANGE_DAYS} dias` };
+    }
+
+    return { from, to, duration };
+}
 
-const Professional = mongoose.model('Professional', professionalSchema);
+// Horários livres do profissional no período, descontando bloqueios e agendamentos existentes
+async function findFreeSlots(professional, from, to, duration) {
+    const busy = await Appointment.findBusyIntervals({ appointmentProfessional: professional._id }, from, to);
+    return computeFreeSlots({
+        availability: professional.professionalAvailability,
+        blockedPeriods: professional.professionalBlockedPeriods,
+        busy,
+        from,
+        to,
+        duration
+    });
+}
 
 /**
  * @swagger
@@ -37,19 +79,84 @@ const Professional = mongoose.model('Professional', professionalSchema);
  *        description: Especialidade do Profissional(a)
  *      professionalEmail:
  *        type: string
+ *        format: email
  *        description: E-mail do Profissional(a)
  *      professionalPhone:
  *        type: string
- *        description: Contato do telefone do Profissional(a)
+ *        description: "Telefone do Profissional(a) com DDD, ex.: (11) 99999-9999; é guardado só com os dígitos"
  *      professionalStatus:
- *        type: string
- *        description: Status do Profissional(a) (on/off)
+ *        type: boolean
+ *        description: Se o Profissional(a) está atendendo
+ *      professionalAvailability:
+ *        type: array
+ *        description: Janelas de atendimento semanais (horário do servidor)
+ *        items:
+ *          $ref: '#/components/schemas/AvailabilityWindow'
+ *      professionalBlockedPeriods:
+ *        type: array
+ *        description: Períodos sem atendimento (férias, licenças)
+ *        items:
+ *          $ref: '#/components/schemas/BlockedPeriod'
  *     example:
  *      professionalName: João Silva
  *      professionalSpeciality: Fisioterapeuta
  *      professionalEmail: joao.silva@example.com
- *      professionalPhone: 11999999999
- *      professionalStatus: on
+ *      professionalPhone: "11999999999"
+ *      professionalStatus: true
+ */
+
+/**
+ * @swagger
+ * components:
+ *  schemas:
+ *   AvailabilityWindow:
+ *     type: object
+ *     required:
+ *      - weekday
+ *      - start
+ *      - end
+ *     properties:
+ *      weekday:
+ *        type: integer
+ *        description: Dia da semana, de 0 (domingo) a 6 (sábado)
+ *      start:
+ *        type: string
+ *        description: Início do atendimento (HH:mm)
+ *      end:
+ *        type: string
+ *        description: Fim do atendimento (HH:mm)
+ *     example:
+ *      weekday: 1
+ *      start: "08:00"
+ *      end: "12:00"
+ *   BlockedPeriod:
+ *     type: object
+ *     required:
+ *      - start
+ *      - end
+ *     properties:
+ *      start:
+ *        type: string
+ *        format: date-time
+ *      end:
+ *        type: string
+ *        format: date-time
+ *      reason:
+ *        type: string
+ *        description: Motivo do bloqueio
+ *     example:
+ *      start: "2024-07-01T00:00:00"
+ *      end: "2024-07-15T00:00:00"
+ *      reason: Férias
+ *   Slot:
+ *     type: object
+ *     properties:
+ *      start:
+ *        type: string
+ *        format: date-time
+ *      end:
+ *        type: string
+ *        format: date-time
  */
 
 /**
@@ -65,26 +172,319 @@ const Professional = mongoose.model('Professional', professionalSchema);
  * @swagger
  * /professionals:
  *  get:
- *      summary: Retorna todos os profissionais
+ *      summary: Retorna uma lista paginada dos profissionais
  *      tags: [Professionals]
+ *      parameters:
+ *          - $ref: '#/components/parameters/page'
+ *          - $ref: '#/components/parameters/limit'
+ *          - $ref: '#/components/parameters/sort'
+ *          - $ref: '#/components/parameters/fields'
+ *          - $ref: '#/components/parameters/filters'
  *      responses:
  *          200:
  *              description: Sucesso ao buscar os Professionals
  *              content: 
  *                  application/json:
  *                      schema:
+ *                          allOf:
+ *                              - $ref: '#/components/schemas/PaginatedList'
+ *                              - properties:
+ *                                  data:
+ *                                      items:
+ *                                          $ref: '#/components/schemas/Professionals'
+ *          400:
+ *              description: Parâmetros de paginação ou filtros inválidos
+ */
+
+// GET: listar os profissionais (paginado)
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Professional, { defaultSort: 'professionalName' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        const professionals = await paginate(req, Professional, {}, listOptions);
+        res.status(200).json(professionals);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/next-slot:
+ *  get:
+ *      summary: Busca o próximo horário livre entre todos os profissionais ativos de uma especialidade
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: query
+ *            name: speciality
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: Especialidade desejada (ex. Fisioterapeuta)
+ *          - in: query
+ *            name: duration
+ *            schema:
+ *              type: integer
+ *            required: false
+ *            description: Duração do atendimento em minutos (padrão 30)
+ *          - in: query
+ *            name: from
+ *            schema:
+ *              type: string
+ *              format: date-time
+ *            required: false
+ *            description: A partir de quando buscar (padrão agora)
+ *      responses:
+ *          200:
+ *              description: Primeiro horário livre encontrado e o profissional correspondente
+ *          400:
+ *              description: Parâmetros inválidos
+ *          404:
+ *              description: Nenhum horário livre nos próximos 60 dias
+ */
+
+// GET: próximo horário livre para uma especialidade
+router.get('/next-slot', async (req, res, next) => {
+    const { speciality } = req.query;
+    if (!speciality) {
+        return next(new BadRequestError('A especialidade é obrigatória'));
+    }
+    // Com a query string em objeto (?speciality[$ne]=x), o valor viraria um operador na consulta
+    if (typeof speciality !== 'string') {
+        return next(new BadRequestError('speciality deve ser um texto'));
+    }
+
+    const parsed = parseSlotQuery(req.query, { requireRange: false });
+    if (parsed.error) return next(new BadRequestError(parsed.error));
+
+    try {
+        const professionals = await Professional.find({ professionalSpeciality: speciality, professionalStatus: true })
+            .collation({ locale: 'pt', strength: 1 });
+
+        const horizon = new Date(parsed.from.getTime() + NEXT_SLOT_HORIZON_DAYS * DAY_MS);
+        let best = null;
+
+        // Avança semana a semana e para assim que algum profissional tiver horário livre
+        for (let start = parsed.from; start < horizon && !best; start = new Date(start.getTime() + 7 * DAY_MS)) {
+            const end = new Date(Math.min(start.getTime() + 7 * DAY_MS, horizon.getTime()));
+
+            for (const professional of professionals) {
+                const [slot] = await findFreeSlots(professional, start, end, parsed.duration);
+                if (slot && (!best || slot.start < best.slot.start)) {
+                    best = { slot, professional };
+                }
+            }
+        }
+
+        if (!best) {
+            return next(new NotFoundError(`Nenhum horário livre nos próximos ${NEXT_SLOT_HORIZON_DAYS} dias`));
+        }
+
+        res.json({
+            start: best.slot.start,
+            end: best.slot.end,
+            professional: {
+                _id: best.professional._id,
+                professionalName: best.professional.professionalName,
+                professionalSpeciality: best.professional.professionalSpeciality
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/trash:
+ *  get:
+ *      summary: Lista os profissionais excluídos (lixeira)
+ *      tags: [Professionals]
+ *      parameters:
+ *          - $ref: '#/components/parameters/page'
+ *          - $ref: '#/components/parameters/limit'
+ *          - $ref: '#/components/parameters/sort'
+ *          - $ref: '#/components/parameters/fields'
+ *          - $ref: '#/components/parameters/filters'
+ *      responses:
+ *          200:
+ *              description: Página da lixeira, dos excluídos mais recentemente para os mais antigos
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          allOf:
+ *                              - $ref: '#/components/schemas/PaginatedList'
+ *                              - properties:
+ *                                  data:
+ *                                      items:
+ *                                          $ref: '#/components/schemas/Professionals'
+ *          403:
+ *              description: Usuário sem permissão para excluir profissionais
+ *
+ * /professionals/{id}/restore:
+ *  post:
+ *      summary: Restaura um profissional da lixeira
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *      responses:
+ *          200:
+ *              description: Profissional restaurado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Professionals'
+ *          404:
+ *              description: Profissional não encontrado na lixeira
+ *
+ * /professionals/{id}/purge:
+ *  delete:
+ *      summary: Exclui definitivamente um profissional que está na lixeira (somente administradores)
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *      responses:
+ *          200:
+ *              description: Registro excluído definitivamente
+ *          403:
+ *              description: Apenas administradores podem excluir definitivamente
+ *          404:
+ *              description: Profissional não encontrado na lixeira
+ *          409:
+ *              description: O profissional possui agendamentos registrados
+ */
+// Lixeira: GET /trash, POST /:id/restore e DELETE /:id/purge
+registerTrashRoutes(router, Professional, {
+    resource: 'professionals',
+    notFoundMessage: 'Profissional não encontrado',
+    // Sem o profissional, os agendamentos dele ficariam apontando para um registro inexistente
+    beforePurge: async (professional) => {
+        const hasAppointments = await Appointment.exists({ appointmentProfessional: professional._id }).setOptions({ withDeleted: true });
+        if (hasAppointments) throw new ConflictError('O profissional possui agendamentos registrados e não pode ser excluído definitivamente');
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/import:
+ *  post:
+ *      summary: Importa profissionais em lote a partir de um CSV ou de uma lista JSON
+ *      description: "As colunas podem ter o nome do campo ou um apelido (ex. nome, especialidade, email, telefone, ativo). Registros com o mesmo professionalEmail de um já cadastrado são atualizados. Máximo de 1000 linhas."
+ *      tags: [Professionals]
+ *      parameters:
+ *          - $ref: '#/components/parameters/importDryRun'
+ *          - $ref: '#/components/parameters/importExisting'
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              text/csv:
+ *                  schema:
+ *                      type: string
+ *              application/json:
+ *                  schema:
+ *                      type: array
+ *                      items:
+ *                          $ref: '#/components/schemas/Professionals'
+ *      responses:
+ *          200:
+ *              description: Resultado de cada linha (created, updated, skipped ou failed)
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/ImportReport'
+ *          400:
+ *              description: Arquivo inválido, vazio, grande demais ou sem a coluna professionalEmail
+ *          403:
+ *              description: Usuário sem permissão para criar e alterar profissionais
+ */
+registerImportRoute(router, Professional, {
+    resource: 'professionals',
+    fields: professionalValidator.fields,
+    aliases: professionalValidator.importAliases,
+    naturalKey: 'professionalEmail'
+});
+
+/**
+ * @swagger
+ * /professionals/export:
+ *  get:
+ *      summary: Exporta os profissionais em CSV ou JSON
+ *      description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação.
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: query
+ *            name: format
+ *            schema:
+ *              type: string
+ *              enum: [csv, json]
+ *              default: json
+ *            description: Formato do arquivo
+ *          - $ref: '#/components/parameters/sort'
+ *          - $ref: '#/components/parameters/fields'
+ *          - $ref: '#/components/parameters/filters'
+ *      responses:
+ *          200:
+ *              description: Arquivo com os registros encontrados
+ *              content:
+ *                  text/csv:
+ *                      schema:
+ *                          type: string
+ *                  application/json:
+ *                      schema:
  *                          type: array
  *                          items:
  *                              $ref: '#/components/schemas/Professionals'
+ *          400:
+ *              description: Formato, filtros ou ordenação inválidos
  */
+registerExportRoute(router, Professional, { resource: 'professionals', filename: 'profissionais', defaultSort: 'professionalName' });
 
-// GET: listar todos os profissionais
-router.get('/', async (req, res) => {
+/**
+ * @swagger
+ * /professionals/{id}:
+ *  get:
+ *      summary: Retorna um profissional pelo ID
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *      responses:
+ *          200:
+ *              description: Dados do profissional
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Professionals'
+ *          404:
+ *              description: Profissional não encontrado
+ */
+
+// GET: buscar um profissional por ID
+router.get('/:id', async (req, res, next) => {
     try {
-        const professionals = await Professional.find();
-        res.status(200).json(professionals);
+        const professional = await Professional.findById(req.params.id);
+        if (!professional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        setETag(res, professional);
+        res.json(professional);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -107,16 +507,23 @@ router.get('/', async (req, res) => {
  *                  application/json:
  *                      schema:
  *                          $ref: '#/components/schemas/Professionals'
+ *          400:
+ *              description: Dados inválidos (lista todos os erros por campo)
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/ValidationError'
  */
 
 // POST: criar um novo profissional
-router.post('/', async (req, res) => {
+router.post('/', validateBody(professionalValidator.fields), async (req, res, next) => {
     try {
         const professional = new Professional(req.body);
         const savedProfessional = await professional.save();
+        await recordAudit(req, 'professionals', AUDIT_ACTIONS.CREATE, null, savedProfessional);
         res.status(200).json(savedProfessional);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -133,6 +540,7 @@ router.post('/', async (req, res) => {
  *              type: string
  *            required: true
  *            description: ID do profissional
+ *          - $ref: '#/components/parameters/ifMatch'
  *      requestBody:
  *          required: true
  *          content:
@@ -141,25 +549,85 @@ router.post('/', async (req, res) => {
  *                      $ref: '#/components/schemas/Professionals'
  *      responses:
  *          200:
- *              description: Sucesso ao alterar o usuário
+ *              description: Sucesso ao alterar o profissional
  *              content: 
  *                  application/json:
  *                      schema:
  *                          $ref: '#/components/schemas/Professionals'
  *          400:
- *              description: Usuário não encontrado ou parâmetros obrigatórios ausentes
+ *              description: Parâmetros obrigatórios ausentes ou inválidos
+ *          404:
+ *              description: Profissional não encontrado
+ *          412:
+ *              description: O profissional foi alterado desde a leitura (If-Match desatualizado)
  */
 
 // PUT: atualizar um profissional por ID
-router.put('/:id', async (req, res) => {
+router.put('/:id', validateBody(professionalValidator.fields, 'update'), async (req, res, next) => {
     try {
-        const updatedProfessional = await Professional.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const { before, after: updatedProfessional } = await updateVersioned(req, Professional, req.params.id, req.body);
         if (!updatedProfessional) {
-            return res.status(404).json({ message: "Profissional não encontrado" });
+            return next(new NotFoundError("Profissional não encontrado"));
         }
+        await recordAudit(req, 'professionals', AUDIT_ACTIONS.UPDATE, before, updatedProfessional);
+        setETag(res, updatedProfessional);
         res.json(updatedProfessional);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/{id}:
+ *  patch:
+ *      summary: Altera apenas os campos informados do profissional
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *          - $ref: '#/components/parameters/ifMatch'
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json: 
+ *                  schema:
+ *                      $ref: '#/components/schemas/Professionals'
+ *      responses:
+ *          200:
+ *              description: Sucesso ao alterar o profissional
+ *              content: 
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Professionals'
+ *          400:
+ *              description: Dados inválidos (lista todos os erros por campo)
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/ValidationError'
+ *          404:
+ *              description: Profissional não encontrado
+ *          412:
+ *              description: O profissional foi alterado desde a leitura (If-Match desatualizado)
+ */
+
+// PATCH: alterar só os campos informados
+router.patch('/:id', validateBody(professionalValidator.fields, 'patch'), async (req, res, next) => {
+    try {
+        const { before, after: updatedProfessional } = await updateVersioned(req, Professional, req.params.id, req.body);
+        if (!updatedProfessional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        await recordAudit(req, 'professionals', AUDIT_ACTIONS.UPDATE, before, updatedProfessional);
+        setETag(res, updatedProfessional);
+        res.json(updatedProfessional);
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -167,7 +635,7 @@ router.put('/:id', async (req, res) => {
  * @swagger
  * /professionals/{id}:
  *  delete:
- *      summary: Exclui o profissional
+ *      summary: Move o profissional para a lixeira
  *      tags: [Professionals]
  *      parameters:
  *          - in: path
@@ -176,28 +644,301 @@ router.put('/:id', async (req, res) => {
  *              type: string
  *            required: true
  *            description: ID do Profissional
+ *          - in: query
+ *            name: cascade
+ *            schema:
+ *              type: boolean
+ *            required: false
+ *            description: Quando true, cancela os agendamentos futuros do profissional em vez de bloquear a exclusão
+ *          - $ref: '#/components/parameters/ifMatch'
  *      responses:
  *          200:
- *              description: Sucesso ao excluir o profissional
+ *              description: Profissional movido para a lixeira
  *              content: 
  *                  application/json:
  *                      schema:
  *                          $ref: '#/components/schemas/Professionals'
  *          404:
  *              description: Profissional não encontrado
+ *          409:
+ *              description: O profissional possui agendamentos futuros (a lista vem em details.upcomingAppointments)
+ *          412:
+ *              description: O profissional foi alterado desde a leitura (If-Match desatualizado)
  */
 
 
-// DELETE: remover um profissional por ID
-router.delete('/:id', async (req, res) => {
+// DELETE: mover um profissional para a lixeira
+router.delete('/:id', async (req, res, next) => {
     try {
-        const deletedProfessional = await Professional.findByIdAndDelete(req.params.id);
+        const professional = await Professional.findById(req.params.id);
+        if (!professional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        checkIfMatch(req, professional);
+
+        // Agendamentos futuros bloqueiam a exclusão, a menos que cascade=true peça o cancelamento deles
+        const upcoming = await Appointment.findUpcoming({ appointmentProfessional: professional._id });
+        if (upcoming.length > 0) {
+            if (req.query.cascade !== 'true') {
+                return next(new ConflictError(
+                    'O profissional possui agendamentos futuros; cancele-os ou use cascade=true',
+                    { upcomingAppointments: upcoming.map(appointment => ({ _id: appointment._id, appointmentDate: appointment.appointmentDate })) }
+                ));
+            }
+            const cancelled = await Appointment.cancelAll(upcoming, { userId: req.user.id, reason: 'Profissional excluído' });
+            await recordAuditBatch(req, 'appointments', AUDIT_ACTIONS.UPDATE, cancelled);
+        }
+
+        const { before, after: deletedProfessional } = await moveToTrash(req, Professional, professional._id);
         if (!deletedProfessional) {
-            return res.status(404).json({ message: "Profissional não encontrado" });
+            return next(new NotFoundError("Profissional não encontrado"));
         }
+        await recordAudit(req, 'professionals', AUDIT_ACTIONS.DELETE, before, deletedProfessional);
         res.json(deletedProfessional);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/{id}/slots:
+ *  get:
+ *      summary: Lista os horários livres do profissional em um período
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *          - in: query
+ *            name: from
+ *            schema:
+ *              type: string
+ *              format: date-time
+ *            required: true
+ *            description: Início do período
+ *          - in: query
+ *            name: to
+ *            schema:
+ *              type: string
+ *              format: date-time
+ *            required: true
+ *            description: Fim do período (no máximo 31 dias após from)
+ *          - in: query
+ *            name: duration
+ *            schema:
+ *              type: integer
+ *            required: false
+ *            description: Duração do atendimento em minutos (padrão 30)
+ *      responses:
+ *          200:
+ *              description: Horários livres para agendamento
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          type: array
+ *                          items:
+ *                              $ref: '#/components/schemas/Slot'
+ *          400:
+ *              description: Parâmetros inválidos
+ *          404:
+ *              description: Profissional não encontrado
+ */
+
+// GET: horários livres de um profissional
+router.get('/:id/slots', async (req, res, next) => {
+    const parsed = parseSlotQuery(req.query, { requireRange: true });
+    if (parsed.error) return next(new BadRequestError(parsed.error));
+
+    try {
+        const professional = await Professional.findById(req.params.id);
+        if (!professional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        if (!professional.isActive()) {
+            return res.json([]);
+        }
+
+        res.json(await findFreeSlots(professional, parsed.from, parsed.to, parsed.duration));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/{id}/availability:
+ *  put:
+ *      summary: Define a disponibilidade semanal do profissional
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          availability:
+ *                              type: array
+ *                              items:
+ *                                  $ref: '#/components/schemas/AvailabilityWindow'
+ *      responses:
+ *          200:
+ *              description: Disponibilidade atualizada
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Professionals'
+ *          400:
+ *              description: Disponibilidade inválida
+ *          404:
+ *              description: Profissional não encontrado
+ */
+
+// PUT: substituir a disponibilidade semanal
+router.put('/:id/availability', validateBody(professionalValidator.availability), async (req, res, next) => {
+    const { availability } = req.body;
+
+    try {
+        const { before, after: updatedProfessional } = await updateVersioned(
+            req,
+            Professional,
+            req.params.id,
+            { professionalAvailability: availability }
+        );
+        if (!updatedProfessional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        await recordAudit(req, 'professionals', AUDIT_ACTIONS.UPDATE, before, updatedProfessional);
+        setETag(res, updatedProfessional);
+        res.json(updatedProfessional);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/{id}/blocked-periods:
+ *  post:
+ *      summary: Bloqueia um período da agenda do profissional (férias, licença)
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      $ref: '#/components/schemas/BlockedPeriod'
+ *      responses:
+ *          201:
+ *              description: Período bloqueado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Professionals'
+ *          400:
+ *              description: Período inválido
+ *          404:
+ *              description: Profissional não encontrado
+ */
+
+// POST: bloquear um período
+router.post('/:id/blocked-periods', validateBody(professionalValidator.blockedPeriod), async (req, res, next) => {
+    const start = new Date(req.body.start);
+    const end = new Date(req.body.end);
+
+    try {
+        const { before, after: updatedProfessional } = await updateVersioned(
+            req,
+            Professional,
+            req.params.id,
+            { $push: { professionalBlockedPeriods: { start, end, reason: req.body.reason } } }
+        );
+        if (!updatedProfessional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        await recordAudit(req, 'professionals', AUDIT_ACTIONS.UPDATE, before, updatedProfessional);
+        setETag(res, updatedProfessional);
+        res.status(201).json(updatedProfessional);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /professionals/{id}/blocked-periods/{periodId}:
+ *  delete:
+ *      summary: Remove um período bloqueado da agenda do profissional
+ *      tags: [Professionals]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do profissional
+ *          - in: path
+ *            name: periodId
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do período bloqueado
+ *      responses:
+ *          200:
+ *              description: Período removido
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Professionals'
+ *          404:
+ *              description: Profissional ou período bloqueado não encontrado
+ */
+
+// DELETE: remover um período bloqueado
+router.delete('/:id/blocked-periods/:periodId', async (req, res, next) => {
+    try {
+        const professional = await Professional.findById(req.params.id);
+        if (!professional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        // Sem o período, o $pull não mudaria nada, mas ainda trocaria a versão e geraria auditoria
+        const period = mongoose.isValidObjectId(req.params.periodId) && professional.professionalBlockedPeriods.id(req.params.periodId);
+        if (!period) {
+            return next(new NotFoundError("Período bloqueado não encontrado"));
+        }
+
+        const { before, after: updatedProfessional } = await updateVersioned(
+            req,
+            Professional,
+            req.params.id,
+            { $pull: { professionalBlockedPeriods: { _id: req.params.periodId } } }
+        );
+        if (!updatedProfessional) {
+            return next(new NotFoundError("Profissional não encontrado"));
+        }
+        await recordAudit(req, 'professionals', AUDIT_ACTIONS.UPDATE, before, updatedProfessional);
+        setETag(res, updatedProfessional);
+        res.json(updatedProfessional);
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -1,20 +1,28 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
+const Student = require('../models/Student');
+const Appointment = require('../models/Appointment');
+const Enrollment = require('../models/Enrollment');
+const { ENROLLMENT_STATUS } = require('../models/Enrollment');
+const Guardian = require('../models/Guardian');
+const Guardianship = require('../models/Guardianship');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { likeCondition } = require('../utils/filtering');
+const { validateBody } = require('../middlewares/validate');
+const studentValidator = require('../validators/students');
+const guardianValidator = require('../validators/guardians');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, registerTrashRoutes } = require('../utils/trash');
+const { registerImportRoute } = require('../utils/bulkImport');
+const { buildReportCard, reportCardPdf } = require('../utils/reportCard');
+const { findGuardianships, promoteNextPrimary } = require('../utils/guardians');
+const { AUDIT_ACTIONS, snapshot, recordAudit, recordAuditBatch } = require('../utils/audit');
 
 mongoose.connect('mongodb://localhost:27017');
 
-// Definindo o Schema do Estudante
-const studentSchema = new mongoose.Schema({
-  studentsName: { type: String, required: true },
-  studentsAge: { type: String, required: true },
-  studentsPhone_number: { type: String, required: true },
-  studentsStatus: { type: String, required: true },
-  studentsCreate_date: { type: Date, default: Date.now }
-});
-
-const Student = mongoose.model('Student', studentSchema);
-
 /**
  * @swagger
  * components:
@@ -23,21 +31,26 @@ const Student = mongoose.model('Student', studentSchema);
  *     type: object
  *     required:
  *      - studentsName
- *      - studentsAge
+ *      - studentsBirthDate
  *      - studentsPhone_number
  *      - studentsStatus
  *     properties:
  *      studentsName:
  *        type: string
  *        description: Nome do Estudante
- *      studentsAge:
+ *      studentsBirthDate:
  *        type: string
- *        description: Idade do Estudante
+ *        format: date
+ *        description: Data de nascimento do Estudante
+ *      studentsAge:
+ *        type: integer
+ *        readOnly: true
+ *        description: Idade em anos, calculada pela data de nascimento
  *      studentsPhone_number:
  *        type: string
- *        description: Contato do telefone do Estudante
+ *        description: "Telefone do Estudante com DDD; aceita formatação, ex.: (48) 99905-5949, e é guardado só com os dígitos"
  *      studentsStatus:
- *        type: string
+ *        type: boolean
  *        description: Se o Estudante está ativamente participando das aulas
  *      studentsCreate_date:
  *        type: string
@@ -45,9 +58,9 @@ const Student = mongoose.model('Student', studentSchema);
  *        description: Data de criação do cadastro do estudante
  *     example:
  *      studentsName: Victor Leotte
- *      studentsAge: 6
- *      studentsPhone_number: 48999055949
- *      studentsStatus: on
+ *      studentsBirthDate: 2018-03-15
+ *      studentsPhone_number: "48999055949"
+ *      studentsStatus: true
  */
 
 /**
@@ -63,24 +76,38 @@ const Student = mongoose.model('Student', studentSchema);
  * @swagger
  * /students:
  *   get:
- *     summary: Retorna uma lista de todos os estudantes
+ *     summary: Retorna uma lista paginada dos estudantes
  *     tags: [Students]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
  *     responses:
  *       200:
- *         description: A lista de estudantes
+ *         description: A página da lista de estudantes
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Students'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Students'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
+  const listOptions = parseListOptions(req.query, Student, { defaultSort: 'studentsName' });
+  if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
   try {
-    const students = await Student.find();
+    const students = await paginate(req, Student, {}, listOptions);
     res.status(200).json(students);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -89,6 +116,7 @@ router.get('/', async (req, res) => {
  * /students/search:
  *   get:
  *     summary: Busca um estudante pelo nome
+ *     description: Mantida por compatibilidade; equivale a GET /students?studentsName[like]=...
  *     tags: [Students]
  *     parameters:
  *       - in: query
@@ -109,26 +137,185 @@ router.get('/', async (req, res) => {
  *       404:
  *         description: Nenhum estudante encontrado
  */
-router.get('/search', async (req, res) => {
+router.get('/search', async (req, res, next) => {
     const { studentsName } = req.query;
   
     if (!studentsName) {
-      return res.status(400).json({ error: 'Nome do estudante é obrigatório para busca' });
+      return next(new BadRequestError('Nome do estudante é obrigatório para busca'));
     }
   
     try {
-      const students = await Student.find({ studentsName: { $regex: studentsName, $options: 'i' } });
+      const students = await Student.find({ studentsName: likeCondition(studentsName) });
       
       if (students.length === 0) {
-        return res.status(404).json({ message: 'Nenhum estudante encontrado' });
+        return next(new NotFoundError('Nenhum estudante encontrado'));
       }
   
       res.status(200).json(students);
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      next(err);
     }
   });
 
+/**
+ * @swagger
+ * /students/trash:
+ *   get:
+ *     summary: Lista os estudantes excluídos (lixeira)
+ *     tags: [Students]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lixeira, dos excluídos mais recentemente para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Students'
+ *       403:
+ *         description: Usuário sem permissão para excluir estudantes
+ *
+ * /students/{id}/restore:
+ *   post:
+ *     summary: Restaura um estudante da lixeira
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *     responses:
+ *       200:
+ *         description: Estudante restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Students'
+ *       404:
+ *         description: Estudante não encontrado na lixeira
+ *
+ * /students/{id}/purge:
+ *   delete:
+ *     summary: Exclui definitivamente um estudante que está na lixeira (somente administradores)
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *     responses:
+ *       200:
+ *         description: Registro excluído definitivamente
+ *       403:
+ *         description: Apenas administradores podem excluir definitivamente
+ *       404:
+ *         description: Estudante não encontrado na lixeira
+ *       409:
+ *         description: O estudante possui agendamentos, matrículas ou responsáveis vinculados
+ */
+// Lixeira: GET /trash, POST /:id/restore e DELETE /:id/purge
+registerTrashRoutes(router, Student, {
+  resource: 'students',
+  notFoundMessage: 'Estudante não encontrado',
+  // Sem o estudante, os agendamentos dele ficariam apontando para um registro inexistente
+  beforePurge: async (student) => {
+    const hasAppointments = await Appointment.exists({ appointmentStudent: student._id }).setOptions({ withDeleted: true });
+    if (hasAppointments) throw new ConflictError('O estudante possui agendamentos registrados e não pode ser excluído definitivamente');
+    const hasEnrollments = await Enrollment.exists({ enrollmentStudent: student._id });
+    if (hasEnrollments) throw new ConflictError('O estudante possui matrículas registradas e não pode ser excluído definitivamente');
+    const hasGuardians = await Guardianship.exists({ guardianshipStudent: student._id });
+    if (hasGuardians) throw new ConflictError('O estudante possui responsáveis vinculados; desvincule-os antes de excluí-lo definitivamente');
+  }
+});
+
+/**
+ * @swagger
+ * /students/import:
+ *   post:
+ *     summary: Importa estudantes em lote a partir de um CSV ou de uma lista JSON
+ *     description: "As colunas podem ter o nome do campo ou um apelido (ex. nome, nascimento, telefone, status). Datas podem vir como 15/03/2018. Registros com o mesmo studentsName e studentsBirthDate de um já cadastrado são atualizados (o telefone não identifica o estudante: irmãos costumam ter o do mesmo responsável). Máximo de 1000 linhas."
+ *     tags: [Students]
+ *     parameters:
+ *       - $ref: '#/components/parameters/importDryRun'
+ *       - $ref: '#/components/parameters/importExisting'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Students'
+ *     responses:
+ *       200:
+ *         description: Resultado de cada linha (created, updated, skipped ou failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Arquivo inválido, vazio, grande demais ou sem as colunas studentsName e studentsBirthDate
+ *       403:
+ *         description: Usuário sem permissão para criar e alterar estudantes
+ */
+registerImportRoute(router, Student, {
+  resource: 'students',
+  fields: studentValidator.fields,
+  aliases: studentValidator.importAliases,
+  naturalKey: ['studentsName', 'studentsBirthDate']  // Irmãos podem ter o mesmo telefone (o do responsável)
+});
+
+/**
+ * @swagger
+ * /students/export:
+ *   get:
+ *     summary: Exporta os estudantes em CSV ou JSON
+ *     description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *         description: Formato do arquivo
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Arquivo com os registros encontrados
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Students'
+ *       400:
+ *         description: Formato, filtros ou ordenação inválidos
+ */
+registerExportRoute(router, Student, { resource: 'students', filename: 'estudantes', defaultSort: 'studentsName' });
+
 /**
  * @swagger
  * /students/{id}:
@@ -152,13 +339,422 @@ router.get('/search', async (req, res) => {
  *       404:
  *         description: Estudante não encontrado
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
     const student = await Student.findById(req.params.id);
-      if (!student) return res.status(404).json({ error: 'Estudante não encontrado' });
+      if (!student) return next(new NotFoundError('Estudante não encontrado'));
+      setETag(res, student);
       res.json(student);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /students/{id}/classes:
+ *   get:
+ *     summary: Histórico de matrículas do estudante, com os dados de cada turma
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *     responses:
+ *       200:
+ *         description: Matrículas do estudante, da mais recente para a mais antiga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Enrollment'
+ *       404:
+ *         description: Estudante não encontrado
+ */
+router.get('/:id/classes', async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) return next(new NotFoundError('Estudante não encontrado'));
+
+    const enrollments = await Enrollment.find({ enrollmentStudent: student._id })
+      .sort({ enrollmentSchoolYear: -1, enrollmentStartDate: -1 })
+      .populate({ path: 'enrollmentClass', options: { withDeleted: true } });
+    res.json(enrollments);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /students/{id}/report-card:
+ *   get:
+ *     summary: Boletim do estudante no ano letivo, com as médias por disciplina e período, a frequência e a situação
+ *     description: As médias seguem a regra do ano letivo (GET /grading-policies/{year}). Com format=pdf, retorna o boletim em PDF para impressão.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Ano letivo (padrão, o ano atual)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *         description: Formato do boletim
+ *     responses:
+ *       200:
+ *         description: Boletim do estudante; status (geral e de cada disciplina) é in_progress, approved ou failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 student:
+ *                   type: object
+ *                 schoolYear:
+ *                   type: integer
+ *                 class:
+ *                   type: object
+ *                   description: Turma atual (ou a última) do estudante no ano
+ *                 enrollmentStatus:
+ *                   type: string
+ *                 policy:
+ *                   type: object
+ *                   description: Regra usada no cálculo
+ *                 disciplines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       discipline:
+ *                         type: object
+ *                       terms:
+ *                         type: array
+ *                         description: Média de cada período (null enquanto não há notas) e as avaliações com a nota do estudante
+ *                         items:
+ *                           type: object
+ *                       finalAverage:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Calculada quando todos os períodos têm média
+ *                       status:
+ *                         type: string
+ *                 attendance:
+ *                   type: object
+ *                   description: Frequência escolar no ano, com o mínimo exigido pela regra
+ *                 status:
+ *                   type: string
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Ano letivo ou formato inválido
+ *       404:
+ *         description: Estudante não encontrado ou sem matrícula no ano letivo
+ */
+router.get('/:id/report-card', async (req, res, next) => {
+  const schoolYear = req.query.year === undefined ? new Date().getFullYear() : Number(req.query.year);
+  if (!Number.isInteger(schoolYear) || schoolYear < 2000 || schoolYear > 2100) {
+    return next(new BadRequestError('year deve ser um ano de 2000 a 2100'));
+  }
+  const format = req.query.format || 'json';
+  if (!['json', 'pdf'].includes(format)) return next(new BadRequestError('format deve ser json ou pdf'));
+
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) return next(new NotFoundError('Estudante não encontrado'));
+
+    const card = await buildReportCard(student, schoolYear);
+    if (!card) return next(new NotFoundError(`O estudante não tem matrícula no ano letivo ${schoolYear}`));
+
+    if (format === 'json') return res.json(card);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="boletim-${schoolYear}.pdf"`);
+    res.send(reportCardPdf(card));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /students/{id}/guardians:
+ *   get:
+ *     summary: Responsáveis do estudante, em ordem de contato (contatos de emergência)
+ *     description: O contato principal vem primeiro, depois quem tem a guarda legal e, por fim, os demais, pela ordem em que foram vinculados.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *       - in: query
+ *         name: canPickUp
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Quando true, lista só os autorizados a buscar o estudante
+ *     responses:
+ *       200:
+ *         description: Vínculos do estudante, com os dados de cada responsável
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Guardianship'
+ *       404:
+ *         description: Estudante não encontrado
+ *   post:
+ *     summary: Vincula um responsável ao estudante
+ *     description: O primeiro responsável vinculado passa a ser o contato principal. Marcar primaryContact tira a marca do contato principal anterior.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [guardian, relationship]
+ *             properties:
+ *               guardian:
+ *                 type: string
+ *                 description: ID do responsável (POST /guardians)
+ *               relationship:
+ *                 type: string
+ *                 enum: [mother, father, stepmother, stepfather, grandparent, sibling, uncle_aunt, legal_guardian, other]
+ *               legalCustody:
+ *                 type: boolean
+ *                 default: false
+ *               primaryContact:
+ *                 type: boolean
+ *                 default: false
+ *               canPickUp:
+ *                 type: boolean
+ *                 default: false
+ *           example:
+ *             guardian: 6740c1f2a1b2c3d4e5f60731
+ *             relationship: mother
+ *             legalCustody: true
+ *             primaryContact: true
+ *             canPickUp: true
+ *     responses:
+ *       200:
+ *         description: Vínculo criado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardianship'
+ *       400:
+ *         description: Dados inválidos ou responsável não encontrado
+ *       404:
+ *         description: Estudante não encontrado
+ *       409:
+ *         description: O responsável já está vinculado ao estudante
+ */
+router.get('/:id/guardians', async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) return next(new NotFoundError('Estudante não encontrado'));
+
+    const filter = req.query.canPickUp === 'true' ? { guardianshipCanPickUp: true } : {};
+    res.json(await findGuardianships([student._id], filter));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Campos do corpo de POST e PATCH /:id/guardians para os campos do vínculo
+const GUARDIANSHIP_FIELDS = {
+  relationship: 'guardianshipRelationship',
+  legalCustody: 'guardianshipLegalCustody',
+  primaryContact: 'guardianshipPrimary',
+  canPickUp: 'guardianshipCanPickUp'
+};
+
+function guardianshipValues(body) {
+  const values = {};
+  for (const [field, path] of Object.entries(GUARDIANSHIP_FIELDS)) {
+    if (body[field] !== undefined) values[path] = body[field];
+  }
+  return values;
+}
+
+// Tira a marca de contato principal do vínculo atual do estudante, antes de marcar outro
+async function unsetPrimary(req, studentId) {
+  const current = await Guardianship.findOne({ guardianshipStudent: studentId, guardianshipPrimary: true });
+  if (!current) return;
+
+  const before = snapshot(current);
+  current.guardianshipPrimary = false;
+  await current.save();
+  await recordAudit(req, 'guardianships', AUDIT_ACTIONS.UPDATE, before, current);
+}
+
+router.post('/:id/guardians', validateBody(guardianValidator.guardianship), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) return next(new NotFoundError('Estudante não encontrado'));
+
+    const guardian = await Guardian.findById(req.body.guardian);
+    if (!guardian) return next(new ValidationError([{ field: 'guardian', message: 'Responsável não encontrado' }]));
+
+    const existing = await Guardianship.findOne({ guardianshipStudent: student._id, guardianshipGuardian: guardian._id });
+    if (existing) {
+      return next(new ConflictError('O responsável já está vinculado a este estudante', { guardianship: { _id: existing._id } }));
+    }
+
+    // O primeiro responsável vinculado é o contato principal
+    const values = guardianshipValues(req.body);
+    const hasGuardians = await Guardianship.exists({ guardianshipStudent: student._id });
+    if (!hasGuardians) values.guardianshipPrimary = true;
+    else if (values.guardianshipPrimary) await unsetPrimary(req, student._id);
+
+    const guardianship = await Guardianship.create({ ...values, guardianshipStudent: student._id, guardianshipGuardian: guardian._id });
+    await recordAudit(req, 'guardianships', AUDIT_ACTIONS.CREATE, null, guardianship);
+    res.json(guardianship);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /students/{id}/guardians/{guardianId}:
+ *   patch:
+ *     summary: Altera o parentesco, a guarda ou as autorizações de um responsável do estudante
+ *     description: Para trocar o contato principal, marque primaryContact no novo contato; o anterior perde a marca.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *       - in: path
+ *         name: guardianId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               relationship:
+ *                 type: string
+ *               legalCustody:
+ *                 type: boolean
+ *               primaryContact:
+ *                 type: boolean
+ *               canPickUp:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Vínculo atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardianship'
+ *       400:
+ *         description: Dados inválidos ou tentativa de desmarcar o contato principal sem indicar outro
+ *       404:
+ *         description: O responsável não está vinculado ao estudante
+ *   delete:
+ *     summary: Desvincula um responsável do estudante
+ *     description: Se ele era o contato principal, o próximo responsável na ordem de contato assume.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *       - in: path
+ *         name: guardianId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       200:
+ *         description: Vínculo removido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Guardianship'
+ *       404:
+ *         description: O responsável não está vinculado ao estudante
+ */
+router.patch('/:id/guardians/:guardianId', validateBody(guardianValidator.guardianshipUpdate, 'patch'), async (req, res, next) => {
+  try {
+    const guardianship = await Guardianship.findOne({ guardianshipStudent: req.params.id, guardianshipGuardian: req.params.guardianId });
+    if (!guardianship) return next(new NotFoundError('Responsável não vinculado a este estudante'));
+
+    const values = guardianshipValues(req.body);
+    if (values.guardianshipPrimary === false && guardianship.guardianshipPrimary) {
+      return next(new ValidationError([{ field: 'primaryContact', message: 'Para trocar o contato principal, marque outro responsável como principal' }]));
+    }
+    if (values.guardianshipPrimary && !guardianship.guardianshipPrimary) await unsetPrimary(req, guardianship.guardianshipStudent);
+
+    const before = snapshot(guardianship);
+    guardianship.set(values);
+    await guardianship.save();
+    await recordAudit(req, 'guardianships', AUDIT_ACTIONS.UPDATE, before, guardianship);
+    res.json(guardianship);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id/guardians/:guardianId', async (req, res, next) => {
+  try {
+    const guardianship = await Guardianship.findOne({ guardianshipStudent: req.params.id, guardianshipGuardian: req.params.guardianId });
+    if (!guardianship) return next(new NotFoundError('Responsável não vinculado a este estudante'));
+
+    await Guardianship.deleteOne({ _id: guardianship._id });
+    await recordAudit(req, 'guardianships', AUDIT_ACTIONS.PURGE, guardianship, null);
+
+    if (guardianship.guardianshipPrimary) {
+      const promoted = await promoteNextPrimary(guardianship.guardianshipStudent);
+      if (promoted) await recordAudit(req, 'guardianships', AUDIT_ACTIONS.UPDATE, promoted.before, promoted.after);
+    }
+    res.json(guardianship);
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -177,20 +773,21 @@ router.get('/:id', async (req, res) => {
  *     responses:
  *       200:
  *         description: Estudante criado com sucesso
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-router.post('/', async (req, res) => {
-  const { studentsName, studentsAge, studentsPhone_number, studentsStatus } = req.body;
-
-  if (!studentsName || !studentsAge || !studentsPhone_number || !studentsStatus) {
-    return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
-  }
-
+router.post('/', validateBody(studentValidator.fields), async (req, res, next) => {
   try {
     const newStudent = new Student(req.body);
     await newStudent.save();
+    await recordAudit(req, 'students', AUDIT_ACTIONS.CREATE, null, newStudent);
     res.status(201).json(newStudent);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -207,6 +804,7 @@ router.post('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID do Estudante
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -216,14 +814,72 @@ router.post('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Estudante atualizado com sucesso
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Estudante não encontrado
+ *       412:
+ *         description: O estudante foi alterado desde a leitura (If-Match desatualizado)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validateBody(studentValidator.fields, 'update'), async (req, res, next) => {
   try {
-    const updatedStudent = await Student.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!updatedStudent) return res.status(404).json({ error: 'Estudante não encontrado' });
+    const { before, after: updatedStudent } = await updateVersioned(req, Student, req.params.id, req.body);
+    if (!updatedStudent) return next(new NotFoundError('Estudante não encontrado'));
+    await recordAudit(req, 'students', AUDIT_ACTIONS.UPDATE, before, updatedStudent);
+    setETag(res, updatedStudent);
     res.json(updatedStudent);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /students/{id}:
+ *   patch:
+ *     summary: Altera apenas os campos informados de um estudante
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Estudante
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Students'
+ *     responses:
+ *       200:
+ *         description: Estudante atualizado com sucesso
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Estudante não encontrado
+ *       412:
+ *         description: O estudante foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.patch('/:id', validateBody(studentValidator.fields, 'patch'), async (req, res, next) => {
+  try {
+    const { before, after: updatedStudent } = await updateVersioned(req, Student, req.params.id, req.body);
+    if (!updatedStudent) return next(new NotFoundError('Estudante não encontrado'));
+    await recordAudit(req, 'students', AUDIT_ACTIONS.UPDATE, before, updatedStudent);
+    setETag(res, updatedStudent);
+    res.json(updatedStudent);
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -231,7 +887,7 @@ router.put('/:id', async (req, res) => {
  * @swagger
  * /students/{id}:
  *   delete:
- *     summary: Deleta um estudante pelo ID
+ *     summary: Move um estudante para a lixeira
  *     tags: [Students]
  *     parameters:
  *       - in: path
@@ -240,17 +896,56 @@ router.put('/:id', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID do Estudante
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Quando true, cancela os agendamentos futuros e as matrículas ativas do estudante em vez de bloquear a exclusão
+ *       - $ref: '#/components/parameters/ifMatch'
  *     responses:
  *       200:
- *         description: Estudante deletado com sucesso
+ *         description: Estudante movido para a lixeira
+ *       404:
+ *         description: Estudante não encontrado
+ *       409:
+ *         description: O estudante possui agendamentos futuros ou matrícula ativa (listados em details.upcomingAppointments e details.activeEnrollments)
+ *       412:
+ *         description: O estudante foi alterado desde a leitura (If-Match desatualizado)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', async (req, res, next) => {
   try {
-    const deletedStudent = await Student.findByIdAndDelete(req.params.id);
-    if (!deletedStudent) return res.status(404).json({ error: 'Estudante não encontrado' });
+    const student = await Student.findById(req.params.id);
+    if (!student) return next(new NotFoundError('Estudante não encontrado'));
+    checkIfMatch(req, student);
+
+    // Agendamentos futuros e matrículas ativas bloqueiam a exclusão, a menos que cascade=true peça o cancelamento deles
+    const [upcoming, activeEnrollments] = await Promise.all([
+      Appointment.findUpcoming({ appointmentStudent: student._id }),
+      Enrollment.find({ enrollmentStudent: student._id, enrollmentStatus: ENROLLMENT_STATUS.ACTIVE })
+    ]);
+    if (upcoming.length > 0 || activeEnrollments.length > 0) {
+      if (req.query.cascade !== 'true') {
+        return next(new ConflictError(
+          'O estudante possui agendamentos futuros ou matrícula ativa; cancele-os ou use cascade=true',
+          {
+            upcomingAppointments: upcoming.map(appointment => ({ _id: appointment._id, appointmentDate: appointment.appointmentDate })),
+            activeEnrollments: activeEnrollments.map(enrollment => ({ _id: enrollment._id, class: enrollment.enrollmentClass }))
+          }
+        ));
+      }
+      const cancelled = await Appointment.cancelAll(upcoming, { userId: req.user.id, reason: 'Estudante excluído' });
+      await recordAuditBatch(req, 'appointments', AUDIT_ACTIONS.UPDATE, cancelled);
+      const ended = await Enrollment.endAll(activeEnrollments, { status: ENROLLMENT_STATUS.CANCELLED, reason: 'Estudante excluído' });
+      await recordAuditBatch(req, 'enrollments', AUDIT_ACTIONS.UPDATE, ended);
+    }
+
+    const { before, after: deletedStudent } = await moveToTrash(req, Student, student._id);
+    if (!deletedStudent) return next(new NotFoundError('Estudante não encontrado'));
+    await recordAudit(req, 'students', AUDIT_ACTIONS.DELETE, before, deletedStudent);
     res.json(deletedStudent);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -1,21 +1,49 @@
 const express = require('express');
-const {v4: uuidv4} = require('uuid');
-const fs = require('fs');
-const path = require('path');
 const router = express.Router();
-const teachersDB = require('../db/teachers.json');
+const Teacher = require('../models/Teacher');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const Lesson = require('../models/Lesson');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { validateBody } = require('../middlewares/validate');
+const teacherValidator = require('../validators/teachers');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, registerTrashRoutes } = require('../utils/trash');
+const { registerImportRoute } = require('../utils/bulkImport');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { parseWeekday } = require('../utils/timetable');
 
 const mongoose = require('mongoose');
 mongoose.connect('mongodb://localhost:27017');
 
-const teachersSchema = new mongoose.Schema({
-    teacherName: String,
-    teacherSchoolDisciplines: String,
-    teacherContact: String,
-    teacherPhone: String,
-    teacherStatus: Boolean,
-    teacher_create_date: { type: Date, default: Date.now }
-});
+// Aulas do ano letivo atual em diante. Enquanto houver alguma, o Professor(a) não pode ser desativado:
+// as aulas continuariam na grade e nos choques de horário sem ninguém para dá-las.
+function scheduledLessons(teacherId) {
+    return Lesson.find({ lessonTeacher: teacherId, lessonSchoolYear: { $gte: new Date().getFullYear() } })
+        .sort({ lessonSchoolYear: 1, lessonWeekday: 1, lessonStart: 1 });
+}
+
+function lessonSummary(lesson) {
+    return {
+        _id: lesson._id,
+        class: lesson.lessonClass,
+        discipline: lesson.lessonDiscipline,
+        schoolYear: lesson.lessonSchoolYear,
+        weekday: lesson.lessonWeekday,
+        start: lesson.lessonStart,
+        end: lesson.lessonEnd
+    };
+}
+
+const DEACTIVATION_MESSAGE = 'O Professor(a) tem aulas na grade; passe-as para outro professor ou remova-as antes de desativá-lo';
+
+// Aulas que impedem a alteração: só contam quando um Professor(a) ativo está sendo desativado
+async function lessonsBlockingDeactivation(teacherId, changes) {
+    if (changes.teacherStatus !== false) return [];
+    if (!(await Teacher.exists({ _id: teacherId, teacherStatus: true }))) return [];
+    return scheduledLessons(teacherId);
+}
 
 
 /**
@@ -39,10 +67,11 @@ const teachersSchema = new mongoose.Schema({
  *        description: Disciplina que o Professor(a) ministra
  *      teacherContact:
  *        type: string
+ *        format: email
  *        description: E-mail do Professor(a)
  *      teacherPhone:
  *        type: string
- *        description: Contato do telefone do Professor(a)
+ *        description: "Telefone do Professor(a) com DDD, ex.: (48) 99905-5949; é guardado só com os dígitos"
  *      teacherStatus:
  *        type: boolean
  *        description: Se o Professor(a) está ativamente dando aulas
@@ -50,7 +79,7 @@ const teachersSchema = new mongoose.Schema({
  *      teacherName: Mateus M. Mariot
  *      teacherSchoolDisciplines: Português
  *      teacherContact: mateusmartignagomariot@unesc.net
- *      teacherPhone: 48999055949
+ *      teacherPhone: "48999055949"
  *      teacherStatus: true
  * 
  */
@@ -69,30 +98,191 @@ const teachersSchema = new mongoose.Schema({
  * @swagger
  * /teachers:
  *   get:
- *     summary: Retorna uma lista de todos os professores
+ *     summary: Retorna uma lista paginada dos professores
  *     tags: [Teachers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
  *     responses:
  *       200:
- *         description: A lista de professores
+ *         description: A página da lista de professores
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Teachers'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Teachers'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
  */
 
-const Teacher = mongoose.model('Teacher', teachersSchema);
+router.get('/', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Teacher, { defaultSort: 'teacherName' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
 
-router.get('/', async (req, res) => {
     try {
-        const docs = await Teacher.find();
+        const docs = await paginate(req, Teacher, {}, listOptions);
         res.status(200).json(docs);
     } catch (err) {
-        res.status(500).json({error: err.message})
+        next(err);
     }
 });
 
+/**
+ * @swagger
+ * /teachers/trash:
+ *   get:
+ *     summary: Lista os professores(as) excluídos (lixeira)
+ *     tags: [Teachers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lixeira, dos excluídos mais recentemente para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Teachers'
+ *       403:
+ *         description: Usuário sem permissão para excluir professores(as)
+ *
+ * /teachers/{id}/restore:
+ *   post:
+ *     summary: Restaura um Professor(a) da lixeira
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Professor(a)
+ *     responses:
+ *       200:
+ *         description: Professor(a) restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Teachers'
+ *       404:
+ *         description: Professor(a) não encontrado na lixeira
+ *
+ * /teachers/{id}/purge:
+ *   delete:
+ *     summary: Exclui definitivamente um Professor(a) que está na lixeira (somente administradores)
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Professor(a)
+ *     responses:
+ *       200:
+ *         description: Registro excluído definitivamente
+ *       403:
+ *         description: Apenas administradores podem excluir definitivamente
+ *       404:
+ *         description: Professor(a) não encontrado na lixeira
+ */
+// Lixeira: GET /trash, POST /:id/restore e DELETE /:id/purge
+registerTrashRoutes(router, Teacher, { resource: 'teachers', notFoundMessage: 'Professor(a) não encontrado' });
+
+/**
+ * @swagger
+ * /teachers/import:
+ *   post:
+ *     summary: Importa professores em lote a partir de um CSV ou de uma lista JSON
+ *     description: "As colunas podem ter o nome do campo ou um apelido (ex. nome, disciplina, email, telefone, ativo). Registros com o mesmo teacherContact de um já cadastrado são atualizados. Máximo de 1000 linhas."
+ *     tags: [Teachers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/importDryRun'
+ *       - $ref: '#/components/parameters/importExisting'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Teachers'
+ *     responses:
+ *       200:
+ *         description: Resultado de cada linha (created, updated, skipped ou failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Arquivo inválido, vazio, grande demais ou sem a coluna teacherContact
+ *       403:
+ *         description: Usuário sem permissão para criar e alterar professores
+ */
+registerImportRoute(router, Teacher, {
+    resource: 'teachers',
+    fields: teacherValidator.fields,
+    aliases: teacherValidator.importAliases,
+    naturalKey: 'teacherContact',
+    checkUpdate: async (current, changes) => {
+        const lessons = await lessonsBlockingDeactivation(current._id, changes);
+        return lessons.length > 0 ? [{ field: 'teacherStatus', message: DEACTIVATION_MESSAGE }] : null;
+    }
+});
+
+/**
+ * @swagger
+ * /teachers/export:
+ *   get:
+ *     summary: Exporta os professores em CSV ou JSON
+ *     description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação.
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *         description: Formato do arquivo
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Arquivo com os registros encontrados
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Teachers'
+ *       400:
+ *         description: Formato, filtros ou ordenação inválidos
+ */
+registerExportRoute(router, Teacher, { resource: 'teachers', filename: 'professores', defaultSort: 'teacherName' });
+
 /**
  * @swagger
  * /teachers/{id}:
@@ -117,18 +307,18 @@ router.get('/', async (req, res) => {
  *         description: Professor(a) não encontrado
  */
 
-router.get('/:id', async (req,res)=>{
+router.get('/:id', async (req,res,next)=>{
     const id = req.params.id;
     try {
         const docs = await Teacher.findById(id);
-        console.log(docs);
         if (!docs) {
-            return res.status(404).json({ message: "Professor(a) não encontrado" });
+            return next(new NotFoundError("Professor(a) não encontrado"));
         }
 
+        setETag(res, docs);
         res.json(docs)
     } catch (err) {
-        res.status(500).json({error:err.message});
+        next(err);
     }
 });
 
@@ -137,6 +327,7 @@ router.get('/:id', async (req,res)=>{
  * /teachers/name/{name}:
  *   get:
  *     summary: Retorna professores pelo Nome
+ *     description: Mantida por compatibilidade; equivale a GET /teachers?teacherName=...
  *     tags: [Teachers]
  *     parameters:
  *       - in: path
@@ -158,16 +349,170 @@ router.get('/:id', async (req,res)=>{
  *         description: Nenhum professor(a) encontrado
  */
 
-router.get('/name/:name', async (req, res) => {
+router.get('/name/:name', async (req, res, next) => {
     const name = req.params.name; // Usando parâmetros de consulta
     try {
         const docs = await Teacher.find({teacherName:name});
         if(!docs || docs.length === 0){
-            return res.status(404).json({message:"Professor(a) não encontrado"})
+            return next(new NotFoundError("Professor(a) não encontrado"));
         }
         res.json(docs);
     } catch (err) {
-        res.status(500).json({error: err.message})
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /teachers/{id}/classes:
+ *   get:
+ *     summary: Lista as turmas do Professor(a), com as disciplinas que ele ministra em cada uma
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Professor(a)
+ *       - in: query
+ *         name: schoolYear
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Restringe às turmas de um ano letivo
+ *     responses:
+ *       200:
+ *         description: Turmas do Professor(a), do ano letivo mais recente para o mais antigo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Class'
+ *                   - properties:
+ *                       disciplines:
+ *                         type: array
+ *                         items:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Discipline'
+ *                             - properties:
+ *                                 assignmentId:
+ *                                   type: string
+ *                                   description: ID da atribuição (para removê-la em DELETE /classes/{id}/teachers/{assignmentId})
+ *       400:
+ *         description: schoolYear inválido
+ *       404:
+ *         description: Professor(a) não encontrado
+ */
+
+router.get('/:id/classes', async (req, res, next) => {
+    const schoolYear = req.query.schoolYear === undefined ? undefined : Number(req.query.schoolYear);
+    if (schoolYear !== undefined && !Number.isInteger(schoolYear)) {
+        return next(new BadRequestError('schoolYear deve ser um ano, ex.: 2025'));
+    }
+
+    try {
+        const teacher = await Teacher.findById(req.params.id);
+        if (!teacher) {
+            return next(new NotFoundError("Professor(a) não encontrado"));
+        }
+
+        const assignments = await TeachingAssignment.find({ assignmentTeacher: teacher._id })
+            .populate('assignmentClass')
+            .populate('assignmentDiscipline');
+
+        // Uma entrada por turma, com as disciplinas do professor nela (turmas e disciplinas na lixeira ficam de fora)
+        const classes = new Map();
+        for (const assignment of assignments) {
+            const schoolClass = assignment.assignmentClass;
+            if (!schoolClass || !assignment.assignmentDiscipline) continue;
+            if (schoolYear !== undefined && schoolClass.classSchoolYear !== schoolYear) continue;
+
+            const key = String(schoolClass._id);
+            if (!classes.has(key)) classes.set(key, { ...schoolClass.toJSON(), disciplines: [] });
+            classes.get(key).disciplines.push({ ...assignment.assignmentDiscipline.toJSON(), assignmentId: assignment._id });
+        }
+
+        res.json([...classes.values()].sort((a, b) => b.classSchoolYear - a.classSchoolYear || a.className.localeCompare(b.className, 'pt-BR')));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /teachers/{id}/timetable:
+ *   get:
+ *     summary: Aulas do Professor(a) na semana ou em um dia, com turma, disciplina e período
+ *     description: As aulas de um Professor(a) inativo continuam listadas, marcadas com teacherInactive, como na grade das turmas, até serem passadas para outro professor.
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Professor(a)
+ *       - in: query
+ *         name: weekday
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Dia da semana, pelo número (0 = domingo) ou pelo nome, como terça
+ *       - in: query
+ *         name: schoolYear
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Ano letivo (padrão, o ano atual)
+ *     responses:
+ *       200:
+ *         description: Aulas do Professor(a), por dia e horário
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Lesson'
+ *                   - properties:
+ *                       teacherInactive:
+ *                         type: boolean
+ *                         description: O Professor(a) está inativo
+ *       400:
+ *         description: Dia da semana ou ano letivo inválidos
+ *       404:
+ *         description: Professor(a) não encontrado
+ */
+
+router.get('/:id/timetable', async (req, res, next) => {
+    const weekday = req.query.weekday === undefined ? undefined : parseWeekday(req.query.weekday);
+    if (weekday === null) {
+        return next(new BadRequestError('weekday deve ser um número de 0 (domingo) a 6 (sábado) ou o nome do dia'));
+    }
+    const schoolYear = req.query.schoolYear === undefined ? new Date().getFullYear() : Number(req.query.schoolYear);
+    if (!Number.isInteger(schoolYear)) {
+        return next(new BadRequestError('schoolYear deve ser um ano, ex.: 2025'));
+    }
+
+    try {
+        const teacher = await Teacher.findById(req.params.id);
+        if (!teacher) {
+            return next(new NotFoundError("Professor(a) não encontrado"));
+        }
+        const filter = { lessonTeacher: teacher._id, lessonSchoolYear: schoolYear };
+        if (weekday !== undefined) filter.lessonWeekday = weekday;
+
+        const lessons = await Lesson.find(filter)
+            .sort({ lessonWeekday: 1, lessonStart: 1 })
+            .populate('lessonClass')
+            .populate('lessonDiscipline')
+            .populate('lessonPeriod');
+        res.json(lessons.map(lesson => ({ ...lesson.toJSON(), teacherInactive: teacher.teacherStatus !== true })));
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -190,19 +535,25 @@ router.get('/name/:name', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Teachers'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
 
 //POST "/teachers" 
 //BODY {"name": "Mateus", "school_disciplines": "Português", "contact": "mateus@ema.net", 
 //"phone_number": "4870707070", "status": "off"}
-router.post('/', async (req, res)=>{
+router.post('/', validateBody(teacherValidator.fields), async (req, res, next)=>{
     const teacher = req.body
     try {
         const newTeacher = await Teacher.create(teacher);
-        console.log('Objeto salvo com sucesso!');
+        await recordAudit(req, 'teachers', AUDIT_ACTIONS.CREATE, null, newTeacher);
         res.json(newTeacher);
     } catch (err) {
-        res.status(500).json({error: err.message});
+        next(err);
     }
 });
 
@@ -219,6 +570,7 @@ router.post('/', async (req, res)=>{
  *           type: string
  *         required: true
  *         description: ID do Professor(a)
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -232,27 +584,39 @@ router.post('/', async (req, res)=>{
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Teachers'
- *       400:
+ *       404:
  *         description: Professor(a) não encontrado
+ *       409:
+ *         description: Desativação (teacherStatus false) de um Professor(a) que ainda tem aulas na grade (a lista vem em details.lessons)
+ *       412:
+ *         description: O Professor(a) foi alterado desde a leitura (If-Match desatualizado)
  */
 
-router.put('/:id', async (req, res)=>{
+router.put('/:id', validateBody(teacherValidator.fields, 'update'), async (req, res, next)=>{
     const id = req.params.id;
     const n_teacher = req.body;
     try {
-        const updatedTeacher = await Teacher.findByIdAndUpdate(id, {teacherName: n_teacher.teacherName, teacherSchoolDisciplines: n_teacher.teacherSchoolDisciplines, teacherContact: n_teacher.teacherContact, teacherPhone: n_teacher.teacherPhone, teacherStatus: n_teacher.teacherStatus}, {new: true});
-        console.log('Objeto atualizado:', updatedTeacher);
+        const lessons = await lessonsBlockingDeactivation(id, n_teacher);
+        if (lessons.length > 0) {
+            return next(new ConflictError(DEACTIVATION_MESSAGE, { lessons: lessons.map(lessonSummary) }));
+        }
+        const { before, after: updatedTeacher } = await updateVersioned(req, Teacher, id, {teacherName: n_teacher.teacherName, teacherSchoolDisciplines: n_teacher.teacherSchoolDisciplines, teacherContact: n_teacher.teacherContact, teacherPhone: n_teacher.teacherPhone, teacherStatus: n_teacher.teacherStatus});
+        if (!updatedTeacher) {
+            return next(new NotFoundError("Professor(a) não encontrado"));
+        }
+        await recordAudit(req, 'teachers', AUDIT_ACTIONS.UPDATE, before, updatedTeacher);
+        setETag(res, updatedTeacher);
         res.json(updatedTeacher);
     } catch (err) {
-        res.status(500).json({error: err.message});
+        next(err);
     }
 });
 
 /**
  * @swagger
  * /teachers/{id}:
- *   delete:
- *     summary: Deleta o Professor(a) através do ID
+ *   patch:
+ *     summary: Altera apenas os campos informados de um Professor(a)
  *     tags: [Teachers]
  *     parameters:
  *       - in: path
@@ -261,25 +625,105 @@ router.put('/:id', async (req, res)=>{
  *           type: string
  *         required: true
  *         description: ID do Professor(a)
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Teachers'
  *     responses:
  *       200:
- *         description: O Professor(a) foi deletado com sucesso
+ *         description: O Professor(a) foi atualizado com sucesso
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Teachers'
  *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Professor(a) não encontrado
+ *       409:
+ *         description: Desativação (teacherStatus false) de um Professor(a) que ainda tem aulas na grade (a lista vem em details.lessons)
+ *       412:
+ *         description: O Professor(a) foi alterado desde a leitura (If-Match desatualizado)
+ */
+
+router.patch('/:id', validateBody(teacherValidator.fields, 'patch'), async (req, res, next)=>{
+    try {
+        const lessons = await lessonsBlockingDeactivation(req.params.id, req.body);
+        if (lessons.length > 0) {
+            return next(new ConflictError(DEACTIVATION_MESSAGE, { lessons: lessons.map(lessonSummary) }));
+        }
+        const { before, after: updatedTeacher } = await updateVersioned(req, Teacher, req.params.id, req.body);
+        if (!updatedTeacher) {
+            return next(new NotFoundError("Professor(a) não encontrado"));
+        }
+        await recordAudit(req, 'teachers', AUDIT_ACTIONS.UPDATE, before, updatedTeacher);
+        setETag(res, updatedTeacher);
+        res.json(updatedTeacher);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /teachers/{id}:
+ *   delete:
+ *     summary: Move o Professor(a) para a lixeira
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do Professor(a)
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: O Professor(a) foi movido para a lixeira
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Teachers'
+ *       404:
  *         description: Professor(a) não encontrado
+ *       409:
+ *         description: O Professor(a) está atribuído a disciplinas em turmas (a lista vem em details.assignments)
  */
 
-router.delete('/:id', async (req, res)=>{
+router.delete('/:id', async (req, res, next)=>{
     const id = req.params.id;
     try {
-        const deletedTeacher = await Teacher.findByIdAndDelete(id);
-        console.log('Objeto deletado: ', deletedTeacher);
+        const teacher = await Teacher.findById(id);
+        if (!teacher) {
+            return next(new NotFoundError("Professor(a) não encontrado"));
+        }
+        checkIfMatch(req, teacher);
+
+        // As turmas precisam receber outro professor antes (DELETE /classes/:id/teachers/:assignmentId)
+        const assignments = await TeachingAssignment.find({ assignmentTeacher: teacher._id });
+        if (assignments.length > 0) {
+            return next(new ConflictError(
+                'O Professor(a) está atribuído a disciplinas em turmas; remova as atribuições antes de excluí-lo',
+                { assignments: assignments.map(assignment => ({ _id: assignment._id, class: assignment.assignmentClass, discipline: assignment.assignmentDiscipline })) }
+            ));
+        }
+
+        const { before, after: deletedTeacher } = await moveToTrash(req, Teacher, teacher._id);
+        if (!deletedTeacher) {
+            return next(new NotFoundError("Professor(a) não encontrado"));
+        }
+        await recordAudit(req, 'teachers', AUDIT_ACTIONS.DELETE, before, deletedTeacher);
         res.json(deletedTeacher);
     } catch (err) {
-        res.status(500).json({error:err.message});
+        next(err);
     }
 });
 
@@ -0,0 +1,600 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Period = require('../models/Period');
+const Lesson = require('../models/Lesson');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const { CLASS_SHIFTS } = require('../models/Class');
+const { validateBody } = require('../middlewares/validate');
+const timetableValidator = require('../validators/timetable');
+const { timesOverlap } = require('../utils/timetable');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { setETag, checkIfMatch, updateVersioned } = require('../utils/concurrency');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+mongoose.connect('mongodb://localhost:27017');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Period:
+ *       type: object
+ *       required:
+ *         - periodShift
+ *         - periodNumber
+ *         - periodStart
+ *         - periodEnd
+ *       properties:
+ *         periodShift:
+ *           type: string
+ *           enum: [morning, afternoon, evening, full_time]
+ *           description: Turno ao qual o período pertence
+ *         periodNumber:
+ *           type: integer
+ *           description: Ordem do período no turno (1ª aula, 2ª aula...)
+ *         periodStart:
+ *           type: string
+ *           description: Início (HH:mm)
+ *         periodEnd:
+ *           type: string
+ *           description: Fim (HH:mm)
+ *       example:
+ *         periodShift: morning
+ *         periodNumber: 1
+ *         periodStart: "07:30"
+ *         periodEnd: "08:20"
+ *     Lesson:
+ *       type: object
+ *       properties:
+ *         lessonAssignment:
+ *           type: string
+ *           description: ID da atribuição (professor e disciplina na turma)
+ *         lessonClass:
+ *           description: ID da turma (ou a turma, na grade do professor)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Class'
+ *         lessonTeacher:
+ *           description: ID do professor (ou o professor, na grade da turma)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Teachers'
+ *         lessonDiscipline:
+ *           description: ID da disciplina (ou a disciplina, nas grades)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Discipline'
+ *         lessonSchoolYear:
+ *           type: integer
+ *         lessonWeekday:
+ *           type: integer
+ *           description: Dia da semana (0 = domingo, 1 = segunda ... 6 = sábado)
+ *         lessonPeriod:
+ *           description: ID do período (ou o período, nas grades)
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/Period'
+ *         lessonStart:
+ *           type: string
+ *           description: Início (HH:mm), copiado do período
+ *         lessonEnd:
+ *           type: string
+ *           description: Fim (HH:mm), copiado do período
+ *     LessonInput:
+ *       type: object
+ *       required: [assignment, weekday, period]
+ *       properties:
+ *         assignment:
+ *           type: string
+ *           description: ID da atribuição (ver GET /classes/{id}/teachers)
+ *         weekday:
+ *           type: integer
+ *           description: Dia da semana (0 = domingo, 1 = segunda ... 6 = sábado)
+ *         period:
+ *           type: string
+ *           description: ID de um período do turno da turma
+ *       example:
+ *         assignment: 6740c1f2a1b2c3d4e5f60731
+ *         weekday: 2
+ *         period: 6740c1f2a1b2c3d4e5f60741
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Timetable
+ *     description: Grade horária - períodos de cada turno e aulas semanais das turmas
+ */
+
+/**
+ * @swagger
+ * /timetable/periods:
+ *   get:
+ *     summary: Lista os períodos de aula, por turno e ordem
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: query
+ *         name: shift
+ *         schema:
+ *           type: string
+ *           enum: [morning, afternoon, evening, full_time]
+ *         required: false
+ *         description: Restringe aos períodos de um turno
+ *     responses:
+ *       200:
+ *         description: Períodos cadastrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Period'
+ *       400:
+ *         description: Turno inválido
+ *   post:
+ *     summary: Cadastra um período de aula
+ *     tags: [Timetable]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Period'
+ *     responses:
+ *       200:
+ *         description: Período cadastrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Period'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: O turno já tem um período com este número ou com horário sobreposto (details.period)
+ */
+router.get('/periods', async (req, res, next) => {
+    const { shift } = req.query;
+    if (shift !== undefined && !Object.values(CLASS_SHIFTS).includes(shift)) {
+        return next(new BadRequestError(`shift deve ser ${Object.values(CLASS_SHIFTS).join(', ')}`));
+    }
+
+    try {
+        const filter = shift ? { periodShift: shift } : {};
+        res.json(await Period.find(filter).sort({ periodShift: 1, periodNumber: 1 }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Início antes do fim e sem sobreposição com os demais períodos do mesmo turno
+async function checkPeriod(period, excludeId) {
+    if (period.periodStart >= period.periodEnd) {
+        throw new ValidationError([{ field: 'periodEnd', message: 'Deve ser posterior a periodStart' }]);
+    }
+
+    const filter = { periodShift: period.periodShift };
+    if (excludeId) filter._id = { $ne: excludeId };
+    const overlapping = (await Period.find(filter))
+        .find(other => timesOverlap(period.periodStart, period.periodEnd, other.periodStart, other.periodEnd));
+    if (overlapping) {
+        throw new ConflictError(
+            `O horário se sobrepõe ao ${overlapping.periodNumber}º período do turno`,
+            { period: { _id: overlapping._id, periodStart: overlapping.periodStart, periodEnd: overlapping.periodEnd } }
+        );
+    }
+}
+
+router.post('/periods', validateBody(timetableValidator.period), async (req, res, next) => {
+    try {
+        await checkPeriod(req.body);
+        const period = await Period.create(req.body);
+        await recordAudit(req, 'periods', AUDIT_ACTIONS.CREATE, null, period);
+        res.json(period);
+    } catch (err) {
+        next(err);
+    }
+});
+
+async function updatePeriod(req, res, next) {
+    try {
+        const current = await Period.findById(req.params.id);
+        if (!current) return next(new NotFoundError('Período não encontrado'));
+
+        const period = { ...current.toObject(), ...req.body };
+        const scheduleChanged = ['periodShift', 'periodStart', 'periodEnd'].some(field => period[field] !== current[field]);
+
+        // As aulas guardam o horário do período; mudá-lo poderia criar choques que não foram verificados
+        if (scheduleChanged && await Lesson.exists({ lessonPeriod: current._id })) {
+            return next(new ConflictError('O período já tem aulas na grade; o turno e o horário não podem ser alterados'));
+        }
+        await checkPeriod(period, current._id);
+
+        const { before, after } = await updateVersioned(req, Period, current._id, req.body);
+        if (!after) return next(new NotFoundError('Período não encontrado'));
+        await recordAudit(req, 'periods', AUDIT_ACTIONS.UPDATE, before, after);
+        setETag(res, after);
+        res.json(after);
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * @swagger
+ * /timetable/periods/{id}:
+ *   put:
+ *     summary: Atualiza um período de aula
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do período
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Period'
+ *     responses:
+ *       200:
+ *         description: Período atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Period'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Período não encontrado
+ *       409:
+ *         description: Número repetido, horário sobreposto, ou mudança de turno ou horário em período com aulas
+ *       412:
+ *         description: O período foi alterado desde a leitura (If-Match desatualizado)
+ *   patch:
+ *     summary: Altera apenas os campos informados de um período de aula
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do período
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Period'
+ *     responses:
+ *       200:
+ *         description: Período atualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Period'
+ *       400:
+ *         description: Dados inválidos (lista todos os erros por campo)
+ *       404:
+ *         description: Período não encontrado
+ *       409:
+ *         description: Número repetido, horário sobreposto, ou mudança de turno ou horário em período com aulas
+ *       412:
+ *         description: O período foi alterado desde a leitura (If-Match desatualizado)
+ *   delete:
+ *     summary: Exclui um período de aula sem aulas na grade
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do período
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: Período excluído
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Period'
+ *       404:
+ *         description: Período não encontrado
+ *       409:
+ *         description: O período tem aulas na grade (details.lessons)
+ *       412:
+ *         description: O período foi alterado desde a leitura (If-Match desatualizado)
+ */
+router.put('/periods/:id', validateBody(timetableValidator.period, 'update'), updatePeriod);
+router.patch('/periods/:id', validateBody(timetableValidator.period, 'patch'), updatePeriod);
+
+router.delete('/periods/:id', async (req, res, next) => {
+    try {
+        const period = await Period.findById(req.params.id);
+        if (!period) return next(new NotFoundError('Período não encontrado'));
+        checkIfMatch(req, period);
+
+        const lessons = await Lesson.countDocuments({ lessonPeriod: period._id });
+        if (lessons > 0) {
+            return next(new ConflictError('O período tem aulas na grade; mova ou exclua as aulas antes', { lessons }));
+        }
+
+        await Period.deleteOne({ _id: period._id });
+        await recordAudit(req, 'periods', AUDIT_ACTIONS.PURGE, period, null);
+        res.json(period);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Campos da aula a partir da atribuição e do período. A turma precisa estar ativa, o professor também,
+// e o período precisa ser do turno da turma.
+async function lessonFields(assignmentId, weekday, periodId) {
+    const [assignment, period] = await Promise.all([
+        TeachingAssignment.findById(assignmentId).populate('assignmentClass').populate('assignmentTeacher'),
+        Period.findById(periodId)
+    ]);
+    const details = [];
+    if (!assignment) details.push({ field: 'assignment', message: 'Atribuição não encontrada' });
+    if (!period) details.push({ field: 'period', message: 'Período não encontrado' });
+    if (details.length > 0) throw new ValidationError(details);
+
+    // Turma ou professor na lixeira não são populados
+    const schoolClass = assignment.assignmentClass;
+    const teacher = assignment.assignmentTeacher;
+    if (!schoolClass) throw new ValidationError([{ field: 'assignment', message: 'A turma da atribuição foi excluída' }]);
+    if (!teacher) throw new ValidationError([{ field: 'assignment', message: 'O professor(a) da atribuição foi excluído' }]);
+    if (teacher.teacherStatus !== true) throw new ValidationError([{ field: 'assignment', message: 'Professor(a) está inativo' }]);
+    if (!schoolClass.isActive()) throw new ConflictError('A turma está inativa e não recebe aulas');
+    if (period.periodShift !== schoolClass.classShift) {
+        throw new ValidationError([{ field: 'period', message: `O período é do turno ${period.periodShift} e a turma, do turno ${schoolClass.classShift}` }]);
+    }
+
+    return {
+        lessonAssignment: assignment._id,
+        lessonClass: schoolClass._id,
+        lessonTeacher: teacher._id,
+        lessonDiscipline: assignment.assignmentDiscipline,
+        lessonSchoolYear: schoolClass.classSchoolYear,
+        lessonWeekday: weekday,
+        lessonPeriod: period._id,
+        lessonStart: period.periodStart,
+        lessonEnd: period.periodEnd
+    };
+}
+
+// A turma não pode ter duas aulas ao mesmo tempo, nem o professor estar em duas turmas ao mesmo tempo
+async function checkClashes(fields, excludeId) {
+    const clashes = await Lesson.findClashes(fields, excludeId);
+    if (clashes.length === 0) return;
+
+    throw new ConflictError('Choque de horário: a turma ou o professor(a) já tem aula neste horário', {
+        clashes: clashes.map(clash => ({
+            _id: clash._id,
+            reason: clash.lessonClass.equals(fields.lessonClass) ? 'class' : 'teacher',
+            class: clash.lessonClass,
+            teacher: clash.lessonTeacher,
+            discipline: clash.lessonDiscipline,
+            weekday: clash.lessonWeekday,
+            start: clash.lessonStart,
+            end: clash.lessonEnd
+        }))
+    });
+}
+
+/**
+ * @swagger
+ * /timetable/lessons:
+ *   get:
+ *     summary: Retorna uma lista paginada das aulas da grade
+ *     description: "Use os filtros comuns das listagens, por exemplo lessonClass=<id>, lessonTeacher=<id>, lessonSchoolYear=2025 e lessonWeekday=2."
+ *     tags: [Timetable]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *       - $ref: '#/components/parameters/filters'
+ *     responses:
+ *       200:
+ *         description: Página da lista de aulas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PaginatedList'
+ *                 - properties:
+ *                     data:
+ *                       items:
+ *                         $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Parâmetros de paginação ou filtros inválidos
+ *   post:
+ *     summary: Marca uma aula na grade
+ *     description: A aula é de uma atribuição (professor e disciplina na turma), em um dia da semana e um período do turno da turma.
+ *     tags: [Timetable]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LessonInput'
+ *     responses:
+ *       200:
+ *         description: Aula marcada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Dados inválidos, atribuição ou período inexistentes, professor inativo ou período de outro turno
+ *       409:
+ *         description: Turma inativa, ou choque de horário com outra aula da turma ou do professor (details.clashes)
+ */
+router.get('/lessons', async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, Lesson, { defaultSort: 'lessonWeekday,lessonStart' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+    try {
+        res.json(await paginate(req, Lesson, {}, listOptions));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/lessons', validateBody(timetableValidator.lesson), async (req, res, next) => {
+    try {
+        const fields = await lessonFields(req.body.assignment, req.body.weekday, req.body.period);
+        await checkClashes(fields);
+
+        const lesson = await Lesson.create(fields);
+        await recordAudit(req, 'lessons', AUDIT_ACTIONS.CREATE, null, lesson);
+        res.json(lesson);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /timetable/lessons/{id}:
+ *   get:
+ *     summary: Retorna uma aula pelo ID
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da aula
+ *     responses:
+ *       200:
+ *         description: Dados da aula
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Lesson'
+ *       404:
+ *         description: Aula não encontrada
+ *   patch:
+ *     summary: Muda a aula de dia ou de período
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da aula
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               weekday:
+ *                 type: integer
+ *                 description: Novo dia da semana (0 = domingo)
+ *               period:
+ *                 type: string
+ *                 description: ID do novo período
+ *     responses:
+ *       200:
+ *         description: Aula alterada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Lesson'
+ *       400:
+ *         description: Dados inválidos, período inexistente ou de outro turno, ou professor inativo
+ *       404:
+ *         description: Aula não encontrada
+ *       409:
+ *         description: Choque de horário com outra aula da turma ou do professor (details.clashes)
+ *       412:
+ *         description: A aula foi alterada desde a leitura (If-Match desatualizado)
+ *   delete:
+ *     summary: Retira uma aula da grade
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da aula
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     responses:
+ *       200:
+ *         description: Aula excluída
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Lesson'
+ *       404:
+ *         description: Aula não encontrada
+ *       412:
+ *         description: A aula foi alterada desde a leitura (If-Match desatualizado)
+ */
+router.get('/lessons/:id', async (req, res, next) => {
+    try {
+        const lesson = await Lesson.findById(req.params.id);
+        if (!lesson) return next(new NotFoundError('Aula não encontrada'));
+        setETag(res, lesson);
+        res.json(lesson);
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.patch('/lessons/:id', validateBody(timetableValidator.moveLesson, 'patch'), async (req, res, next) => {
+    try {
+        const current = await Lesson.findById(req.params.id);
+        if (!current) return next(new NotFoundError('Aula não encontrada'));
+
+        const weekday = req.body.weekday !== undefined ? req.body.weekday : current.lessonWeekday;
+        const period = req.body.period !== undefined ? req.body.period : current.lessonPeriod;
+        const fields = await lessonFields(current.lessonAssignment, weekday, period);
+        await checkClashes(fields, current._id);
+
+        const { lessonWeekday, lessonPeriod, lessonStart, lessonEnd } = fields;
+        const { before, after } = await updateVersioned(req, Lesson, current._id, { lessonWeekday, lessonPeriod, lessonStart, lessonEnd });
+        if (!after) return next(new NotFoundError('Aula não encontrada'));
+        await recordAudit(req, 'lessons', AUDIT_ACTIONS.UPDATE, before, after);
+        setETag(res, after);
+        res.json(after);
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/lessons/:id', async (req, res, next) => {
+    try {
+        const lesson = await Lesson.findById(req.params.id);
+        if (!lesson) return next(new NotFoundError('Aula não encontrada'));
+        checkIfMatch(req, lesson);
+
+        await Lesson.deleteOne({ _id: lesson._id });
+        await recordAudit(req, 'lessons', AUDIT_ACTIONS.PURGE, lesson, null);
+        res.json(lesson);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -1,19 +1,28 @@
 const express = require('express');
-const path = require('path');
 const router = express.Router();
-const usersDB = require('../db/users.json');
 
 const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authorize } = require('../middlewares/auth');
+const { parseListOptions, paginate } = require('../utils/pagination');
+const { validateBody } = require('../middlewares/validate');
+const userValidator = require('../validators/users');
+const { BadRequestError, UnauthorizedError, NotFoundError } = require('../utils/errors');
+const { setETag, updateVersioned } = require('../utils/concurrency');
+const { registerExportRoute } = require('../utils/export');
+const { moveToTrash, registerTrashRoutes } = require('../utils/trash');
+const { AUDIT_ACTIONS, snapshot, recordAudit } = require('../utils/audit');
+
 mongoose.connect('mongodb://localhost:27017');
 
-const usersSchema = new mongoose.Schema({
-    userName: String,
-    userEmail: String,
-    userUser: String,
-    userLevel: String,
-    userStatus: Boolean,
-    userPassword: String  // Campo de senha adicionado
-});
+// Encerra as sessões abertas do usuário: os tokens de acesso e os refresh tokens já emitidos deixam de valer
+function revokeSessions(userId) {
+    return Session.updateMany(
+        { sessionUser: userId, sessionRevokedAt: null },
+        { sessionRevokedAt: new Date() }
+    );
+}
 
 /**
  * @swagger
@@ -34,19 +43,22 @@ const usersSchema = new mongoose.Schema({
  *                  description: Nome do usuário
  *              userEmail: 
  *                  type: string
- *                  description: E-mail do usuário
+ *                  format: email
+ *                  description: E-mail do usuário (único; guardado em minúsculas)
  *              userUser: 
  *                  type: string
- *                  description: User de login do usuário
+ *                  description: User de login do usuário (único)
  *              userLevel: 
  *                  type: string
- *                  description: Nível do usuário
+ *                  enum: [adm, secretaria, professor, profissional]
+ *                  description: Nível de acesso do usuário
  *              userStatus: 
  *                  type: boolean
- *                  description: Status do usuário
+ *                  description: Status do usuário (inativos não conseguem fazer login)
  *              userPassword: 
  *                  type: string
- *                  description: Senha do usuário
+ *                  writeOnly: true
+ *                  description: Senha do usuário (nunca é retornada pela API)
  *          example:
  *              userName: Karen Bialescki Stackoski
  *              userEmail: stackoski@email.com
@@ -65,17 +77,151 @@ const usersSchema = new mongoose.Schema({
  *          **Por Karen Bialescki Stackoski**
  */
 
-const User = mongoose.model('User', usersSchema);
+/**
+ * @swagger
+ * /users:
+ *  get:
+ *      summary: Retorna uma lista paginada dos usuários
+ *      tags: [Users]
+ *      parameters:
+ *          - $ref: '#/components/parameters/page'
+ *          - $ref: '#/components/parameters/limit'
+ *          - $ref: '#/components/parameters/sort'
+ *          - $ref: '#/components/parameters/fields'
+ *          - $ref: '#/components/parameters/filters'
+ *      responses:
+ *          200:
+ *              description: Sucesso ao buscar os usuários
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          allOf:
+ *                              - $ref: '#/components/schemas/PaginatedList'
+ *                              - properties:
+ *                                  data:
+ *                                      items:
+ *                                          $ref: '#/components/schemas/Users'
+ *          400:
+ *              description: Parâmetros de paginação ou filtros inválidos
+ */
+
+router.get('/', authorize('users'), async (req, res, next) => {
+    const listOptions = parseListOptions(req.query, User, { defaultSort: 'userName' });
+    if (listOptions.error) return next(new BadRequestError(listOptions.error));
 
-router.get('/', async (req, res) => {
     try {
-        const docs = await User.find();
+        const docs = await paginate(req, User, {}, listOptions);
         res.status(200).json(docs);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
+/**
+ * @swagger
+ * /users/trash:
+ *  get:
+ *      summary: Lista os usuários excluídos (lixeira)
+ *      tags: [Users]
+ *      parameters:
+ *          - $ref: '#/components/parameters/page'
+ *          - $ref: '#/components/parameters/limit'
+ *          - $ref: '#/components/parameters/sort'
+ *          - $ref: '#/components/parameters/fields'
+ *          - $ref: '#/components/parameters/filters'
+ *      responses:
+ *          200:
+ *              description: Página da lixeira, dos excluídos mais recentemente para os mais antigos
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          allOf:
+ *                              - $ref: '#/components/schemas/PaginatedList'
+ *                              - properties:
+ *                                  data:
+ *                                      items:
+ *                                          $ref: '#/components/schemas/Users'
+ *          403:
+ *              description: Usuário sem permissão para excluir usuários
+ *
+ * /users/{id}/restore:
+ *  post:
+ *      summary: Restaura um usuário da lixeira
+ *      tags: [Users]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do usuário
+ *      responses:
+ *          200:
+ *              description: Usuário restaurado
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Users'
+ *          404:
+ *              description: Usuário não encontrado na lixeira
+ *
+ * /users/{id}/purge:
+ *  delete:
+ *      summary: Exclui definitivamente um usuário que está na lixeira (somente administradores)
+ *      tags: [Users]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do usuário
+ *      responses:
+ *          200:
+ *              description: Registro excluído definitivamente
+ *          403:
+ *              description: Apenas administradores podem excluir definitivamente
+ *          404:
+ *              description: Usuário não encontrado na lixeira
+ */
+// Lixeira: GET /trash, POST /:id/restore e DELETE /:id/purge
+registerTrashRoutes(router, User, { resource: 'users', notFoundMessage: 'Usuário(a) não encontrado' });
+
+/**
+ * @swagger
+ * /users/export:
+ *  get:
+ *      summary: Exporta os usuários em CSV ou JSON
+ *      description: Aceita os mesmos filtros, sort e fields das listagens, sem paginação.
+ *      tags: [Users]
+ *      parameters:
+ *          - in: query
+ *            name: format
+ *            schema:
+ *              type: string
+ *              enum: [csv, json]
+ *              default: json
+ *            description: Formato do arquivo
+ *          - $ref: '#/components/parameters/sort'
+ *          - $ref: '#/components/parameters/fields'
+ *          - $ref: '#/components/parameters/filters'
+ *      responses:
+ *          200:
+ *              description: Arquivo com os registros encontrados
+ *              content:
+ *                  text/csv:
+ *                      schema:
+ *                          type: string
+ *                  application/json:
+ *                      schema:
+ *                          type: array
+ *                          items:
+ *                              $ref: '#/components/schemas/Users'
+ *          400:
+ *              description: Formato, filtros ou ordenação inválidos
+ */
+registerExportRoute(router, User, { resource: 'users', filename: 'usuarios', defaultSort: 'userName' });
+
 /**
  * @swagger
  * /users/{id}:
@@ -100,18 +246,19 @@ router.get('/', async (req, res) => {
  *              description: Usuário não encontrado
  */
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('users'), async (req, res, next) => {
     const id = req.params.id;
     try {
         const docs = await User.findById(id);
         
         if (!docs) {
-            return res.status(404).json({ message: "Usuário(a) não encontrado" });
+            return next(new NotFoundError("Usuário(a) não encontrado"));
         }
         
+        setETag(res, docs);
         res.json(docs);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -134,16 +281,25 @@ router.get('/:id', async (req, res) => {
  *                  application/json:
  *                      schema:
  *                          $ref: '#/components/schemas/Users'
+ *          400:
+ *              description: Dados inválidos (lista todos os erros por campo)
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/ValidationError'
+ *          409:
+ *              description: Já existe um usuário com este login (userUser) ou e-mail
  */
 
-router.post('/', async (req, res) => {
+router.post('/', authorize('users'), validateBody(userValidator.fields), async (req, res, next) => {
     const user = req.body;
 
     try {
         const newUser = await User.create(user);
+        await recordAudit(req, 'users', AUDIT_ACTIONS.CREATE, null, newUser);
         res.json(newUser);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -160,6 +316,7 @@ router.post('/', async (req, res) => {
  *              type: string
  *            required: true
  *            description: ID do usuário
+ *          - $ref: '#/components/parameters/ifMatch'
  *      requestBody:
  *          required: true
  *          content:
@@ -168,31 +325,183 @@ router.post('/', async (req, res) => {
  *                      $ref: '#/components/schemas/Users'
  *      responses:
  *          200:
- *              description: Sucesso ao alterar o usuário
+ *              description: Sucesso ao alterar o usuário; se a senha (userPassword) foi trocada, as sessões abertas do usuário são encerradas
  *              content: 
  *                  application/json:
  *                      schema:
  *                          $ref: '#/components/schemas/Users'
  *          400:
- *              description: Usuário não encontrado ou parâmetros obrigatórios ausentes
+ *              description: Parâmetros obrigatórios ausentes ou inválidos
+ *          404:
+ *              description: Usuário não encontrado
+ *          409:
+ *              description: Já existe um usuário com este login (userUser) ou e-mail
+ *          412:
+ *              description: O usuário foi alterado desde a leitura (If-Match desatualizado)
  */
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('users'), validateBody(userValidator.fields, 'update'), async (req, res, next) => {
     const id = req.params.id;
     const newUser = req.body;
 
     try {
-        const updateUser = await User.findByIdAndUpdate(id, {
+        const { before, after: updateUser } = await updateVersioned(req, User, id, {
             userName: newUser.userName,
             userEmail: newUser.userEmail,
             userUser: newUser.userUser,
             userLevel: newUser.userLevel,
             userStatus: newUser.userStatus,
-            userPassword: newUser.userPassword  // Atualizando a senha
-        }, { new: true });
+            userPassword: newUser.userPassword  // Atualizando a senha (o hash é gerado pelo model)
+        });
+
+        if (!updateUser) {
+            return next(new NotFoundError("Usuário(a) não encontrado"));
+        }
+        // A senha não é lida nas consultas, então a troca é registrada à parte (sem o valor)
+        await recordAudit(req, 'users', AUDIT_ACTIONS.UPDATE, before, updateUser, {
+            hiddenChanges: req.body.userPassword ? ['userPassword'] : []
+        });
+        // Trocar a senha por aqui também encerra as sessões abertas com a senha antiga
+        if (req.body.userPassword) await revokeSessions(updateUser._id);
+
+        setETag(res, updateUser);
         res.json(updateUser);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *  patch:
+ *      summary: Altera apenas os campos informados do usuário
+ *      tags: [Users]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do usuário
+ *          - $ref: '#/components/parameters/ifMatch'
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json: 
+ *                  schema:
+ *                      $ref: '#/components/schemas/Users'
+ *      responses:
+ *          200:
+ *              description: Sucesso ao alterar o usuário; se a senha (userPassword) foi trocada, as sessões abertas do usuário são encerradas
+ *              content: 
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/Users'
+ *          400:
+ *              description: Dados inválidos (lista todos os erros por campo)
+ *              content:
+ *                  application/json:
+ *                      schema:
+ *                          $ref: '#/components/schemas/ValidationError'
+ *          404:
+ *              description: Usuário não encontrado
+ *          409:
+ *              description: Já existe um usuário com este login (userUser) ou e-mail
+ *          412:
+ *              description: O usuário foi alterado desde a leitura (If-Match desatualizado)
+ */
+
+router.patch('/:id', authorize('users'), validateBody(userValidator.fields, 'patch'), async (req, res, next) => {
+    try {
+        const { before, after: updateUser } = await updateVersioned(req, User, req.params.id, req.body);
+
+        if (!updateUser) {
+            return next(new NotFoundError("Usuário(a) não encontrado"));
+        }
+        // A senha não é lida nas consultas, então a troca é registrada à parte (sem o valor)
+        await recordAudit(req, 'users', AUDIT_ACTIONS.UPDATE, before, updateUser, {
+            hiddenChanges: req.body.userPassword ? ['userPassword'] : []
+        });
+        // Trocar a senha por aqui também encerra as sessões abertas com a senha antiga
+        if (req.body.userPassword) await revokeSessions(updateUser._id);
+
+        setETag(res, updateUser);
+        res.json(updateUser);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /users/{id}/password:
+ *  post:
+ *      summary: Altera a senha do usuário
+ *      tags: [Users]
+ *      parameters:
+ *          - in: path
+ *            name: id
+ *            schema:
+ *              type: string
+ *            required: true
+ *            description: ID do usuário
+ *      requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      required:
+ *                          - currentPassword
+ *                          - newPassword
+ *                      properties:
+ *                          currentPassword:
+ *                              type: string
+ *                              description: Senha atual do usuário
+ *                          newPassword:
+ *                              type: string
+ *                              description: Nova senha (mínimo de 8 caracteres, com letra maiúscula, minúscula e número)
+ *                  example:
+ *                      currentPassword: mySecurePassword123
+ *                      newPassword: NovaSenha2024
+ *      responses:
+ *          200:
+ *              description: Senha alterada com sucesso; as sessões abertas do usuário são encerradas
+ *          400:
+ *              description: Campos ausentes ou nova senha fraca
+ *          401:
+ *              description: Senha atual incorreta
+ *          404:
+ *              description: Usuário não encontrado
+ */
+
+router.post('/:id/password', authorize('users', { action: 'update', allowSelf: true }), validateBody(userValidator.changePassword), async (req, res, next) => {
+    const id = req.params.id;
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        const user = await User.findById(id).select('+userPassword');
+        if (!user) {
+            return next(new NotFoundError("Usuário(a) não encontrado"));
+        }
+
+        if (!(await user.checkPassword(currentPassword))) {
+            return next(new UnauthorizedError('Senha atual incorreta'));
+        }
+
+        const before = snapshot(user);
+        user.userPassword = newPassword;
+        user.increment();  // A troca de senha também gera uma nova versão (ETag) do usuário
+        await user.save();
+        await recordAudit(req, 'users', AUDIT_ACTIONS.UPDATE, before, user);
+
+        // Encerra as sessões abertas com a senha antiga
+        await revokeSessions(user._id);
+
+        res.json({ message: 'Senha alterada com sucesso' });
+    } catch (err) {
+        next(err);
     }
 });
 
@@ -200,7 +509,7 @@ router.put('/:id', async (req, res) => {
  * @swagger
  * /users/{id}:
  *  delete:
- *      summary: Exclui o usuário
+ *      summary: Move o usuário para a lixeira e encerra as sessões dele
  *      tags: [Users]
  *      parameters:
  *          - in: path
@@ -209,25 +518,30 @@ router.put('/:id', async (req, res) => {
  *              type: string
  *            required: true
  *            description: ID do usuário
+ *          - $ref: '#/components/parameters/ifMatch'
  *      responses:
  *          200:
- *              description: Sucesso ao excluir o usuário
+ *              description: Usuário movido para a lixeira
  *          404:
  *              description: Usuário não encontrado
  */
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('users'), async (req, res, next) => {
     const id = req.params.id;
     try {
-        const deletedUser = await User.findByIdAndDelete(id);
+        const { before, after: deletedUser } = await moveToTrash(req, User, id);
         
         if (!deletedUser) {
-            return res.status(404).json({ message: "Usuário(a) não encontrado" });
+            return next(new NotFoundError("Usuário(a) não encontrado"));
         }
+        await recordAudit(req, 'users', AUDIT_ACTIONS.DELETE, before, deletedUser);
+
+        // Usuário na lixeira não pode continuar usando os tokens já emitidos
+        await revokeSessions(deletedUser._id);
         
         res.json({ message: 'Usuário(a) excluído(a) com sucesso!' });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
@@ -0,0 +1,129 @@
+// Migrações do banco de dados: scripts em migrations/ que ajustam os dados já gravados quando um schema muda.
+//
+//   npm run migrate                  aplica, em ordem, as migrações que ainda não foram aplicadas
+//   npm run migrate -- status        lista as migrações e quando cada uma foi aplicada
+//   npm run migrate:down             desfaz a última migração aplicada
+//   npm run migrate -- create nome   cria migrations/<próximo número>-nome.js a partir do modelo
+//
+// Cada arquivo exporta { description, up, down }; up e down recebem { db, log }, com db sendo o banco do driver
+// do MongoDB (use as coleções diretamente: os models mudam com o tempo e a migração precisa continuar funcionando).
+// down é opcional; sem ele, a migração não pode ser desfeita. As migrações aplicadas ficam na coleção migrations.
+// O endereço do banco vem de MONGODB_URI (padrão: mongodb://localhost:27017).
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d{3})-[a-z0-9-]+\.js$/;
+
+const TEMPLATE = `module.exports = {
+    description: '',
+
+    async up({ db, log }) {
+    },
+
+    async down({ db, log }) {
+    }
+};
+`;
+
+// Migrações disponíveis, na ordem do número no início do nome do arquivo
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => FILE_PATTERN.test(file))
+        .sort()
+        .map(file => ({ name: path.basename(file, '.js'), ...require(path.join(MIGRATIONS_DIR, file)) }));
+}
+
+function logger(name) {
+    return message => console.log(`  ${name}: ${message}`);
+}
+
+async function up(db) {
+    const applied = new Set(await Migration.distinct('migrationName'));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.name));
+
+    if (pending.length === 0) {
+        console.log('Nenhuma migração pendente');
+        return;
+    }
+
+    // Para na primeira falha: as seguintes podem depender dela
+    for (const migration of pending) {
+        console.log(`Aplicando ${migration.name}`);
+        await migration.up({ db, log: logger(migration.name) });
+        await Migration.create({ migrationName: migration.name, migrationDescription: migration.description });
+    }
+    console.log(`${pending.length} migração(ões) aplicada(s)`);
+}
+
+async function down(db) {
+    const last = await Migration.findOne().sort({ migrationName: -1 });
+    if (!last) {
+        console.log('Nenhuma migração aplicada');
+        return;
+    }
+
+    const migration = loadMigrations().find(item => item.name === last.migrationName);
+    if (!migration) throw new Error(`O arquivo da migração ${last.migrationName} não foi encontrado em migrations/`);
+    if (typeof migration.down !== 'function') throw new Error(`A migração ${migration.name} não pode ser desfeita`);
+
+    console.log(`Desfazendo ${migration.name}`);
+    await migration.down({ db, log: logger(migration.name) });
+    await Migration.deleteOne({ _id: last._id });
+}
+
+async function status() {
+    const applied = new Map((await Migration.find()).map(item => [item.migrationName, item]));
+    const migrations = loadMigrations();
+
+    for (const migration of migrations) {
+        const record = applied.get(migration.name);
+        const state = record ? `aplicada em ${record.migration_applied_date.toISOString()}` : 'pendente';
+        console.log(`${migration.name}  ${state}  ${migration.description || ''}`);
+    }
+    // Registros sem arquivo: migração removida do projeto ou aplicada a partir de outra versão do código
+    for (const name of applied.keys()) {
+        if (!migrations.some(migration => migration.name === name)) console.log(`${name}  aplicada, arquivo não encontrado`);
+    }
+}
+
+function create(name) {
+    if (!name || !/^[a-z0-9-]+$/.test(name)) {
+        throw new Error('Informe o nome da migração em minúsculas, com hífens (ex.: students-age-to-number)');
+    }
+
+    const numbers = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+    const next = String(Math.max(0, ...numbers) + 1).padStart(3, '0');
+
+    const file = path.join(MIGRATIONS_DIR, `${next}-${name}.js`);
+    fs.writeFileSync(file, TEMPLATE);
+    console.log(`Criada ${path.relative(process.cwd(), file)}`);
+}
+
+const COMMANDS = { up, down, status };
+
+async function main() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+
+    if (command === 'create') return create(args[0]);
+    if (!COMMANDS[command]) throw new Error(`Comando desconhecido: ${command} (use up, down, status ou create)`);
+
+    await mongoose.connect(MONGODB_URI);
+    try {
+        await COMMANDS[command](mongoose.connection.db);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,151 @@
+// Carrega os arquivos db/*.json no MongoDB, convertendo os campos antigos para os models atuais (ver db/legacy.js).
+//
+//   npm run seed           cadastra os registros que ainda não existem; pode ser rodado quantas vezes for preciso
+//   npm run seed:reset     apaga os dados (inclusive sessões e auditoria) e carrega tudo de novo
+//
+// O endereço do banco vem de MONGODB_URI (padrão: mongodb://localhost:27017). Os usuários carregados recebem a
+// senha de SEED_PASSWORD, obrigatória: não há senha padrão, que seria a mesma em toda instalação.
+// Com NODE_ENV=production, --reset só roda junto com --force.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Professional = require('../models/Professional');
+const Appointment = require('../models/Appointment');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const SchoolClass = require('../models/Class');
+const Discipline = require('../models/Discipline');
+const Enrollment = require('../models/Enrollment');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const Period = require('../models/Period');
+const Lesson = require('../models/Lesson');
+const Attendance = require('../models/Attendance');
+const GradingPolicy = require('../models/GradingPolicy');
+const Assessment = require('../models/Assessment');
+const Grade = require('../models/Grade');
+const Guardian = require('../models/Guardian');
+const Guardianship = require('../models/Guardianship');
+const { hashPassword, checkPasswordStrength } = require('../utils/password');
+const { LEGACY_RESOURCES, LOAD_ORDER, legacyObjectId } = require('../db/legacy');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const SEED_PASSWORD = process.env.SEED_PASSWORD;
+const DB_DIR = path.join(__dirname, '..', 'db');
+
+// Coleções sem arquivo em db/, apagadas no --reset junto com as carregadas
+const OTHER_MODELS = [Session, AuditLog, SchoolClass, Discipline, Enrollment, TeachingAssignment, Period, Lesson, Attendance, GradingPolicy, Assessment, Grade, Guardian, Guardianship];
+
+const MODELS = {
+    users: User,
+    students: Student,
+    teachers: Teacher,
+    professionals: Professional,
+    events: Event,
+    appointments: Appointment
+};
+
+function readLegacyFile(file) {
+    const content = fs.readFileSync(path.join(DB_DIR, file), 'utf8').trim();
+    return content ? JSON.parse(content) : [];
+}
+
+// Apaga tudo direto nas coleções: a lixeira e o bloqueio de exclusão do log de auditoria não se aplicam aqui
+async function reset() {
+    for (const Model of [...Object.values(MODELS), ...OTHER_MODELS]) {
+        await Model.collection.deleteMany({});
+    }
+}
+
+// IDs do aluno e do profissional de um agendamento antigo, procurados pelo nome
+async function appointmentReferences(record) {
+    const student = await Student.findOne({ studentsName: record.student }, '_id', { withDeleted: true });
+    const professional = await Professional.findOne({ professionalName: record.professional }, '_id', { withDeleted: true });
+    return { student: student && student._id, professional: professional && professional._id };
+}
+
+async function loadRecord(resource, record, passwordHash) {
+    const Model = MODELS[resource];
+    const { naturalKey, toDocument } = LEGACY_RESOURCES[resource];
+    const _id = legacyObjectId(resource, record.id);
+
+    let document;
+    if (resource === 'appointments') {
+        const references = await appointmentReferences(record);
+        if (!references.student) return { status: 'skipped', message: `Estudante "${record.student}" não encontrado` };
+        if (!references.professional) return { status: 'skipped', message: `Profissional "${record.professional}" não encontrado` };
+        document = toDocument(record, references);
+    } else {
+        document = toDocument(record);
+    }
+    if (resource === 'users') document.userPassword = passwordHash;
+
+    const error = new Model(document).validateSync();
+    if (error) return { status: 'failed', message: error.message };
+
+    // Outro registro (de uma carga anterior ou criado pela API) já usa o mesmo valor do campo único
+    if (naturalKey) {
+        const duplicate = await Model.findOne({ [naturalKey]: document[naturalKey], _id: { $ne: _id } }, '_id', { withDeleted: true });
+        if (duplicate) return { status: 'skipped', message: `Já existe um registro com ${naturalKey} "${document[naturalKey]}"` };
+    }
+
+    // $setOnInsert só grava quando o _id ainda não existe, então registros já carregados (mesmo se alterados depois) ficam como estão
+    const result = await Model.updateOne(
+        { _id },
+        { $setOnInsert: { ...document, __v: 0 } },
+        { upsert: true, withDeleted: true }
+    );
+    return { status: result.upsertedCount ? 'created' : 'unchanged' };
+}
+
+async function seed({ resetFirst }) {
+    if (resetFirst) {
+        await reset();
+        console.log('Banco de dados limpo');
+    }
+
+    const passwordHash = await hashPassword(SEED_PASSWORD);
+
+    for (const resource of LOAD_ORDER) {
+        const summary = { created: 0, unchanged: 0, skipped: 0, failed: 0 };
+
+        for (const record of readLegacyFile(LEGACY_RESOURCES[resource].file)) {
+            const { status, message } = await loadRecord(resource, record, passwordHash);
+            summary[status]++;
+            if (message) console.warn(`  ${resource} ${record.id}: ${message}`);
+        }
+
+        console.log(`${resource}: ${Object.entries(summary).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const resetFirst = args.includes('--reset');
+
+    if (resetFirst && process.env.NODE_ENV === 'production' && !args.includes('--force')) {
+        throw new Error('--reset apaga todos os dados; em produção, use também --force');
+    }
+
+    if (!SEED_PASSWORD) {
+        throw new Error('Defina a variável de ambiente SEED_PASSWORD com a senha dos usuários carregados, ex.: SEED_PASSWORD=<senha> npm run seed');
+    }
+    const problems = checkPasswordStrength(SEED_PASSWORD);
+    if (problems.length > 0) throw new Error(`SEED_PASSWORD inválida: ${problems.join('; ')}`);
+
+    await mongoose.connect(MONGODB_URI);
+    try {
+        await seed({ resetFirst });
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,169 @@
+process.env.JWT_SECRET = 'chave-dos-testes';
+process.env.BCRYPT_SALT_ROUNDS = '4';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { hashPassword } = require('../utils/password');
+const { signAccessToken, verifyAccessToken, hashToken } = require('../utils/tokens');
+const { authenticate } = require('../middlewares/auth');
+const { errorHandler } = require('../middlewares/errorHandler');
+const authRoutes = require('../routes/authRoutes');
+
+// Usuários e sessões ficam em memória: os métodos dos models usados nas rotas são substituídos
+const users = new Map();
+const sessions = new Map();
+
+User.findById = async id => users.get(String(id)) || null;
+User.findOne = ({ userUser }) => {
+    const found = Promise.resolve([...users.values()].find(user => user.userUser === userUser) || null);
+    found.select = () => found;
+    return found;
+};
+Session.create = async data => {
+    const session = new Session(data);
+    sessions.set(String(session._id), session);
+    return session;
+};
+Session.findById = async id => sessions.get(String(id)) || null;
+Session.findOne = async ({ sessionRefreshTokenHash }) =>
+    [...sessions.values()].find(session => session.sessionRefreshTokenHash === sessionRefreshTokenHash) || null;
+Session.findByIdAndUpdate = async (id, update) => Object.assign(sessions.get(String(id)), update);
+Session.prototype.save = async function () {
+    return this;
+};
+
+async function addUser(data) {
+    const user = new User({ userStatus: true, ...data, userPassword: await hashPassword(data.userPassword) });
+    users.set(String(user._id), user);
+    return user;
+}
+
+let server;
+let baseUrl;
+let admin;
+let teacher;
+
+before(async () => {
+    admin = await addUser({ userUser: 'admin', userLevel: 'adm', userPassword: 'Admin2024' });
+    teacher = await addUser({ userUser: 'prof', userLevel: 'professor', userPassword: 'Prof2024' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', authRoutes);
+    app.get('/me', authenticate, (req, res) => res.json(req.user));
+    app.use(errorHandler);
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, url, { body, token } = {}) {
+    const headers = { 'content-type': 'application/json' };
+    if (token) headers.authorization = `Bearer ${token}`;
+    const response = await fetch(baseUrl + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: response.status, body: await response.json() };
+}
+
+const login = (userUser, userPassword) => request('POST', '/auth/login', { body: { userUser, userPassword } });
+
+test('os tokens de acesso são assinados com JWT_SECRET', () => {
+    const token = signAccessToken(admin, { _id: 'sessao' });
+    assert.equal(verifyAccessToken(token).sub, String(admin._id));
+    assert.throws(() => verifyAccessToken(jwt.sign({ sub: String(admin._id) }, 'outra-chave')));
+    assert.equal(hashToken('abc'), hashToken('abc'));
+    assert.notEqual(hashToken('abc'), 'abc');
+});
+
+test('a API não sobe sem JWT_SECRET', () => {
+    const result = spawnSync(process.execPath, ['-e', "require('./utils/tokens')"], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, JWT_SECRET: '' },
+        encoding: 'utf8'
+    });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /Defina a variável de ambiente JWT_SECRET/);
+});
+
+test('login com senha errada é recusado', async () => {
+    const { status } = await login('admin', 'Errada2024');
+    assert.equal(status, 401);
+});
+
+test('login devolve os tokens da nova sessão', async () => {
+    const { status, body } = await login('admin', 'Admin2024');
+    assert.equal(status, 200);
+    assert.equal(body.tokenType, 'Bearer');
+
+    const me = await request('GET', '/me', { token: body.accessToken });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.id, String(admin._id));
+    assert.equal(me.body.level, 'adm');
+});
+
+test('usuários inativos não fazem login nem usam os tokens já emitidos', async () => {
+    const inactive = await addUser({ userUser: 'inativo', userLevel: 'secretaria', userPassword: 'Inativo2024' });
+    const { body } = await login('inativo', 'Inativo2024');
+
+    inactive.userStatus = false;
+    assert.equal((await login('inativo', 'Inativo2024')).status, 403);
+    assert.equal((await request('GET', '/me', { token: body.accessToken })).status, 401);
+});
+
+test('o refresh token é trocado a cada renovação', async () => {
+    const { body: first } = await login('prof', 'Prof2024');
+
+    const renewed = await request('POST', '/auth/refresh', { body: { refreshToken: first.refreshToken } });
+    assert.equal(renewed.status, 200);
+    assert.notEqual(renewed.body.refreshToken, first.refreshToken);
+    assert.equal((await request('GET', '/me', { token: renewed.body.accessToken })).status, 200);
+
+    // A sessão anterior foi revogada: nem o refresh token nem o token de acesso antigos valem mais
+    assert.equal((await request('POST', '/auth/refresh', { body: { refreshToken: first.refreshToken } })).status, 401);
+    assert.equal((await request('GET', '/me', { token: first.accessToken })).status, 401);
+});
+
+test('o logout revoga a sessão', async () => {
+    const { body } = await login('prof', 'Prof2024');
+
+    assert.equal((await request('POST', '/auth/logout', { token: body.accessToken })).status, 200);
+    assert.equal((await request('GET', '/me', { token: body.accessToken })).status, 401);
+    assert.equal((await request('POST', '/auth/refresh', { body: { refreshToken: body.refreshToken } })).status, 401);
+});
+
+test('sessões expiradas não são aceitas', async () => {
+    const { body } = await login('prof', 'Prof2024');
+    sessions.get(verifyAccessToken(body.accessToken).sid).sessionExpiresAt = new Date(Date.now() - 1000);
+
+    assert.equal((await request('GET', '/me', { token: body.accessToken })).status, 401);
+});
+
+test('uma sessão válida não serve para agir como outro usuário', async () => {
+    const { body } = await login('prof', 'Prof2024');
+    const { sid } = verifyAccessToken(body.accessToken);
+
+    // Token com a sessão do professor e o sub do administrador
+    const forged = jwt.sign({ sub: String(admin._id), sid, level: 'adm' }, process.env.JWT_SECRET);
+    const { status } = await request('GET', '/me', { token: forged });
+    assert.equal(status, 401);
+});
+
+test('tokens sem sessão ou assinados com outra chave são recusados', async () => {
+    const noSession = jwt.sign({ sub: String(admin._id), sid: '6740c1f2a1b2c3d4e5f60799' }, process.env.JWT_SECRET);
+    assert.equal((await request('GET', '/me', { token: noSession })).status, 401);
+
+    const { body } = await login('admin', 'Admin2024');
+    const payload = verifyAccessToken(body.accessToken);
+    const otherKey = jwt.sign({ sub: payload.sub, sid: payload.sid }, 'api-gestao-ensino-dev-secret');
+    assert.equal((await request('GET', '/me', { token: otherKey })).status, 401);
+    assert.equal((await request('GET', '/me')).status, 401);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizePhone,
+    normalizeEmail,
+    normalizeCpf,
+    isValidPhone,
+    isValidEmail,
+    isValidCpf,
+    validatePhone,
+    validateCpf
+} = require('../utils/contact');
+
+test('normalizePhone guarda só os dígitos, com DDD e sem o código do país', () => {
+    assert.equal(normalizePhone('(48) 99905-5949'), '48999055949');
+    assert.equal(normalizePhone('+55 48 99905-5949'), '48999055949');
+    assert.equal(normalizePhone('048 3222-1234'), '4832221234');
+    assert.equal(normalizePhone(48999055949), '48999055949');
+});
+
+test('isValidPhone aceita celulares e fixos com DDD', () => {
+    assert.equal(isValidPhone('(48) 99905-5949'), true);
+    assert.equal(isValidPhone('48 3222-1234'), true);
+    assert.equal(isValidPhone('99905-5949'), false);
+    assert.equal(isValidPhone('(48) 89905-5949'), false);
+    assert.equal(isValidPhone('telefone'), false);
+});
+
+test('validatePhone retorna a mensagem de erro', () => {
+    assert.equal(validatePhone('(48) 99905-5949'), null);
+    assert.match(validatePhone('123'), /^Telefone inválido/);
+});
+
+test('e-mails são guardados em minúsculas e sem espaços', () => {
+    assert.equal(normalizeEmail(' Ana@Escola.COM '), 'ana@escola.com');
+    assert.equal(isValidEmail(' Ana@Escola.COM '), true);
+    assert.equal(isValidEmail('ana@escola'), false);
+    assert.equal(isValidEmail('ana escola@x.com'), false);
+});
+
+test('isValidCpf aceita CPFs com os dígitos verificadores corretos', () => {
+    assert.equal(isValidCpf('529.982.247-25'), true);
+    assert.equal(isValidCpf('52998224725'), true);
+    assert.equal(isValidCpf(52998224725), true);
+});
+
+test('isValidCpf recusa dígitos verificadores errados', () => {
+    assert.equal(isValidCpf('529.982.247-24'), false);
+    assert.equal(isValidCpf('529.982.247-15'), false);
+});
+
+test('isValidCpf recusa CPFs com todos os dígitos iguais ou tamanho errado', () => {
+    assert.equal(isValidCpf('111.111.111-11'), false);
+    assert.equal(isValidCpf('00000000000'), false);
+    assert.equal(isValidCpf('5299822472'), false);
+    assert.equal(isValidCpf(''), false);
+    assert.equal(isValidCpf(null), false);
+});
+
+test('normalizeCpf guarda só os dígitos e recupera os zeros à esquerda', () => {
+    assert.equal(normalizeCpf(' 529.982.247-25 '), '52998224725');
+    assert.equal(normalizeCpf(1234567890), '01234567890');
+});
+
+test('validateCpf retorna a mensagem de erro', () => {
+    assert.equal(validateCpf('529.982.247-25'), null);
+    assert.equal(validateCpf('529.982.247-24'), 'CPF inválido');
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { escapeRegex, likeCondition, filterableFields, parseFilters } = require('../utils/filtering');
+
+test('parseFilters sem filtros retorna um filtro vazio', () => {
+    assert.deepEqual(parseFilters({ page: '2', limit: '10', sort: '-appointmentDate' }, Appointment), { filter: {} });
+});
+
+test('parseFilters converte os valores para o tipo do campo', () => {
+    const { filter } = parseFilters({ appointmentDuration: '30' }, Appointment);
+    assert.deepEqual(filter, { appointmentDuration: 30 });
+
+    const { filter: dateFilter } = parseFilters({ appointmentDate: { gte: '2024-05-01' } }, Appointment);
+    assert.deepEqual(dateFilter, { appointmentDate: { $gte: new Date('2024-05-01') } });
+});
+
+test('parseFilters junta várias condições com $and', () => {
+    const { filter } = parseFilters({ appointmentStatus: { in: 'scheduled,confirmed' }, appointmentDuration: { lte: '60' } }, Appointment);
+    assert.deepEqual(filter, {
+        $and: [
+            { appointmentStatus: { $in: ['scheduled', 'confirmed'] } },
+            { appointmentDuration: { $lte: 60 } }
+        ]
+    });
+});
+
+test('parseFilters trata parâmetros repetidos como in', () => {
+    const { filter } = parseFilters({ appointmentStatus: ['scheduled', 'confirmed'] }, Appointment);
+    assert.deepEqual(filter, { appointmentStatus: { $in: ['scheduled', 'confirmed'] } });
+});
+
+test('parseFilters recusa campos, operadores e valores inválidos', () => {
+    assert.deepEqual(parseFilters({ foo: 'x' }, Appointment), { error: 'Não é possível filtrar pelo campo "foo"' });
+    assert.deepEqual(parseFilters({ appointmentStatus: { regex: '.*' } }, Appointment), { error: 'Operador "regex" não suportado' });
+    assert.deepEqual(parseFilters({ appointmentDuration: 'abc' }, Appointment), { error: 'O campo "appointmentDuration" espera um número' });
+    assert.deepEqual(parseFilters({ appointmentDuration: { like: '3' } }, Appointment), { error: 'O operador like só pode ser usado em campos de texto' });
+    assert.deepEqual(parseFilters({ appointmentStatus: { eq: { $ne: null } } }, Appointment), { error: 'Valor inválido para o campo "appointmentStatus"' });
+});
+
+test('parseFilters ignora os parâmetros reservados da rota', () => {
+    assert.deepEqual(parseFilters({ populate: 'true' }, Appointment, { reserved: ['populate'] }), { filter: {} });
+});
+
+test('os campos da lixeira só podem ser filtrados com withDeleted', () => {
+    assert.ok(!filterableFields(Appointment).includes('deletedAt'));
+    assert.deepEqual(parseFilters({ deletedAt: { ne: 'null' } }, Appointment), { error: 'Não é possível filtrar pelo campo "deletedAt"' });
+
+    assert.ok(filterableFields(Appointment, { withDeleted: true }).includes('deletedAt'));
+    assert.ok(parseFilters({ deletedAt: { gte: '2024-01-01' } }, Appointment, { withDeleted: true }).filter);
+});
+
+test('campos ocultos nas consultas não podem ser filtrados', () => {
+    assert.ok(!filterableFields(User).includes('userPassword'));
+});
+
+test('like escapa o texto do usuário', () => {
+    assert.equal(escapeRegex('a.b*(c)'), 'a\\.b\\*\\(c\\)');
+    assert.deepEqual(likeCondition('.*'), { $regex: '\\.\\*', $options: 'i' });
+    assert.deepEqual(parseFilters({ appointmentSpeciality: { like: 'fono' } }, Appointment).filter, {
+        appointmentSpeciality: { $regex: 'fono', $options: 'i' }
+    });
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPdf } = require('../utils/pdf');
+
+// Posição de cada objeto segundo a tabela xref do arquivo
+function xrefOffsets(text) {
+    const start = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.equal(text.slice(start, start + 5), 'xref\n');
+    const [, count] = text.slice(start).match(/^xref\n0 (\d+)\n/);
+    const entries = text.slice(start).split('\n').slice(3, 2 + Number(count));
+    return entries.map(entry => Number(entry.slice(0, 10)));
+}
+
+test('createPdf gera um PDF com a tabela xref apontando para cada objeto', () => {
+    const pdf = createPdf({ title: 'Boletim' });
+    pdf.text('Estudante: João', { size: 14, bold: true });
+    pdf.table([{ title: 'Disciplina', width: 200 }, { title: 'Média', width: 60, align: 'right' }], [['Matemática', 8.5]]);
+
+    const text = pdf.toBuffer().toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.ok(text.includes('/Title (Boletim)'));
+    assert.ok(text.includes('(Estudante: João)'));
+    xrefOffsets(text).forEach((offset, index) => {
+        assert.equal(text.slice(offset, offset + `${index + 1} 0 obj`.length), `${index + 1} 0 obj`);
+    });
+});
+
+test('o tamanho do conteúdo confere com o stream', () => {
+    const pdf = createPdf();
+    pdf.text('Avaliação (1ª)');
+    const text = pdf.toBuffer().toString('latin1');
+
+    const [, length, stream] = text.match(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/);
+    assert.equal(Buffer.byteLength(stream, 'latin1'), Number(length));
+    assert.ok(stream.includes('(Avaliação \\(1ª\\))'));
+});
+
+test('caracteres fora da codificação WinAnsi saem como ?', () => {
+    const pdf = createPdf();
+    pdf.text('Nota ✓');
+    assert.ok(pdf.toBuffer().toString('latin1').includes('(Nota ?)'));
+});
+
+test('tabelas longas continuam em novas páginas', () => {
+    const pdf = createPdf();
+    const rows = Array.from({ length: 100 }, (_, index) => [`Linha ${index + 1}`]);
+    pdf.table([{ title: 'Coluna', width: 200 }], rows);
+
+    const text = pdf.toBuffer().toString('latin1');
+    const count = Number(text.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+    assert.ok(count > 1);
+    assert.equal(text.match(/\(Coluna\)/g).length, count);  // Cabeçalho repetido em cada página
+    assert.ok(text.includes('(Linha 100)'));
+});
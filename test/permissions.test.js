@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ROLES, PERMISSIONS, can, canEditField } = require('../config/permissions');
+
+test('só adm gerencia usuários', () => {
+    assert.equal(can(ROLES.ADMIN, 'users', 'create'), true);
+    for (const level of [ROLES.SECRETARY, ROLES.TEACHER, ROLES.PROFESSIONAL]) {
+        assert.equal(can(level, 'users', 'read'), false, level);
+    }
+});
+
+test('adm tem acesso total aos cadastros', () => {
+    for (const resource of Object.keys(PERMISSIONS).filter(resource => resource !== 'audit')) {
+        for (const action of ['read', 'create', 'update', 'delete']) {
+            assert.equal(can(ROLES.ADMIN, resource, action), true, `${action} em ${resource}`);
+        }
+    }
+});
+
+test('só adm exclui definitivamente', () => {
+    for (const resource of Object.keys(PERMISSIONS)) {
+        for (const level of [ROLES.SECRETARY, ROLES.TEACHER, ROLES.PROFESSIONAL]) {
+            assert.equal(can(level, resource, 'purge'), false, `${level} em ${resource}`);
+        }
+    }
+});
+
+test('ninguém altera ou exclui a auditoria', () => {
+    assert.equal(can(ROLES.ADMIN, 'audit', 'read'), true);
+    for (const action of ['create', 'update', 'delete', 'purge']) {
+        assert.equal(can(ROLES.ADMIN, 'audit', action), false, action);
+    }
+    assert.equal(can(ROLES.SECRETARY, 'audit', 'read'), false);
+});
+
+test('professores cadastram avaliações e lançam notas, mas só consultam as regras de cálculo', () => {
+    assert.equal(can(ROLES.TEACHER, 'assessments', 'create'), true);
+    assert.equal(can(ROLES.TEACHER, 'assessments', 'update'), true);
+    assert.equal(can(ROLES.TEACHER, 'gradingPolicies', 'read'), true);
+    assert.equal(can(ROLES.TEACHER, 'gradingPolicies', 'update'), false);
+    assert.equal(can(ROLES.PROFESSIONAL, 'assessments', 'update'), false);
+});
+
+test('a exclusão de avaliações, que leva as notas junto, fica com a administração e a secretaria', () => {
+    assert.equal(can(ROLES.TEACHER, 'assessments', 'delete'), false);
+    assert.equal(can(ROLES.SECRETARY, 'assessments', 'delete'), true);
+});
+
+test('recursos e níveis desconhecidos não têm permissão', () => {
+    assert.equal(can(ROLES.ADMIN, 'unknown', 'read'), false);
+    assert.equal(can('visitante', 'students', 'read'), false);
+});
+
+test('só os profissionais alteram os comentários dos agendamentos', () => {
+    assert.equal(canEditField(ROLES.PROFESSIONAL, 'appointments', 'appointmentComments'), true);
+    assert.equal(canEditField(ROLES.ADMIN, 'appointments', 'appointmentComments'), false);
+    assert.equal(canEditField(ROLES.ADMIN, 'appointments', 'appointmentStatus'), true);
+});
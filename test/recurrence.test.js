@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_OCCURRENCES, validateRecurrence, expandRecurrence } = require('../utils/recurrence');
+
+const days = dates => dates.map(date => [date.getFullYear(), date.getMonth() + 1, date.getDate()]);
+
+test('validateRecurrence aceita uma regra completa', () => {
+    assert.deepEqual(validateRecurrence({ frequency: 'weekly', interval: 2, count: 5, exceptions: ['2024-06-10'] }), []);
+    assert.deepEqual(validateRecurrence({ frequency: 'daily', until: '2024-06-30' }), []);
+});
+
+test('validateRecurrence lista todos os erros', () => {
+    assert.deepEqual(validateRecurrence(null), ['A recorrência deve ser um objeto']);
+
+    const errors = validateRecurrence({ frequency: 'yearly', interval: 0, count: MAX_OCCURRENCES + 1, exceptions: 'x' });
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /^frequency/);
+    assert.match(errors[1], /^interval/);
+    assert.match(errors[2], /^count/);
+    assert.match(errors[3], /^exceptions/);
+});
+
+test('validateRecurrence exige until ou count', () => {
+    assert.deepEqual(validateRecurrence({ frequency: 'daily' }), ['Informe until (data final) ou count (quantidade de ocorrências)']);
+    assert.deepEqual(validateRecurrence({ frequency: 'daily', until: 'amanhã' }), ['until deve ser uma data válida']);
+});
+
+test('expandRecurrence gera as ocorrências semanais com intervalo', () => {
+    const dates = expandRecurrence(new Date(2024, 5, 3, 14, 30), { frequency: 'weekly', interval: 2, count: 3 });
+    assert.deepEqual(days(dates), [[2024, 6, 3], [2024, 6, 17], [2024, 7, 1]]);
+    assert.ok(dates.every(date => date.getHours() === 14 && date.getMinutes() === 30));
+});
+
+test('expandRecurrence para em until', () => {
+    const dates = expandRecurrence(new Date(2024, 5, 3, 9), { frequency: 'daily', until: new Date(2024, 5, 5, 9).toISOString() });
+    assert.deepEqual(days(dates), [[2024, 6, 3], [2024, 6, 4], [2024, 6, 5]]);
+});
+
+test('expandRecurrence pula as exceções, que contam em count', () => {
+    const dates = expandRecurrence(new Date(2024, 5, 3, 9), { frequency: 'weekly', count: 3, exceptions: ['2024-06-10'] });
+    assert.deepEqual(days(dates), [[2024, 6, 3], [2024, 6, 17]]);
+});
+
+test('expandRecurrence pula os meses sem o dia da primeira ocorrência', () => {
+    const dates = expandRecurrence(new Date(2024, 0, 31, 9), { frequency: 'monthly', count: 3 });
+    assert.deepEqual(days(dates), [[2024, 1, 31], [2024, 3, 31], [2024, 5, 31]]);
+});
+
+test('expandRecurrence recusa regras com ocorrências demais', () => {
+    assert.throws(
+        () => expandRecurrence(new Date(2024, 0, 1), { frequency: 'daily', until: '2025-01-01' }),
+        { message: `A recorrência gera mais de ${MAX_OCCURRENCES} ocorrências` }
+    );
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const GradingPolicy = require('../models/GradingPolicy');
+const { REPORT_STATUS, computeDisciplines } = require('../utils/reportCard');
+
+const math = { _id: new mongoose.Types.ObjectId(), disciplineName: 'Matemática', disciplineCode: 'MAT' };
+const arts = { _id: new mongoose.Types.ObjectId(), disciplineName: 'Artes', disciplineCode: 'ART' };
+
+function assessment(discipline, term, weight, maxScore) {
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        assessmentDiscipline: discipline,
+        assessmentTitle: `Avaliação ${term}`,
+        assessmentTerm: term,
+        assessmentWeight: weight,
+        assessmentMaxScore: maxScore
+    };
+}
+
+function gradesMap(scores) {
+    return new Map(scores.map(([item, gradeScore]) => [String(item._id), { gradeScore }]));
+}
+
+test('computeDisciplines pondera as avaliações e os períodos', () => {
+    const policy = new GradingPolicy({ gradingSchoolYear: 2025, gradingTerms: 2, gradingTermWeights: [1, 3] });
+    const first = assessment(math, 1, 1, 10);
+    const second = assessment(math, 1, 2, 20);
+    const third = assessment(math, 2, 1, 10);
+
+    const [result] = computeDisciplines(policy, [first, second, third], gradesMap([[first, 6], [second, 18], [third, 5]]));
+    assert.deepEqual(result.discipline, math);
+    assert.deepEqual(result.terms.map(term => [term.term, term.weight, term.average]), [[1, 1, 8], [2, 3, 5]]);
+    assert.equal(result.finalAverage, 5.8);
+    assert.equal(result.status, REPORT_STATUS.FAILED);
+});
+
+test('sem nota em algum período, a disciplina fica em andamento', () => {
+    const policy = new GradingPolicy({ gradingSchoolYear: 2025, gradingTerms: 2 });
+    const first = assessment(math, 1, 1, 10);
+    const second = assessment(math, 2, 1, 10);
+
+    const [result] = computeDisciplines(policy, [first, second], gradesMap([[first, 9]]));
+    assert.deepEqual(result.terms.map(term => term.average), [9, null]);
+    assert.deepEqual(result.terms[1].assessments.map(item => item.score), [null]);
+    assert.equal(result.finalAverage, null);
+    assert.equal(result.status, REPORT_STATUS.IN_PROGRESS);
+});
+
+test('as médias usam a escala e o arredondamento da regra', () => {
+    const policy = new GradingPolicy({ gradingSchoolYear: 2025, gradingTerms: 1, gradingMaxScore: 100, gradingPassingGrade: 60, gradingDecimals: 2 });
+    const item = assessment(math, 1, 1, 3);
+
+    const [result] = computeDisciplines(policy, [item], gradesMap([[item, 2]]));
+    assert.equal(result.finalAverage, 66.67);
+    assert.equal(result.status, REPORT_STATUS.APPROVED);
+});
+
+test('as disciplinas saem em ordem de nome e as sem disciplina populada são ignoradas', () => {
+    const policy = new GradingPolicy({ gradingSchoolYear: 2025, gradingTerms: 1 });
+    const items = [assessment(math, 1, 1, 10), assessment(arts, 1, 1, 10), assessment(null, 1, 1, 10)];
+
+    const result = computeDisciplines(policy, items, new Map());
+    assert.deepEqual(result.map(item => item.discipline.disciplineName), ['Artes', 'Matemática']);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, arrayOf } = require('../utils/validation');
+const assessments = require('../validators/assessments');
+
+const schema = {
+    name: { type: 'string', required: true, maxLength: 5, message: 'Informe o nome' },
+    age: { type: 'integer', min: 0, max: 120 },
+    status: { type: 'string', enum: ['active', 'inactive'] },
+    code: { type: ['string', 'number'], pattern: /^\d+$/, patternMessage: 'Só dígitos' },
+    password: { type: 'string', required: 'create', validate: value => (value.length < 3 ? 'Senha curta' : null) }
+};
+
+test('validate retorna apenas os campos conhecidos', () => {
+    assert.deepEqual(validate({ name: 'Ana', age: 30, password: 'abcd' }, schema), { value: { name: 'Ana', age: 30, password: 'abcd' } });
+});
+
+test('validate lista todos os erros por campo', () => {
+    const { details } = validate({ age: 1.5, status: 'x', code: 'a1', password: 'ab', extra: true }, schema);
+    assert.deepEqual(details, [
+        { field: 'extra', message: 'Campo não permitido' },
+        { field: 'name', message: 'Informe o nome' },
+        { field: 'age', message: 'Deve ser um número inteiro' },
+        { field: 'status', message: 'Deve ser um dos valores: active, inactive' },
+        { field: 'code', message: 'Só dígitos' },
+        { field: 'password', message: 'Senha curta' }
+    ]);
+});
+
+test('validate confere limites e tamanho', () => {
+    const { details } = validate({ name: 'Mariana', age: 200, password: 'abcd' }, schema);
+    assert.deepEqual(details, [
+        { field: 'name', message: 'Deve ter no máximo 5 caracteres' },
+        { field: 'age', message: 'Deve ser no máximo 120' }
+    ]);
+});
+
+test('validate aceita qualquer um dos tipos de uma lista', () => {
+    assert.ok(validate({ name: 'Ana', code: 123, password: 'abcd' }, schema).value);
+    assert.deepEqual(validate({ name: 'Ana', code: true, password: 'abcd' }, schema).details, [
+        { field: 'code', message: 'Deve ser um texto ou um número' }
+    ]);
+});
+
+test('required: create só é exigido na criação', () => {
+    assert.deepEqual(validate({ name: 'Ana' }, schema).details, [{ field: 'password', message: 'Campo obrigatório' }]);
+    assert.deepEqual(validate({ name: 'Ana' }, schema, 'update'), { value: { name: 'Ana' } });
+});
+
+test('no modo patch nenhum campo é obrigatório, mas algum precisa ser informado', () => {
+    assert.deepEqual(validate({ age: 10 }, schema, 'patch'), { value: { age: 10 } });
+    assert.deepEqual(validate({}, schema, 'patch').details, [{ field: null, message: 'Informe ao menos um campo para alterar' }]);
+});
+
+test('validate recusa corpos que não são objetos', () => {
+    for (const body of [null, [], 'texto']) {
+        assert.deepEqual(validate(body, schema).details, [{ field: null, message: 'O corpo da requisição deve ser um objeto JSON' }]);
+    }
+});
+
+test('arrayOf confere a quantidade de itens e prefixa os erros com a posição', () => {
+    const tags = { tags: { type: 'array', validate: arrayOf(tag => (typeof tag === 'string' ? null : 'Deve ser um texto'), { max: 2, maxMessage: 'No máximo 2 tags' }) } };
+
+    assert.deepEqual(validate({ tags: ['a', 'b'] }, tags), { value: { tags: ['a', 'b'] } });
+    assert.deepEqual(validate({ tags: [] }, tags).details, [{ field: 'tags', message: 'Informe ao menos 1 item(ns)' }]);
+    assert.deepEqual(validate({ tags: ['a', 'b', 'c'] }, tags).details, [{ field: 'tags', message: 'No máximo 2 tags' }]);
+    assert.deepEqual(validate({ tags: ['a', 1] }, tags).details, [{ field: 'tags', message: 'Item 1: Deve ser um texto' }]);
+});
+
+test('notas do mesmo estudante em maiúsculas e minúsculas são recusadas', () => {
+    const { details } = validate({
+        grades: [
+            { student: '6740c1f2a1b2c3d4e5f60701', score: 7 },
+            { student: '6740C1F2A1B2C3D4E5F60701', score: -1 }
+        ]
+    }, assessments.grades);
+    assert.deepEqual(details, [
+        { field: 'grades', message: 'Item 1: estudante repetido' },
+        { field: 'grades', message: 'Item 1: score deve ser um número maior ou igual a 0' }
+    ]);
+});
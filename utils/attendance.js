@@ -0,0 +1,72 @@
+// Dias da chamada e cálculo da frequência dos estudantes.
+// attendanceDate guarda o dia do calendário como meia-noite UTC: "2025-03-11" vira 2025-03-11T00:00:00Z,
+// e datas com horário (como a de um agendamento) usam o dia no fuso do servidor.
+
+const { ATTENDANCE_STATUS, ATTENDANCE_TYPES } = require('../models/Attendance');
+const { DAY_MS } = require('./availability');
+
+const DEFAULT_THRESHOLD = 75;  // Frequência mínima exigida pela LDB (art. 24)
+const MAX_REPORT_DAYS = 366;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Tipos de registro considerados nos relatórios quando type não é informado: a frequência escolar
+const SCHOOL_TYPES = [ATTENDANCE_TYPES.DAILY, ATTENDANCE_TYPES.LESSON];
+
+// Dia da chamada de uma data ("2025-03-11", data e hora ou Date); null se a data for inválida
+function attendanceDay(value) {
+    if (typeof value === 'string' && DATE_ONLY_REGEX.test(value)) {
+        const day = new Date(`${value}T00:00:00Z`);
+        // Dias inexistentes, como 2025-02-30, seriam levados para o mês seguinte
+        return !isNaN(day.getTime()) && day.toISOString().startsWith(value) ? day : null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+// Contagem por status com o total e a frequência em %. Atrasos contam como presença e faltas
+// justificadas ficam fora da conta; rate é null quando não há presenças nem faltas.
+function summarize(counts = {}) {
+    const summary = {};
+    for (const status of Object.values(ATTENDANCE_STATUS)) summary[status] = counts[status] || 0;
+
+    const attended = summary.present + summary.late;
+    const considered = attended + summary.absent;
+    summary.total = considered + summary.justified;
+    summary.rate = considered > 0 ? Math.round((attended / considered) * 1000) / 10 : null;
+    return summary;
+}
+
+// Parâmetros dos relatórios: from e to (padrão, do início do ano até hoje), type e threshold (frequência mínima em %).
+// Retorna { from, to, types, threshold } ou { error }.
+function parseReportQuery(query) {
+    const today = attendanceDay(new Date());
+    const from = query.from === undefined ? new Date(Date.UTC(today.getUTCFullYear(), 0, 1)) : attendanceDay(query.from);
+    const to = query.to === undefined ? today : attendanceDay(query.to);
+    if (!from || !to) {
+        return { error: 'Datas inválidas, use o formato ISO (ex.: 2025-03-11)' };
+    }
+    if (to < from || (to - from) / DAY_MS > MAX_REPORT_DAYS) {
+        return { error: `O período deve ter to igual ou posterior a from e no máximo ${MAX_REPORT_DAYS} dias` };
+    }
+
+    if (query.type !== undefined && !Object.values(ATTENDANCE_TYPES).includes(query.type)) {
+        return { error: `type deve ser ${Object.values(ATTENDANCE_TYPES).join(', ')}` };
+    }
+    const types = query.type === undefined ? SCHOOL_TYPES : [query.type];
+
+    const threshold = query.threshold === undefined ? DEFAULT_THRESHOLD : Number(query.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        return { error: 'threshold deve ser um número de 0 a 100' };
+    }
+
+    return { from, to, types, threshold };
+}
+
+// Filtro dos registros do período e dos tipos do relatório
+function reportFilter({ from, to, types }) {
+    return { attendanceDate: { $gte: from, $lte: to }, attendanceType: { $in: types } };
+}
+
+module.exports = { DEFAULT_THRESHOLD, attendanceDay, summarize, parseReportQuery, reportFilter };
@@ -0,0 +1,85 @@
+// Trilha de auditoria das alterações feitas pela API: quem, quando, em qual registro e o que mudou.
+// Cada rota de escrita chama recordAudit (ou recordAuditBatch) depois de gravar, com o documento
+// antes e depois da alteração; o diff campo a campo é calculado aqui.
+
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_ACTIONS } = require('../models/AuditLog');
+
+// Campos de controle que não entram no diff
+const IGNORED_FIELDS = ['_id', '__v'];
+
+// A alteração destes campos é registrada, mas sem os valores
+const HIDDEN_FIELDS = ['userPassword'];
+const HIDDEN_VALUE = '[oculto]';
+
+function toPlain(doc) {
+    if (!doc) return {};
+    return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+}
+
+// Cópia do estado atual do documento; use antes de alterar e salvar um documento já carregado
+function snapshot(doc) {
+    return doc ? doc.toObject({ depopulate: true }) : null;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Lista dos campos que mudaram entre before e after: [{ field, before, after }]
+function diffDocuments(before, after) {
+    const oldValues = toPlain(before);
+    const newValues = toPlain(after);
+    const fields = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+    const changes = [];
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const oldValue = oldValues[field] === undefined ? null : oldValues[field];
+        const newValue = newValues[field] === undefined ? null : newValues[field];
+        if (sameValue(oldValue, newValue)) continue;
+
+        if (HIDDEN_FIELDS.includes(field)) {
+            changes.push({ field, before: oldValue === null ? null : HIDDEN_VALUE, after: newValue === null ? null : HIDDEN_VALUE });
+        } else {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    }
+    return changes;
+}
+
+// hiddenChanges lista campos ocultos que foram alterados mas não aparecem nos documentos
+// (ex.: a senha, que não é lida nas consultas)
+function auditEntry(req, resource, action, before, after, { hiddenChanges = [] } = {}) {
+    const changes = diffDocuments(before, after);
+    for (const field of hiddenChanges) {
+        if (!changes.some(change => change.field === field)) {
+            changes.push({ field, before: HIDDEN_VALUE, after: HIDDEN_VALUE });
+        }
+    }
+
+    return {
+        auditResource: resource,
+        auditDocument: (after || before)._id,
+        auditAction: action,
+        auditActor: req.user ? req.user.id : null,
+        auditChanges: changes,
+        auditMethod: req.method,
+        auditPath: req.originalUrl,
+        auditRequestId: req.id
+    };
+}
+
+// Registra uma alteração. before é null na criação; after é null na exclusão definitiva.
+function recordAudit(req, resource, action, before, after, options) {
+    return AuditLog.create(auditEntry(req, resource, action, before, after, options));
+}
+
+// Registra uma alteração em lote; changes é uma lista de { before, after }
+async function recordAuditBatch(req, resource, action, changes) {
+    if (changes.length === 0) return;
+    await AuditLog.insertMany(changes.map(({ before, after }) => auditEntry(req, resource, action, before, after)));
+}
+
+module.exports = { AUDIT_ACTIONS, snapshot, diffDocuments, recordAudit, recordAuditBatch };
@@ -0,0 +1,83 @@
+// Cálculo dos horários livres de um profissional a partir da disponibilidade semanal,
+// dos períodos bloqueados (férias, folgas) e dos agendamentos já existentes.
+// Os horários "HH:mm" da disponibilidade são interpretados no fuso horário do servidor.
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTime(value) {
+    return typeof value === 'string' && TIME_REGEX.test(value);
+}
+
+function timeToMinutes(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Retorna a lista de erros da disponibilidade semanal informada
+function validateAvailability(availability) {
+    if (!Array.isArray(availability)) return ['A disponibilidade deve ser uma lista'];
+
+    const errors = [];
+    availability.forEach((window, index) => {
+        if (!window || !Number.isInteger(window.weekday) || window.weekday < 0 || window.weekday > 6) {
+            errors.push(`Item ${index}: weekday deve ser um número de 0 (domingo) a 6 (sábado)`);
+            return;
+        }
+        if (!isValidTime(window.start) || !isValidTime(window.end)) {
+            errors.push(`Item ${index}: start e end devem estar no formato HH:mm`);
+            return;
+        }
+        if (timeToMinutes(window.start) >= timeToMinutes(window.end)) {
+            errors.push(`Item ${index}: start deve ser anterior a end`);
+        }
+    });
+    return errors;
+}
+
+function overlaps(startA, endA, startB, endB) {
+    return startA < endB && endA > startB;
+}
+
+// Gera os horários livres entre from e to, com a duração (em minutos) informada.
+// busy é a lista de intervalos ocupados: [{ start: Date, end: Date }]
+function computeFreeSlots({ availability, blockedPeriods = [], busy = [], from, to, duration }) {
+    const slots = [];
+    const occupied = busy.concat(blockedPeriods.map(period => ({ start: period.start, end: period.end })));
+
+    const day = new Date(from);
+    day.setHours(0, 0, 0, 0);
+
+    for (; day < to; day.setDate(day.getDate() + 1)) {
+        const windows = availability
+            .filter(window => window.weekday === day.getDay())
+            .sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+
+        for (const window of windows) {
+            const windowEnd = new Date(day.getTime());
+            windowEnd.setMinutes(timeToMinutes(window.end));
+
+            const slotStart = new Date(day.getTime());
+            slotStart.setMinutes(timeToMinutes(window.start));
+
+            for (; slotStart.getTime() + duration * 60000 <= windowEnd.getTime(); slotStart.setMinutes(slotStart.getMinutes() + duration)) {
+                const slotEnd = new Date(slotStart.getTime() + duration * 60000);
+                if (slotStart < from || slotEnd > to) continue;
+                if (occupied.some(interval => overlaps(slotStart, slotEnd, interval.start, interval.end))) continue;
+
+                slots.push({ start: new Date(slotStart), end: slotEnd });
+            }
+        }
+    }
+
+    return slots;
+}
+
+module.exports = {
+    MAX_RANGE_DAYS,
+    DAY_MS,
+    isValidTime,
+    validateAvailability,
+    computeFreeSlots
+};
@@ -0,0 +1,242 @@
+// Importação em lote compartilhada por estudantes, professores e profissionais:
+//   POST /<recurso>/import              corpo em CSV (Content-Type: text/csv) ou lista JSON
+//   ?dryRun=true                        só valida e mostra o que seria feito, sem gravar
+//   ?existing=update|skip               o que fazer com registros que já existem (padrão: update)
+// As colunas são associadas aos campos pelo nome do campo ou por um dos apelidos do recurso
+// (ex.: "Nome" ou "telefone"), sem diferenciar maiúsculas e acentos. Cada linha é validada com as
+// mesmas regras do POST; a resposta traz o resultado de cada uma: created, updated, skipped ou failed.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { authorize } = require('../middlewares/auth');
+const { validate } = require('./validation');
+const { parseCsv } = require('./csv');
+const { BadRequestError } = require('./errors');
+const { bumpVersion } = require('./concurrency');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_SIZE = '5mb';  // Tamanho máximo do corpo, em CSV ou em JSON
+
+const ROW_STATUS = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+const TRUE_VALUES = ['true', 'sim', 's', '1', 'ativo', 'on'];
+const FALSE_VALUES = ['false', 'nao', 'n', '0', 'inativo', 'off'];
+
+// "Telefone do Aluno" -> "telefonedoaluno", para comparar nomes de colunas
+function normalizeName(name) {
+    return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Associa cada coluna recebida a um campo do recurso; as colunas sem correspondência são ignoradas
+function mapColumns(columns, fields, aliases) {
+    const names = {};
+    for (const field of Object.keys(fields)) names[normalizeName(field)] = field;
+    for (const [alias, field] of Object.entries(aliases)) names[normalizeName(alias)] = field;
+
+    const mapping = {};
+    const ignoredColumns = [];
+    for (const column of columns) {
+        const field = names[normalizeName(column)];
+        if (field && !Object.values(mapping).includes(field)) mapping[column] = field;
+        else ignoredColumns.push(column);
+    }
+    return { mapping, ignoredColumns };
+}
+
+// Os valores do CSV chegam como texto; converte para o tipo esperado pela regra quando ela não aceita texto
+function convertValue(value, rule) {
+    if (typeof value !== 'string') return value;
+
+    const text = value.trim();
+    if (text === '') return undefined;
+
+    const types = [].concat(rule.type || []);
+    if (types.length === 0 || types.includes('string')) return text;
+
+    if (types.includes('boolean')) {
+        const normalized = normalizeName(text);
+        if (TRUE_VALUES.includes(normalized)) return true;
+        if (FALSE_VALUES.includes(normalized)) return false;
+    }
+    if ((types.includes('number') || types.includes('integer')) && !isNaN(Number(text))) return Number(text);
+
+    // Planilhas em português costumam gravar as datas como 15/03/2017
+    const brazilianDate = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(text);
+    if (types.includes('date') && brazilianDate) return `${brazilianDate[3]}-${brazilianDate[2]}-${brazilianDate[1]}`;
+    return text;  // A validação aponta o tipo incorreto
+}
+
+function toRowBody(record, mapping, fields) {
+    const body = {};
+    for (const [column, field] of Object.entries(mapping)) {
+        const value = convertValue(record[column], fields[field]);
+        if (value !== undefined) body[field] = value;
+    }
+    return body;
+}
+
+// Lê o corpo da requisição: CSV em texto ou lista JSON de objetos. Retorna { records, columns }.
+function readRecords(req) {
+    if (typeof req.body === 'string') {
+        try {
+            const { headers, records } = parseCsv(req.body);
+            return { records, columns: headers };
+        } catch (err) {
+            throw new BadRequestError(err.message);
+        }
+    }
+
+    if (!Array.isArray(req.body) || req.body.some(item => item === null || typeof item !== 'object' || Array.isArray(item))) {
+        throw new BadRequestError('Envie um CSV (Content-Type: text/csv) ou uma lista JSON de objetos');
+    }
+    const columns = [...new Set(req.body.flatMap(item => Object.keys(item)))];
+    return { records: req.body, columns };
+}
+
+function sameValue(a, b) {
+    if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Campos do corpo cujo valor (já convertido para o tipo do schema) difere do registro atual
+function changedFields(doc, body) {
+    const candidate = new doc.constructor(body);
+    return Object.keys(body).filter(field => !sameValue(doc.get(field), candidate.get(field)));
+}
+
+// Campos que identificam um registro já cadastrado, com os valores convertidos para o tipo do schema
+// (ex.: "2017-03-15" e "2017-03-15T00:00:00.000Z" são a mesma data de nascimento)
+function keyFilter(Model, keys, body) {
+    const candidate = new Model(body);
+    return Object.fromEntries(keys.map(field => [field, candidate.get(field)]));
+}
+
+function validationDetails(err) {
+    return Object.values(err.errors).map(error => ({ field: error.path, message: error.message }));
+}
+
+// Processa uma linha já validada; com dryRun nada é gravado
+async function importRow(req, Model, { resource, keys, existing, dryRun, checkUpdate }, body) {
+    const current = await Model.findOne(keyFilter(Model, keys, body));
+
+    if (!current) {
+        const doc = new Model(body);
+        if (dryRun) {
+            const error = doc.validateSync();
+            if (error) return { status: ROW_STATUS.FAILED, errors: validationDetails(error) };
+            return { status: ROW_STATUS.CREATED };
+        }
+
+        await doc.save();
+        await recordAudit(req, resource, AUDIT_ACTIONS.CREATE, null, doc);
+        return { status: ROW_STATUS.CREATED, id: doc._id };
+    }
+
+    if (existing === 'skip') {
+        return { status: ROW_STATUS.SKIPPED, id: current._id, message: `Já existe um registro com o mesmo ${keys.join(' e ')}` };
+    }
+
+    const fields = changedFields(current, body);
+    if (fields.length === 0) return { status: ROW_STATUS.SKIPPED, id: current._id, message: 'Sem alterações' };
+
+    const errors = checkUpdate && await checkUpdate(current, body);
+    if (errors && errors.length > 0) return { status: ROW_STATUS.FAILED, id: current._id, errors };
+    if (dryRun) return { status: ROW_STATUS.UPDATED, id: current._id, changedFields: fields };
+
+    // A versão lida garante que uma alteração feita por outra pessoa durante a importação não seja sobrescrita
+    const updated = await Model.findOneAndUpdate({ _id: current._id, __v: current.__v }, bumpVersion(body), { new: true });
+    if (!updated) {
+        return { status: ROW_STATUS.FAILED, id: current._id, errors: [{ field: null, message: 'O registro foi alterado durante a importação' }] };
+    }
+    await recordAudit(req, resource, AUDIT_ACTIONS.UPDATE, current, updated);
+    return { status: ROW_STATUS.UPDATED, id: current._id, changedFields: fields };
+}
+
+// POST /<recurso>/import: o corpo é lido pelo parser da própria rota, e não pelo express.json() global (ver index.js)
+function isImportRequest(req) {
+    return req.method === 'POST' && req.path.endsWith('/import');
+}
+
+// Registra POST /import no router do recurso. fields são as regras de validação do POST,
+// aliases os nomes alternativos das colunas e naturalKey o campo (ou a lista de campos) usado para encontrar
+// registros já cadastrados. checkUpdate(current, body), opcional, confere as regras do recurso antes de alterar
+// um registro existente e retorna a lista de erros ({ field, message }) ou nada.
+// Importar pode criar e alterar registros, então exige as duas permissões.
+function registerImportRoute(router, Model, { resource, fields, aliases = {}, naturalKey, checkUpdate }) {
+    const keys = [].concat(naturalKey);
+
+    router.post(
+        '/import',
+        authorize(resource, { action: 'create' }),
+        authorize(resource, { action: 'update' }),
+        express.text({ type: ['text/csv', 'text/plain'], limit: MAX_IMPORT_SIZE }),
+        express.json({ limit: MAX_IMPORT_SIZE }),
+        async (req, res, next) => {
+            const dryRun = req.query.dryRun === 'true';
+            const existing = req.query.existing || 'update';
+            if (!['update', 'skip'].includes(existing)) {
+                return next(new BadRequestError('existing deve ser "update" ou "skip"'));
+            }
+
+            try {
+                const { records, columns } = readRecords(req);
+                if (records.length === 0) return next(new BadRequestError('Nenhuma linha para importar'));
+                if (records.length > MAX_IMPORT_ROWS) {
+                    return next(new BadRequestError(`Importe no máximo ${MAX_IMPORT_ROWS} linhas por vez`));
+                }
+
+                const { mapping, ignoredColumns } = mapColumns(columns, fields, aliases);
+                const missingKeys = keys.filter(field => !Object.values(mapping).includes(field));
+                if (missingKeys.length > 0) {
+                    return next(new BadRequestError(missingKeys.length === 1
+                        ? `A coluna ${missingKeys[0]} é obrigatória para identificar os registros`
+                        : `As colunas ${missingKeys.join(' e ')} são obrigatórias para identificar os registros`));
+                }
+
+                const rows = [];
+                const seenKeys = new Map();
+                for (const [index, record] of records.entries()) {
+                    const row = index + 1;
+                    const result = validate(toRowBody(record, mapping, fields), fields, 'create');
+
+                    if (result.details) {
+                        rows.push({ row, status: ROW_STATUS.FAILED, errors: result.details });
+                        continue;
+                    }
+
+                    const key = JSON.stringify(keyFilter(Model, keys, result.value));
+                    if (seenKeys.has(key)) {
+                        const message = keys.length === 1 ? 'Valor repetido' : `${keys.join(' e ')} repetidos`;
+                        rows.push({ row, status: ROW_STATUS.FAILED, errors: [{ field: keys.length === 1 ? keys[0] : null, message: `${message} na linha ${seenKeys.get(key)}` }] });
+                        continue;
+                    }
+                    seenKeys.set(key, row);
+
+                    try {
+                        rows.push({ row, ...await importRow(req, Model, { resource, keys, existing, dryRun, checkUpdate }, result.value) });
+                    } catch (err) {
+                        if (!(err instanceof mongoose.Error.ValidationError)) throw err;
+                        rows.push({ row, status: ROW_STATUS.FAILED, errors: validationDetails(err) });
+                    }
+                }
+
+                const summary = { total: rows.length };
+                for (const status of Object.values(ROW_STATUS)) {
+                    summary[status] = rows.filter(item => item.status === status).length;
+                }
+
+                res.json({ dryRun, summary, ignoredColumns, rows });
+            } catch (err) {
+                next(err);
+            }
+        }
+    );
+}
+
+module.exports = { MAX_IMPORT_ROWS, ROW_STATUS, isImportRequest, registerImportRoute };
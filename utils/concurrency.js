@@ -0,0 +1,60 @@
+const { PreconditionFailedError } = require('./errors');
+
+// Controle de concorrência otimista: a versão do documento (__v) é incrementada a cada alteração
+// e enviada como ETag. Quem envia If-Match com um ETag antigo recebe 412 em vez de sobrescrever
+// a alteração de outra pessoa. Sem If-Match, a alteração é aplicada normalmente.
+
+function etagFor(doc) {
+    return `"${doc.__v}"`;
+}
+
+function setETag(res, doc) {
+    if (doc && doc.__v !== undefined) res.set('ETag', etagFor(doc));
+}
+
+// Versões aceitas pelo cabeçalho If-Match, ou null quando ele não foi enviado (ou é "*").
+// ETags que não foram gerados pela API não correspondem a nenhuma versão.
+function ifMatchVersions(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return null;
+
+    return header.split(',')
+        .map(tag => tag.trim().match(/^(?:W\/)?"(\d+)"$/))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+}
+
+// Lança 412 se o documento já carregado não estiver na versão informada em If-Match
+function checkIfMatch(req, doc) {
+    const versions = ifMatchVersions(req);
+    if (versions && !versions.includes(doc.__v)) throw new PreconditionFailedError();
+}
+
+// Acrescenta o incremento da versão a um update do Mongoose
+function bumpVersion(update) {
+    return { ...update, $inc: { ...update.$inc, __v: 1 } };
+}
+
+// Quantas vezes a atualização é tentada quando outra requisição altera o documento ao mesmo tempo
+const MAX_UPDATE_ATTEMPTS = 3;
+
+// Atualiza o documento pelo id respeitando o If-Match da requisição.
+// Retorna { before, after } com o documento antes e depois da alteração (ambos null se ele não existir),
+// ou lança 412 se a versão não corresponder. A gravação só acontece se o documento ainda estiver na
+// versão lida, para que before seja exatamente o estado substituído (usado na auditoria).
+async function updateVersioned(req, Model, id, update) {
+    const versions = ifMatchVersions(req);
+
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const before = await Model.findById(id);
+        if (!before) return { before: null, after: null };
+        if (versions && !versions.includes(before.__v)) throw new PreconditionFailedError();
+
+        const after = await Model.findOneAndUpdate({ _id: before._id, __v: before.__v }, bumpVersion(update), { new: true });
+        if (after) return { before, after };
+        // Outra requisição gravou entre a leitura e a atualização: lê de novo
+    }
+    throw new PreconditionFailedError();
+}
+
+module.exports = { etagFor, setETag, ifMatchVersions, checkIfMatch, bumpVersion, updateVersioned };
@@ -0,0 +1,87 @@
+// Telefones, e-mails e CPF: normalização (usada como setter nos models) e validação (nos models e nos validators).
+// Telefones são guardados só com os dígitos, com DDD e sem o código do país: "(48) 99905-5949" -> "48999055949".
+// O CPF também é guardado só com os 11 dígitos: "529.982.247-25" -> "52998224725".
+
+// DDD (11 a 99) + celular com 9 dígitos começando em 9, ou fixo com 8 dígitos começando de 2 a 5
+const PHONE_PATTERN = /^[1-9]{2}(?:9\d{8}|[2-5]\d{7})$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const PHONE_MESSAGE = 'Telefone inválido: informe DDD e número, ex.: (48) 99905-5949';
+const EMAIL_MESSAGE = 'E-mail inválido';
+const CPF_MESSAGE = 'CPF inválido';
+
+function normalizePhone(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return value;
+
+    let digits = String(value).replace(/\D/g, '');
+    if (digits === '') return String(value).trim();
+    if (/^55\d{10,11}$/.test(digits)) digits = digits.slice(2);  // +55
+    if (/^0\d{10,11}$/.test(digits)) digits = digits.slice(1);   // 0 antes do DDD
+    return digits;
+}
+
+function normalizeEmail(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+function normalizeCpf(value) {
+    if (typeof value === 'number') return String(value).padStart(11, '0');  // Zeros à esquerda se perdem em números
+    if (typeof value !== 'string') return value;
+
+    const digits = value.replace(/\D/g, '');
+    return digits === '' ? value.trim() : digits;
+}
+
+function isValidPhone(value) {
+    return PHONE_PATTERN.test(normalizePhone(value));
+}
+
+function isValidEmail(value) {
+    return EMAIL_PATTERN.test(normalizeEmail(value));
+}
+
+// Confere os dois dígitos verificadores; CPFs com todos os dígitos iguais são recusados
+function isValidCpf(value) {
+    const digits = normalizeCpf(value);
+    if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) return false;
+
+    for (const length of [9, 10]) {
+        let sum = 0;
+        for (let i = 0; i < length; i++) sum += Number(digits[i]) * (length + 1 - i);
+        if ((sum * 10) % 11 % 10 !== Number(digits[length])) return false;
+    }
+    return true;
+}
+
+// Para as regras validate dos validators (ver utils/validation.js)
+function validatePhone(value) {
+    return isValidPhone(value) ? null : PHONE_MESSAGE;
+}
+
+function validateEmail(value) {
+    return isValidEmail(value) ? null : EMAIL_MESSAGE;
+}
+
+function validateCpf(value) {
+    return isValidCpf(value) ? null : CPF_MESSAGE;
+}
+
+// Opções dos campos nos schemas do Mongoose
+const phoneField = { type: String, set: normalizePhone, validate: { validator: isValidPhone, message: PHONE_MESSAGE } };
+const emailField = { type: String, set: normalizeEmail, validate: { validator: isValidEmail, message: EMAIL_MESSAGE } };
+const cpfField = { type: String, set: normalizeCpf, validate: { validator: isValidCpf, message: CPF_MESSAGE } };
+
+module.exports = {
+    normalizePhone,
+    normalizeEmail,
+    normalizeCpf,
+    isValidPhone,
+    isValidEmail,
+    isValidCpf,
+    validatePhone,
+    validateEmail,
+    validateCpf,
+    phoneField,
+    emailField,
+    cpfField
+};
@@ -0,0 +1,91 @@
+// Leitura e escrita de arquivos CSV (RFC 4180): campos entre aspas podem conter separadores, quebras
+// de linha e aspas duplicadas (""). Na leitura, o separador é detectado pela linha de cabeçalho:
+// ";" (padrão do Excel em português) ou ",". Na escrita, o padrão é ";".
+
+const DEFAULT_DELIMITER = ';';
+
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = char => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+// Retorna a lista de linhas, cada uma como lista de valores (texto); linhas em branco são ignoradas
+function parseCsvRows(text) {
+    const source = String(text).replace(/^\uFEFF/, '');  // BOM gravado por algumas planilhas
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) throw new Error('CSV inválido: aspas não fechadas');
+
+    row.push(value);
+    rows.push(row);
+    return rows.filter(values => values.some(item => item.trim() !== ''));
+}
+
+// Lê um CSV com linha de cabeçalho. Retorna { headers, records }, com cada registro como objeto { coluna: valor }.
+function parseCsv(text) {
+    const [headers = [], ...rows] = parseCsvRows(text);
+    const columns = headers.map(header => header.trim());
+
+    const records = rows.map(values => {
+        const record = {};
+        columns.forEach((column, index) => {
+            if (column) record[column] = values[index] === undefined ? '' : values[index].trim();
+        });
+        return record;
+    });
+    return { headers: columns.filter(Boolean), records };
+}
+
+// Converte um valor para o texto da célula: datas em ISO 8601, listas e objetos em JSON
+function formatCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+    if (typeof value === 'object') return JSON.stringify(value);
+
+    const text = String(value);
+    // Evita que planilhas interpretem o conteúdo como fórmula
+    return /^[=+\-@]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+}
+
+// Uma linha do CSV, terminada em \r\n, com aspas nos valores que precisam delas
+function toCsvLine(values, delimiter = DEFAULT_DELIMITER) {
+    return values
+        .map(formatCsvValue)
+        .map(text => (/["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text))
+        .join(delimiter) + '\r\n';
+}
+
+module.exports = { DEFAULT_DELIMITER, parseCsv, parseCsvRows, formatCsvValue, toCsvLine };
@@ -0,0 +1,66 @@
+// Erros da aplicação. Cada classe carrega o status HTTP e um código estável,
+// que o middleware de erros (middlewares/errorHandler.js) transforma na resposta JSON.
+class AppError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        if (details !== undefined) this.details = details;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, details) {
+        super(400, 'BAD_REQUEST', message, details);
+    }
+}
+
+// details: lista de { field, message }, um item por campo com erro
+class ValidationError extends AppError {
+    constructor(details) {
+        super(400, 'VALIDATION_ERROR', 'Os dados enviados são inválidos', details);
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message) {
+        super(401, 'UNAUTHORIZED', message);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message) {
+        super(403, 'FORBIDDEN', message);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message) {
+        super(404, 'NOT_FOUND', message);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, details) {
+        super(409, 'CONFLICT', message, details);
+    }
+}
+
+// A versão informada em If-Match não é mais a atual do registro
+class PreconditionFailedError extends AppError {
+    constructor(message = 'O registro foi alterado por outra pessoa; carregue a versão atual e tente novamente') {
+        super(412, 'PRECONDITION_FAILED', message);
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError
+};
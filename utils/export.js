@@ -0,0 +1,113 @@
+// Exportação compartilhada pelos recursos:
+//   GET /<recurso>/export?format=csv|json   todos os registros que atendem aos filtros das listagens
+//   GET /<recurso>/export?format=ics        agendamentos e eventos, como calendário (iCalendar)
+// sort e fields funcionam como nas listagens; page e limit não se aplicam. Os registros são lidos com
+// um cursor e escritos aos poucos na resposta, então exportações grandes não ficam inteiras na memória.
+
+const { authorize } = require('../middlewares/auth');
+const { parseListOptions, listableFields } = require('./pagination');
+const { toCsvLine } = require('./csv');
+const { calendarStart, calendarEnd, calendarEvent } = require('./ical');
+const { BadRequestError } = require('./errors');
+
+// Parâmetros da exportação que não são filtros (calendarToken é lido em middlewares/auth.js)
+const EXPORT_PARAMS = ['format', 'calendarToken'];
+
+// Campos de controle que ficam fora do CSV quando fields não é informado
+const HIDDEN_CSV_FIELDS = ['__v'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ics: 'text/calendar; charset=utf-8'
+};
+
+// Espera o cliente consumir o que já foi enviado (ou desconectar) antes de continuar escrevendo
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+async function write(res, chunk) {
+    if (!res.write(chunk)) await waitForDrain(res);
+}
+
+function csvColumns(Model, projection) {
+    const fields = projection
+        ? projection.split(' ')
+        : listableFields(Model).filter(field => !field.includes('.') && !HIDDEN_CSV_FIELDS.includes(field));
+    return ['_id', ...fields.filter(field => field !== '_id')];
+}
+
+// Registra GET /export no router do recurso; deve ser chamada antes de GET /:id.
+// Para oferecer format=ics, informe calendarName e toCalendarEvent(doc), que retorna os dados do VEVENT
+// ({ id, start, end, summary, description, status, sequence }) ou null para deixar o registro de fora.
+// populate lista os campos populados na exportação em calendário (ex.: nomes do aluno e do profissional).
+function registerExportRoute(router, Model, { resource, filename, defaultSort = '_id', calendarName, toCalendarEvent, populate = [] }) {
+    const formats = toCalendarEvent ? ['csv', 'json', 'ics'] : ['csv', 'json'];
+
+    router.get('/export', authorize(resource, { action: 'read' }), async (req, res, next) => {
+        const format = req.query.format || 'json';
+        if (!formats.includes(format)) {
+            return next(new BadRequestError(`format deve ser ${formats.join(', ')}`));
+        }
+
+        const listOptions = parseListOptions(req.query, Model, { defaultSort, reserved: EXPORT_PARAMS });
+        if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+        const { filter, sort } = listOptions;
+        const projection = format === 'ics' ? null : listOptions.projection;
+
+        let query = Model.find(filter, projection).sort(sort);
+        if (format === 'ics') {
+            for (const path of populate) query = query.populate(path);
+        }
+        const cursor = query.cursor();
+
+        try {
+            res.status(200);
+            res.setHeader('Content-Type', CONTENT_TYPES[format]);
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+            if (format === 'csv') {
+                const columns = csvColumns(Model, projection);
+                await write(res, '\uFEFF' + toCsvLine(columns));  // O BOM faz o Excel reconhecer o UTF-8
+                for await (const doc of cursor) {
+                    if (res.destroyed) break;
+                    await write(res, toCsvLine(columns.map(column => doc.get(column))));
+                }
+            } else if (format === 'json') {
+                let separator = '';
+                await write(res, '[');
+                for await (const doc of cursor) {
+                    if (res.destroyed) break;
+                    await write(res, separator + JSON.stringify(doc));
+                    separator = ',';
+                }
+                await write(res, ']');
+            } else {
+                await write(res, calendarStart(calendarName));
+                for await (const doc of cursor) {
+                    if (res.destroyed) break;
+                    const event = toCalendarEvent(doc);
+                    if (event) await write(res, calendarEvent(event));
+                }
+                await write(res, calendarEnd());
+            }
+
+            res.end();
+        } catch (err) {
+            await cursor.close().catch(() => {});
+            next(err);
+        }
+    });
+}
+
+module.exports = { registerExportRoute };
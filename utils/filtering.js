@@ -0,0 +1,113 @@
+// Linguagem de filtros comum a todas as listagens, lida da query string:
+//   ?teacherStatus=true                      igualdade
+//   ?appointmentStatus[ne]=cancelled         diferente
+//   ?appointmentDate[gte]=2024-05-01         intervalos: gt, gte, lt, lte
+//   ?appointmentStatus[in]=scheduled,confirmed   lista de valores: in, nin
+//   ?studentsName[like]=vic                  texto parcial, sem diferenciar maiúsculas
+// Os valores são convertidos para o tipo do campo no schema; campos desconhecidos são rejeitados.
+
+const mongoose = require('mongoose');
+const { TRASH_FIELDS } = require('../models/softDelete');
+
+const FILTERABLE_TYPES = ['String', 'Number', 'Date', 'Boolean', 'ObjectId'];
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'like'];
+
+// Parâmetros de paginação, que nunca são tratados como filtro
+const LIST_PARAMS = ['page', 'limit', 'sort', 'fields'];
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Condição de busca parcial segura: o texto do usuário nunca é interpretado como expressão regular
+function likeCondition(text) {
+    return { $regex: escapeRegex(text), $options: 'i' };
+}
+
+// Os campos da lixeira só podem ser filtrados com withDeleted (na própria lixeira)
+function filterableFields(Model, { withDeleted = false } = {}) {
+    return Object.keys(Model.schema.paths).filter(field => {
+        const path = Model.schema.paths[field];
+        if (!withDeleted && TRASH_FIELDS.includes(field)) return false;
+        return FILTERABLE_TYPES.includes(path.instance) && path.options.select !== false;
+    });
+}
+
+// Converte o texto da query para o tipo do campo; lança erro com mensagem amigável se não for possível
+function castValue(value, type, field) {
+    if (typeof value !== 'string') throw new Error(`Valor inválido para o campo "${field}"`);
+
+    switch (type) {
+        case 'Number': {
+            const number = Number(value);
+            if (value.trim() === '' || isNaN(number)) throw new Error(`O campo "${field}" espera um número`);
+            return number;
+        }
+        case 'Date': {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) throw new Error(`O campo "${field}" espera uma data`);
+            return date;
+        }
+        case 'Boolean':
+            if (value !== 'true' && value !== 'false') throw new Error(`O campo "${field}" espera true ou false`);
+            return value === 'true';
+        case 'ObjectId':
+            if (!mongoose.isValidObjectId(value)) throw new Error(`O campo "${field}" espera um ID válido`);
+            return value;
+        default:
+            return value;
+    }
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : String(value).split(',');
+}
+
+function buildCondition(field, type, operator, value) {
+    if (!OPERATORS.includes(operator)) throw new Error(`Operador "${operator}" não suportado`);
+
+    if (operator === 'like') {
+        if (type !== 'String') throw new Error(`O operador like só pode ser usado em campos de texto`);
+        return likeCondition(value);
+    }
+    if (operator === 'in' || operator === 'nin') {
+        return { [`$${operator}`]: toList(value).map(item => castValue(item, type, field)) };
+    }
+    if (operator === 'eq') {
+        // ?campo=a&campo=b equivale a ?campo[in]=a,b
+        if (Array.isArray(value)) return { $in: value.map(item => castValue(item, type, field)) };
+        return castValue(value, type, field);
+    }
+    return { [`$${operator}`]: castValue(value, type, field) };
+}
+
+// Monta o filtro do MongoDB a partir da query. Retorna { error } ou { filter }.
+// reserved lista os parâmetros próprios da rota (ex.: populate) que não devem virar filtro.
+function parseFilters(query, Model, { reserved = [], withDeleted = false } = {}) {
+    const allowed = filterableFields(Model, { withDeleted });
+    const ignored = LIST_PARAMS.concat(reserved);
+    const conditions = [];
+
+    try {
+        for (const [field, raw] of Object.entries(query)) {
+            if (ignored.includes(field)) continue;
+            if (!allowed.includes(field)) throw new Error(`Não é possível filtrar pelo campo "${field}"`);
+
+            const type = Model.schema.paths[field].instance;
+            const operations = raw !== null && typeof raw === 'object' && !Array.isArray(raw) ? raw : { eq: raw };
+
+            for (const [operator, value] of Object.entries(operations)) {
+                const condition = buildCondition(field, type, operator, value);
+                conditions.push({ [field]: condition });
+            }
+        }
+    } catch (err) {
+        return { error: err.message };
+    }
+
+    if (conditions.length === 0) return { filter: {} };
+    if (conditions.length === 1) return { filter: conditions[0] };
+    return { filter: { $and: conditions } };
+}
+
+module.exports = { OPERATORS, LIST_PARAMS, escapeRegex, likeCondition, filterableFields, parseFilters };
@@ -0,0 +1,98 @@
+// Responsáveis dos estudantes: ordem dos contatos e para quem vão os avisos de agendamentos e eventos.
+//
+// Os avisos de um estudante vão para o contato principal. Sem contato principal (ou com ele na lixeira), vão
+// para o primeiro responsável com a guarda legal e, não havendo nenhum, para o telefone do cadastro do estudante.
+
+const Guardianship = require('../models/Guardianship');
+const { snapshot } = require('./audit');
+
+// De onde veio o destinatário dos avisos
+const RECIPIENT_SOURCES = {
+    PRIMARY: 'primary',
+    LEGAL_CUSTODY: 'legal_custody',
+    STUDENT: 'student'
+};
+
+// Ordem dos contatos: o principal, depois quem tem a guarda legal, depois pela ordem em que foram vinculados
+function compareGuardianships(a, b) {
+    if (a.guardianshipPrimary !== b.guardianshipPrimary) return a.guardianshipPrimary ? -1 : 1;
+    if (a.guardianshipLegalCustody !== b.guardianshipLegalCustody) return a.guardianshipLegalCustody ? -1 : 1;
+    return a.guardianship_create_date - b.guardianship_create_date;
+}
+
+// Vínculos dos estudantes, com os responsáveis populados e em ordem de contato.
+// Responsáveis na lixeira não são populados e ficam de fora.
+async function findGuardianships(studentIds, filter = {}) {
+    return (await Guardianship.find({ guardianshipStudent: { $in: studentIds }, ...filter }).populate('guardianshipGuardian'))
+        .filter(guardianship => guardianship.guardianshipGuardian)
+        .sort(compareGuardianships);
+}
+
+// Destinatário dos avisos do estudante, a partir dos vínculos dele já em ordem de contato
+function notificationRecipient(student, guardianships) {
+    const chosen = guardianships.find(guardianship => guardianship.guardianshipPrimary)
+        || guardianships.find(guardianship => guardianship.guardianshipLegalCustody);
+
+    if (!chosen) {
+        return {
+            source: RECIPIENT_SOURCES.STUDENT,
+            guardian: null,
+            name: student.studentsName,
+            relationship: null,
+            phones: student.studentsPhone_number ? [student.studentsPhone_number] : [],
+            email: null
+        };
+    }
+
+    const guardian = chosen.guardianshipGuardian;
+    return {
+        source: chosen.guardianshipPrimary ? RECIPIENT_SOURCES.PRIMARY : RECIPIENT_SOURCES.LEGAL_CUSTODY,
+        guardian: guardian._id,
+        name: guardian.guardianName,
+        relationship: chosen.guardianshipRelationship,
+        phones: guardian.guardianPhones,
+        email: guardian.guardianEmail || null
+    };
+}
+
+// Destinatário dos avisos de cada estudante: [{ student, recipient }]
+async function recipientsForStudents(students) {
+    const guardianships = await findGuardianships(students.map(student => student._id));
+    return students.map(student => ({
+        student: { _id: student._id, studentsName: student.studentsName },
+        recipient: notificationRecipient(student, guardianships.filter(guardianship => guardianship.guardianshipStudent.equals(student._id)))
+    }));
+}
+
+// Agrupa o resultado de recipientsForStudents por destinatário, para que irmãos com o mesmo responsável
+// gerem um único aviso: [{ ...recipient, students }], em ordem de nome
+function groupByRecipient(items) {
+    const recipients = new Map();
+    for (const { student, recipient } of items) {
+        const key = recipient.guardian ? String(recipient.guardian) : `student:${student._id}`;
+        if (!recipients.has(key)) recipients.set(key, { ...recipient, students: [] });
+        recipients.get(key).students.push(student);
+    }
+    return [...recipients.values()].sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+}
+
+// Depois que o contato principal é desvinculado, o próximo responsável na ordem de contato passa a ser o
+// principal. Retorna { before, after } para a auditoria, ou null se o estudante não tiver outro responsável.
+async function promoteNextPrimary(studentId) {
+    const [next] = await findGuardianships([studentId]);
+    if (!next || next.guardianshipPrimary) return null;
+
+    const before = snapshot(next);
+    next.guardianshipPrimary = true;
+    await next.save();
+    return { before, after: next };
+}
+
+module.exports = {
+    RECIPIENT_SOURCES,
+    findGuardianships,
+    notificationRecipient,
+    recipientsForStudents,
+    groupByRecipient,
+    promoteNextPrimary
+};
@@ -0,0 +1,80 @@
+// Geração de calendários no formato iCalendar (RFC 5545), usados nas exportações format=ics
+// de agendamentos e eventos. Os horários são gravados em UTC.
+
+const PRODUCT_ID = '-//API Gestao de Ensino//PT-BR';
+const UID_DOMAIN = 'api-gestao-ensino';
+
+// Texto com os caracteres especiais do iCalendar escapados
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// 2024-05-20T14:30:00.000Z -> 20240520T143000Z
+function formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Linhas com mais de 75 bytes continuam na linha seguinte, iniciada por um espaço
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function toLines(properties) {
+    return properties
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => foldLine(`${name}:${value}`))
+        .map(line => `${line}\r\n`)
+        .join('');
+}
+
+function calendarStart(name) {
+    return toLines([
+        ['BEGIN', 'VCALENDAR'],
+        ['VERSION', '2.0'],
+        ['PRODID', PRODUCT_ID],
+        ['CALSCALE', 'GREGORIAN'],
+        ['METHOD', 'PUBLISH'],
+        ['X-WR-CALNAME', escapeText(name)]
+    ]);
+}
+
+function calendarEnd() {
+    return toLines([['END', 'VCALENDAR']]);
+}
+
+// Um VEVENT; start é obrigatório, end é opcional (sem ele, o evento é pontual)
+// status: TENTATIVE, CONFIRMED ou CANCELLED
+function calendarEvent({ id, start, end, summary, description, status, sequence }) {
+    return toLines([
+        ['BEGIN', 'VEVENT'],
+        ['UID', `${id}@${UID_DOMAIN}`],
+        ['DTSTAMP', formatDate(new Date())],
+        ['DTSTART', formatDate(start)],
+        ['DTEND', end && formatDate(end)],
+        ['SUMMARY', summary && escapeText(summary)],
+        ['DESCRIPTION', description && escapeText(description)],
+        ['STATUS', status],
+        ['SEQUENCE', sequence],
+        ['END', 'VEVENT']
+    ]);
+}
+
+module.exports = { escapeText, formatDate, calendarStart, calendarEnd, calendarEvent };
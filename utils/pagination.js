@@ -0,0 +1,99 @@
+// Paginação, ordenação e seleção de campos compartilhadas por todas as rotas de listagem.
+//   ?page=2&limit=20     página (começa em 1) e itens por página (máximo MAX_LIMIT)
+//   ?sort=-date,name     campos de ordenação; o prefixo "-" indica ordem decrescente
+//   ?fields=name,phone   campos retornados (o _id sempre vem)
+// Os demais parâmetros são filtros (ver utils/filtering.js).
+
+const { parseFilters } = require('./filtering');
+const { TRASH_FIELDS } = require('../models/softDelete');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Campos do model que podem ser ordenados e selecionados (campos com select: false, como senhas, ficam de fora;
+// os campos da lixeira, só com withDeleted)
+function listableFields(Model, { withDeleted = false } = {}) {
+    return Object.keys(Model.schema.paths).filter(field => {
+        if (!withDeleted && TRASH_FIELDS.includes(field)) return false;
+        return Model.schema.paths[field].options.select !== false;
+    });
+}
+
+function parseFieldList(value) {
+    return String(value).split(',').map(field => field.trim()).filter(Boolean);
+}
+
+// Lê page, limit, sort, fields e os filtros da query. Retorna { error } ou as opções já validadas.
+// reserved lista os parâmetros próprios da rota que não são filtros; withDeleted libera os campos da lixeira.
+function parseListOptions(query, Model, { defaultSort = '_id', reserved = [], withDeleted = false } = {}) {
+    const allowed = listableFields(Model, { withDeleted });
+
+    const { filter, error } = parseFilters(query, Model, { reserved, withDeleted });
+    if (error) return { error };
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page deve ser um número inteiro maior que zero' };
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit deve ser um número inteiro de 1 a ${MAX_LIMIT}` };
+    }
+
+    const sort = {};
+    for (const item of parseFieldList(query.sort || defaultSort)) {
+        const field = item.replace(/^-/, '');
+        if (!allowed.includes(field)) return { error: `Não é possível ordenar pelo campo "${field}"` };
+        sort[field] = item.startsWith('-') ? -1 : 1;
+    }
+    if (sort._id === undefined) sort._id = 1;  // Desempate estável entre páginas
+
+    let projection = null;
+    if (query.fields !== undefined) {
+        const fields = parseFieldList(query.fields);
+        const invalid = fields.find(field => !allowed.includes(field));
+        if (invalid) return { error: `Campo "${invalid}" não pode ser selecionado` };
+        projection = fields.join(' ');
+    }
+
+    return { page, limit, sort, projection, filter };
+}
+
+// Link relativo para outra página, mantendo os demais parâmetros da requisição
+function pageLink(req, page) {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.set('page', page);
+    return url.pathname + url.search;
+}
+
+// Executa a consulta paginada e monta a resposta padrão das listagens:
+// { data, total, page, limit, totalPages, links: { self, next, prev } }
+// baseFilter é o filtro fixo da rota, combinado com os filtros vindos da query;
+// queryOptions são opções repassadas às consultas (ex.: { withDeleted: true } na lixeira).
+async function paginate(req, Model, baseFilter, options, { populate = [], transform, queryOptions = {} } = {}) {
+    const { page, limit, sort, projection } = options;
+    const filters = [baseFilter, options.filter].filter(item => item && Object.keys(item).length > 0);
+    const filter = filters.length > 1 ? { $and: filters } : filters[0] || {};
+
+    let query = Model.find(filter, projection).setOptions(queryOptions).sort(sort).skip((page - 1) * limit).limit(limit);
+    for (const path of populate) query = query.populate(path);
+
+    const [docs, total] = await Promise.all([query, Model.countDocuments(filter).setOptions(queryOptions)]);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+        data: transform ? docs.map(transform) : docs,
+        total,
+        page,
+        limit,
+        totalPages,
+        links: {
+            self: pageLink(req, page),
+            next: page < totalPages ? pageLink(req, page + 1) : null,
+            prev: page > 1 ? pageLink(req, Math.min(page - 1, Math.max(totalPages, 1))) : null
+        }
+    };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, listableFields, parseListOptions, paginate };
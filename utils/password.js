@@ -0,0 +1,27 @@
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+    return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+function comparePassword(password, hash) {
+    if (typeof password !== 'string' || typeof hash !== 'string') return Promise.resolve(false);
+    return bcrypt.compare(password, hash);
+}
+
+// Retorna a lista de regras que a senha não cumpre (lista vazia = senha aceita)
+function checkPasswordStrength(password) {
+    if (typeof password !== 'string') return ['A senha é obrigatória'];
+
+    const problems = [];
+    if (password.length < MIN_PASSWORD_LENGTH) problems.push(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+    if (!/[a-z]/.test(password)) problems.push('A senha deve ter pelo menos uma letra minúscula');
+    if (!/[A-Z]/.test(password)) problems.push('A senha deve ter pelo menos uma letra maiúscula');
+    if (!/[0-9]/.test(password)) problems.push('A senha deve ter pelo menos um número');
+    return problems;
+}
+
+module.exports = { hashPassword, comparePassword, checkPasswordStrength };
@@ -0,0 +1,147 @@
+// Geração de documentos PDF simples (textos e tabelas), sem dependências externas, usada no boletim em format=pdf.
+// O texto usa as fontes padrão Helvetica e Helvetica-Bold com a codificação WinAnsi, que cobre os acentos
+// do português; caracteres fora dela saem como "?". As larguras do texto são aproximadas.
+
+const PAGE_WIDTH = 595;  // A4, em pontos
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_HEIGHT = 1.4;  // Altura da linha em relação ao tamanho da fonte
+const CHAR_WIDTH = 0.5;   // Largura média de um caractere da Helvetica em relação ao tamanho da fonte
+const CELL_PADDING = 4;
+
+// Texto para uma string do PDF: quebras de linha viram espaço, e \, ( e ) são escapados
+function encodeText(text) {
+    let encoded = '';
+    for (const char of String(text).replace(/\s+/g, ' ')) {
+        const code = char.codePointAt(0);
+        const byte = code < 0x80 || (code >= 0xa0 && code <= 0xff) ? char : '?';
+        encoded += ['\\', '(', ')'].includes(byte) ? `\\${byte}` : byte;
+    }
+    return encoded;
+}
+
+function textWidth(text, size) {
+    return String(text).length * size * CHAR_WIDTH;
+}
+
+// Corta o texto que não cabe na largura informada
+function fitText(text, width, size) {
+    const value = String(text);
+    const maxChars = Math.floor(width / (size * CHAR_WIDTH));
+    return value.length <= maxChars ? value : `${value.slice(0, Math.max(maxChars - 3, 0))}...`;
+}
+
+function number(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+// Cria um documento; o conteúdo é acrescentado de cima para baixo e as páginas são criadas quando necessário.
+// toBuffer() retorna o arquivo pronto.
+function createPdf({ title } = {}) {
+    const pages = [];
+    let operations = null;
+    let y = 0;
+
+    function newPage() {
+        operations = [];
+        pages.push(operations);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    function ensureSpace(height) {
+        if (!operations || y - height < MARGIN) newPage();
+    }
+
+    function write(x, baseline, text, { size = 10, bold = false } = {}) {
+        operations.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${number(x)} ${number(baseline)} Td (${encodeText(text)}) Tj ET`);
+    }
+
+    function line(x1, y1, x2, y2) {
+        operations.push(`${number(x1)} ${number(y1)} m ${number(x2)} ${number(y2)} l S`);
+    }
+
+    function tableRow(columns, cells, { size, bold }) {
+        const height = size * LINE_HEIGHT + CELL_PADDING;
+        const baseline = y - size - CELL_PADDING / 2;
+        let x = MARGIN;
+        columns.forEach((column, index) => {
+            const text = fitText(cells[index] === undefined || cells[index] === null ? '' : cells[index], column.width - CELL_PADDING * 2, size);
+            const offset = column.align === 'right' ? column.width - CELL_PADDING - textWidth(text, size) : CELL_PADDING;
+            write(x + offset, baseline, text, { size, bold });
+            x += column.width;
+        });
+        y -= height;
+        line(MARGIN, y, x, y);
+    }
+
+    return {
+        // Parágrafo de uma linha; o texto que não cabe na largura da página é cortado
+        text(text, { size = 10, bold = false } = {}) {
+            ensureSpace(size * LINE_HEIGHT);
+            write(MARGIN, y - size, fitText(text, PAGE_WIDTH - MARGIN * 2, size), { size, bold });
+            y -= size * LINE_HEIGHT;
+        },
+
+        space(height = 10) {
+            ensureSpace(height);
+            y -= height;
+        },
+
+        // columns: [{ title, width, align }] (align 'right' para números); rows: lista de listas de valores.
+        // O cabeçalho é repetido no alto de cada página.
+        table(columns, rows, { size = 9 } = {}) {
+            const rowHeight = size * LINE_HEIGHT + CELL_PADDING;
+            const header = columns.map(column => column.title);
+
+            ensureSpace(rowHeight * 2);
+            tableRow(columns, header, { size, bold: true });
+            for (const row of rows) {
+                if (y - rowHeight < MARGIN) {
+                    newPage();
+                    tableRow(columns, header, { size, bold: true });
+                }
+                tableRow(columns, row, { size, bold: false });
+            }
+        },
+
+        toBuffer() {
+            if (pages.length === 0) newPage();
+
+            // 1: catálogo, 2: lista de páginas, 3 e 4: fontes, 5: informações; depois, conteúdo e página de cada página
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                null,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+                `<< /Title (${encodeText(title || '')}) /Producer (API Gestao de Ensino) >>`
+            ];
+            const pageRefs = [];
+            for (const pageOperations of pages) {
+                const stream = pageOperations.join('\n');
+                const contentId = objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+                const pageId = objects.push(
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`
+                );
+                pageRefs.push(`${pageId} 0 R`);
+            }
+            objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+
+            // A tabela xref guarda a posição, em bytes, de cada objeto
+            let output = '%PDF-1.4\n';
+            const offsets = objects.map((object, index) => {
+                const offset = Buffer.byteLength(output, 'latin1');
+                output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+                return offset;
+            });
+            const xrefOffset = Buffer.byteLength(output, 'latin1');
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+}
+
+module.exports = { PAGE_WIDTH, MARGIN, createPdf };
@@ -0,0 +1,84 @@
+// Regras de recorrência usadas por agendamentos e eventos.
+// As ocorrências são geradas (materializadas) no momento da criação, cada uma como um documento
+// próprio ligado pelo ID da série, para que possam ser confirmadas, canceladas ou editadas individualmente.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_OCCURRENCES = 100;
+
+// Chave AAAA-MM-DD no fuso do servidor, usada para comparar ocorrências e exceções pelo dia
+function dayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Converte uma exceção ("2024-06-10" ou data ISO completa) para a chave do dia
+function exceptionKey(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return dayKey(new Date(value));
+}
+
+// Retorna a lista de erros da regra de recorrência informada
+function validateRecurrence(rule) {
+    if (!rule || typeof rule !== 'object') return ['A recorrência deve ser um objeto'];
+
+    const errors = [];
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        errors.push(`frequency deve ser um dos valores: ${FREQUENCIES.join(', ')}`);
+    }
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1)) {
+        errors.push('interval deve ser um número inteiro maior que zero');
+    }
+    if (rule.until === undefined && rule.count === undefined) {
+        errors.push('Informe until (data final) ou count (quantidade de ocorrências)');
+    }
+    if (rule.until !== undefined && isNaN(new Date(rule.until).getTime())) {
+        errors.push('until deve ser uma data válida');
+    }
+    if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+        errors.push(`count deve ser um número inteiro de 1 a ${MAX_OCCURRENCES}`);
+    }
+    if (rule.exceptions !== undefined) {
+        if (!Array.isArray(rule.exceptions) || rule.exceptions.some(value => isNaN(new Date(value).getTime()))) {
+            errors.push('exceptions deve ser uma lista de datas');
+        }
+    }
+    return errors;
+}
+
+function addPeriods(start, frequency, amount) {
+    const date = new Date(start.getTime());
+    if (frequency === 'daily') date.setDate(date.getDate() + amount);
+    if (frequency === 'weekly') date.setDate(date.getDate() + amount * 7);
+    if (frequency === 'monthly') date.setMonth(date.getMonth() + amount);
+    return date;
+}
+
+// Gera as datas das ocorrências a partir da primeira data e da regra (já validada).
+// Meses sem o dia da primeira ocorrência (ex.: dia 31) são pulados.
+// Lança erro se a regra gerar mais de MAX_OCCURRENCES ocorrências.
+function expandRecurrence(start, rule) {
+    const interval = rule.interval || 1;
+    const until = rule.until !== undefined ? new Date(rule.until) : null;
+    const exceptions = new Set((rule.exceptions || []).map(exceptionKey));
+    const dates = [];
+
+    for (let step = 0, generated = 0; ; step++) {
+        const date = addPeriods(start, rule.frequency, step * interval);
+        if (until && date > until) break;
+        if (rule.count !== undefined && generated >= rule.count) break;
+        if (rule.frequency === 'monthly' && date.getDate() !== start.getDate()) continue;
+
+        generated++;
+        if (exceptions.has(dayKey(date))) continue;
+
+        if (dates.length >= MAX_OCCURRENCES) {
+            throw new Error(`A recorrência gera mais de ${MAX_OCCURRENCES} ocorrências`);
+        }
+        dates.push(date);
+    }
+
+    return dates;
+}
+
+module.exports = { FREQUENCIES, MAX_OCCURRENCES, validateRecurrence, expandRecurrence };
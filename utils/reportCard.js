@@ -0,0 +1,240 @@
+// Boletim do estudante em um ano letivo: médias de cada disciplina por período, média final e situação,
+// calculadas com a regra do ano (models/GradingPolicy.js), e a frequência escolar no ano.
+//
+// Média do período: média das notas das avaliações já lançadas, ponderada pelo peso de cada uma,
+// com as notas convertidas para a escala da regra. Média final: média dos períodos, ponderada pelo
+// peso de cada período, calculada só quando todos os períodos têm média.
+
+const Enrollment = require('../models/Enrollment');
+const Assessment = require('../models/Assessment');
+const Grade = require('../models/Grade');
+const GradingPolicy = require('../models/GradingPolicy');
+const Attendance = require('../models/Attendance');
+const { ATTENDANCE_TYPES } = require('../models/Attendance');
+const { summarize } = require('./attendance');
+const { PAGE_WIDTH, MARGIN, createPdf } = require('./pdf');
+
+const REPORT_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    APPROVED: 'approved',
+    FAILED: 'failed'
+};
+
+const STATUS_LABELS = {
+    [REPORT_STATUS.IN_PROGRESS]: 'Em andamento',
+    [REPORT_STATUS.APPROVED]: 'Aprovado',
+    [REPORT_STATUS.FAILED]: 'Reprovado'
+};
+
+// Nome dos períodos conforme a quantidade no ano
+const TERM_NAMES = { 2: 'semestre', 3: 'trimestre', 4: 'bimestre' };
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Média ponderada de [{ value, weight }]; null se a lista estiver vazia ou os pesos somarem zero
+function weightedAverage(items) {
+    const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+    if (totalWeight === 0) return null;
+    return items.reduce((sum, item) => sum + item.value * item.weight, 0) / totalWeight;
+}
+
+function termLabel(term, terms) {
+    return `${term}º ${TERM_NAMES[terms] || 'período'}`;
+}
+
+// Médias e situação de cada disciplina. assessments vêm com assessmentDiscipline populado;
+// grades é um Map(id da avaliação => nota do estudante).
+function computeDisciplines(policy, assessments, grades) {
+    const decimals = policy.gradingDecimals;
+    const termWeights = policy.termWeights();
+    const disciplines = new Map();
+
+    for (const assessment of assessments) {
+        const discipline = assessment.assessmentDiscipline;
+        if (!discipline) continue;
+
+        const key = String(discipline._id);
+        if (!disciplines.has(key)) {
+            disciplines.set(key, {
+                discipline: { _id: discipline._id, disciplineName: discipline.disciplineName, disciplineCode: discipline.disciplineCode },
+                assessments: []
+            });
+        }
+        disciplines.get(key).assessments.push(assessment);
+    }
+
+    return [...disciplines.values()]
+        .sort((a, b) => a.discipline.disciplineName.localeCompare(b.discipline.disciplineName, 'pt-BR'))
+        .map(({ discipline, assessments: disciplineAssessments }) => {
+            const terms = termWeights.map((termWeight, index) => {
+                const term = index + 1;
+                const items = disciplineAssessments
+                    .filter(assessment => assessment.assessmentTerm === term)
+                    .map(assessment => {
+                        const grade = grades.get(String(assessment._id));
+                        return {
+                            _id: assessment._id,
+                            title: assessment.assessmentTitle,
+                            date: assessment.assessmentDate,
+                            weight: assessment.assessmentWeight,
+                            maxScore: assessment.assessmentMaxScore,
+                            score: grade ? grade.gradeScore : null
+                        };
+                    });
+                const average = weightedAverage(items
+                    .filter(item => item.score !== null)
+                    .map(item => ({ value: (item.score / item.maxScore) * policy.gradingMaxScore, weight: item.weight })));
+                return { term, weight: termWeight, average: average === null ? null : roundTo(average, decimals), assessments: items };
+            });
+
+            const complete = terms.every(term => term.average !== null);
+            const finalAverage = complete
+                ? roundTo(weightedAverage(terms.map(term => ({ value: term.average, weight: term.weight }))), decimals)
+                : null;
+
+            let status = REPORT_STATUS.IN_PROGRESS;
+            if (finalAverage !== null) status = finalAverage >= policy.gradingPassingGrade ? REPORT_STATUS.APPROVED : REPORT_STATUS.FAILED;
+
+            return { discipline, terms, finalAverage, status };
+        });
+}
+
+// Situação no ano: em andamento enquanto alguma disciplina não tem média final; depois, reprovado se
+// alguma disciplina foi reprovada ou a frequência ficou abaixo do mínimo
+function overallStatus(disciplines, attendance) {
+    if (disciplines.length === 0 || disciplines.some(item => item.status === REPORT_STATUS.IN_PROGRESS)) return REPORT_STATUS.IN_PROGRESS;
+    if (attendance.belowMinimum || disciplines.some(item => item.status === REPORT_STATUS.FAILED)) return REPORT_STATUS.FAILED;
+    return REPORT_STATUS.APPROVED;
+}
+
+// Monta o boletim do estudante no ano letivo, ou retorna null se ele não teve matrícula no ano.
+// Entram as avaliações de todas as turmas em que o estudante foi matriculado no ano (em caso de transferência).
+async function buildReportCard(student, schoolYear) {
+    const enrollments = await Enrollment.find({ enrollmentStudent: student._id, enrollmentSchoolYear: schoolYear })
+        .sort({ enrollmentStartDate: 1 })
+        .populate({ path: 'enrollmentClass', options: { withDeleted: true } });
+    if (enrollments.length === 0) return null;
+
+    const classIds = enrollments.map(enrollment => enrollment.enrollmentClass ? enrollment.enrollmentClass._id : null).filter(Boolean);
+    const [policy, assessments] = await Promise.all([
+        GradingPolicy.forYear(schoolYear),
+        Assessment.find({ assessmentClass: { $in: classIds }, assessmentSchoolYear: schoolYear })
+            .sort({ assessmentTerm: 1, assessmentDate: 1 })
+            .populate({ path: 'assessmentDiscipline', options: { withDeleted: true } })
+    ]);
+    const grades = await Grade.find({ gradeStudent: student._id, gradeAssessment: { $in: assessments.map(assessment => assessment._id) } });
+
+    // Frequência escolar (chamadas do dia e das aulas) no ano civil do ano letivo
+    const counts = await Attendance.countByStudent({
+        attendanceStudent: student._id,
+        attendanceDate: { $gte: new Date(Date.UTC(schoolYear, 0, 1)), $lt: new Date(Date.UTC(schoolYear + 1, 0, 1)) },
+        attendanceType: { $in: [ATTENDANCE_TYPES.DAILY, ATTENDANCE_TYPES.LESSON] }
+    });
+    const attendanceSummary = summarize(counts.get(String(student._id)));
+    const attendance = {
+        ...attendanceSummary,
+        minimum: policy.gradingMinimumAttendance,
+        belowMinimum: attendanceSummary.rate !== null && attendanceSummary.rate < policy.gradingMinimumAttendance
+    };
+
+    const disciplines = computeDisciplines(policy, assessments, new Map(grades.map(grade => [String(grade.gradeAssessment), grade])));
+    const current = enrollments[enrollments.length - 1];
+    const schoolClass = current.enrollmentClass;
+
+    return {
+        student: { _id: student._id, studentsName: student.studentsName },
+        schoolYear,
+        class: schoolClass ? { _id: schoolClass._id, className: schoolClass.className, classGradeLevel: schoolClass.classGradeLevel } : null,
+        enrollmentStatus: current.enrollmentStatus,
+        policy: {
+            terms: policy.gradingTerms,
+            termWeights: policy.termWeights(),
+            maxScore: policy.gradingMaxScore,
+            passingGrade: policy.gradingPassingGrade,
+            minimumAttendance: policy.gradingMinimumAttendance
+        },
+        disciplines,
+        attendance,
+        status: overallStatus(disciplines, attendance),
+        generatedAt: new Date()
+    };
+}
+
+function formatNumber(value, decimals = 1) {
+    return value === null || value === undefined ? '-' : value.toFixed(decimals).replace('.', ',');
+}
+
+function formatDate(date) {
+    return date ? new Date(date).toLocaleDateString('pt-BR', { timeZone: 'UTC' }) : '-';
+}
+
+// Boletim em PDF: quadro de médias por disciplina e período, frequência, situação e as notas de cada avaliação
+function reportCardPdf(card) {
+    const pdf = createPdf({ title: `Boletim ${card.schoolYear} - ${card.student.studentsName}` });
+    const terms = card.policy.terms;
+    const width = PAGE_WIDTH - MARGIN * 2;
+
+    pdf.text(`Boletim escolar ${card.schoolYear}`, { size: 16, bold: true });
+    pdf.space(4);
+    pdf.text(`Estudante: ${card.student.studentsName}`, { size: 11 });
+    if (card.class) pdf.text(`Turma: ${card.class.className} (${card.class.classGradeLevel})`, { size: 11 });
+    pdf.text(`Emitido em ${formatDate(card.generatedAt)}`, { size: 9 });
+    pdf.space(12);
+
+    const termWidth = 52;
+    const columns = [
+        { title: 'Disciplina', width: width - termWidth * terms - 60 - 80 },
+        ...Array.from({ length: terms }, (_, index) => ({ title: termLabel(index + 1, terms), width: termWidth, align: 'right' })),
+        { title: 'Média final', width: 60, align: 'right' },
+        { title: 'Situação', width: 80 }
+    ];
+    pdf.table(columns, card.disciplines.map(item => [
+        item.discipline.disciplineName,
+        ...item.terms.map(term => formatNumber(term.average)),
+        formatNumber(item.finalAverage),
+        STATUS_LABELS[item.status]
+    ]));
+    if (card.disciplines.length === 0) pdf.text('Nenhuma avaliação cadastrada no ano letivo.', { size: 9 });
+
+    pdf.space(12);
+    const { attendance } = card;
+    pdf.text(
+        `Frequência: ${attendance.rate === null ? '-' : `${formatNumber(attendance.rate)}%`} ` +
+        `(mínimo ${formatNumber(attendance.minimum, 0)}%) - ${attendance.present + attendance.late} presença(s), ` +
+        `${attendance.absent} falta(s), ${attendance.justified} falta(s) justificada(s)`,
+        { size: 10 }
+    );
+    pdf.text(`Média para aprovação: ${formatNumber(card.policy.passingGrade)} de ${formatNumber(card.policy.maxScore)}`, { size: 10 });
+    pdf.text(`Situação no ano: ${STATUS_LABELS[card.status]}`, { size: 12, bold: true });
+
+    for (const item of card.disciplines) {
+        pdf.space(14);
+        pdf.text(item.discipline.disciplineName, { size: 11, bold: true });
+        const rows = [];
+        for (const term of item.terms) {
+            for (const assessment of term.assessments) {
+                rows.push([
+                    termLabel(term.term, terms),
+                    assessment.title,
+                    formatDate(assessment.date),
+                    formatNumber(assessment.weight),
+                    assessment.score === null ? '-' : `${formatNumber(assessment.score)} / ${formatNumber(assessment.maxScore)}`
+                ]);
+            }
+        }
+        pdf.table([
+            { title: 'Período', width: 80 },
+            { title: 'Avaliação', width: width - 80 - 70 - 45 - 80 },
+            { title: 'Data', width: 70 },
+            { title: 'Peso', width: 45, align: 'right' },
+            { title: 'Nota', width: 80, align: 'right' }
+        ], rows);
+    }
+
+    return pdf.toBuffer();
+}
+
+module.exports = { REPORT_STATUS, computeDisciplines, buildReportCard, reportCardPdf };
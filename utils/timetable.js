@@ -0,0 +1,29 @@
+// Dias da semana e horários da grade de aulas.
+// Os dias seguem Date.getDay() (0 = domingo) e os horários "HH:mm" são do fuso horário do servidor,
+// como na disponibilidade dos profissionais (ver utils/availability.js).
+
+const WEEKDAY_NAMES = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+const ENGLISH_WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Aceita o número (0 a 6) ou o nome do dia ("terça", "terca-feira", "tuesday"); retorna null se não reconhecer
+function parseWeekday(value) {
+    const text = String(value).trim().toLowerCase();
+    if (/^[0-6]$/.test(text)) return Number(text);
+
+    const name = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/-feira$/, '');
+    const index = WEEKDAY_NAMES.includes(name) ? WEEKDAY_NAMES.indexOf(name) : ENGLISH_WEEKDAY_NAMES.indexOf(name);
+    return index >= 0 ? index : null;
+}
+
+// Dia da semana e horário "HH:mm" de uma data, no fuso do servidor
+function weekdayAndTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return { weekday: date.getDay(), time: `${pad(date.getHours())}:${pad(date.getMinutes())}` };
+}
+
+// Horários "HH:mm" podem ser comparados como texto
+function timesOverlap(startA, endA, startB, endB) {
+    return startA < endB && endA > startB;
+}
+
+module.exports = { WEEKDAY_NAMES, parseWeekday, weekdayAndTime, timesOverlap };
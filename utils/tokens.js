@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Sem uma chave própria, qualquer um poderia assinar tokens aceitos pela API: ela não sobe sem JWT_SECRET
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    throw new Error('Defina a variável de ambiente JWT_SECRET com a chave de assinatura dos tokens');
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Gera o token de acesso (JWT) vinculado ao usuário e à sessão
+function signAccessToken(user, session) {
+    return jwt.sign(
+        { sub: String(user._id), sid: String(session._id), level: user.userLevel },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// Lança erro se o token for inválido ou estiver expirado
+function verifyAccessToken(token) {
+    return jwt.verify(token, JWT_SECRET);
+}
+
+// O refresh token é opaco: só o hash dele é salvo na sessão
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+}
+
+// Token de assinatura da agenda: também opaco, com o hash salvo no usuário. Não expira; é trocado a cada geração.
+function generateCalendarToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshTokenExpiration() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    generateRefreshToken,
+    generateCalendarToken,
+    hashToken,
+    refreshTokenExpiration,
+    ACCESS_TOKEN_TTL
+};
@@ -0,0 +1,85 @@
+// Lixeira compartilhada pelos recursos que usam o plugin models/softDelete.js:
+//   DELETE /:id         move o registro para a lixeira (cada rota chama moveToTrash)
+//   GET /trash          lista paginada dos registros excluídos
+//   POST /:id/restore   tira o registro da lixeira
+//   DELETE /:id/purge   exclui definitivamente um registro que está na lixeira (somente adm)
+
+const { authorize } = require('../middlewares/auth');
+const { parseListOptions, paginate } = require('./pagination');
+const { BadRequestError, NotFoundError } = require('./errors');
+const { setETag, bumpVersion, updateVersioned } = require('./concurrency');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+
+const TRASH_FILTER = { deletedAt: { $ne: null } };
+
+// Move o registro para a lixeira, respeitando o If-Match. Retorna { before, after } como updateVersioned
+// (ambos null se ele não existir ou já estiver na lixeira).
+function moveToTrash(req, Model, id) {
+    return updateVersioned(req, Model, id, { deletedAt: new Date(), deletedBy: req.user.id });
+}
+
+// Move para a lixeira documentos já carregados (ex.: as ocorrências seguintes de uma série), com a mesma
+// data de exclusão do registro principal. Retorna a lista de { before, after } dos que foram movidos.
+async function moveManyToTrash(req, Model, docs, deletedAt) {
+    const ids = docs.map(doc => doc._id);
+    await Model.updateMany({ _id: { $in: ids } }, bumpVersion({ deletedAt, deletedBy: req.user.id }));
+
+    const trashed = await Model.find({ _id: { $in: ids }, deletedAt }).setOptions({ withDeleted: true });
+    return trashed.map(after => ({ before: docs.find(doc => doc._id.equals(after._id)), after }));
+}
+
+// Registra as rotas da lixeira no router do recurso; deve ser chamada antes de GET /:id.
+// Consultar e restaurar exigem a permissão de exclusão do recurso; o purge exige a ação "purge".
+// beforeRestore(doc) e beforePurge(doc) podem lançar um erro para impedir a operação.
+function registerTrashRoutes(router, Model, { resource, notFoundMessage, beforeRestore, beforePurge }) {
+    const notInTrash = () => new NotFoundError(`${notFoundMessage} na lixeira`);
+
+    router.get('/trash', authorize(resource, { action: 'delete' }), async (req, res, next) => {
+        const listOptions = parseListOptions(req.query, Model, { defaultSort: '-deletedAt', withDeleted: true });
+        if (listOptions.error) return next(new BadRequestError(listOptions.error));
+
+        try {
+            res.json(await paginate(req, Model, TRASH_FILTER, listOptions, { queryOptions: { withDeleted: true } }));
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.post('/:id/restore', authorize(resource, { action: 'delete' }), async (req, res, next) => {
+        try {
+            const doc = await Model.findOne({ _id: req.params.id, ...TRASH_FILTER }, null, { withDeleted: true });
+            if (!doc) return next(notInTrash());
+            if (beforeRestore) await beforeRestore(doc);
+
+            const restored = await Model.findOneAndUpdate(
+                { _id: doc._id, ...TRASH_FILTER },
+                bumpVersion({ deletedAt: null, deletedBy: null }),
+                { new: true, withDeleted: true }
+            );
+            if (!restored) return next(notInTrash());
+            await recordAudit(req, resource, AUDIT_ACTIONS.RESTORE, doc, restored);
+
+            setETag(res, restored);
+            res.json(restored);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.delete('/:id/purge', authorize(resource, { action: 'purge' }), async (req, res, next) => {
+        try {
+            const doc = await Model.findOne({ _id: req.params.id, ...TRASH_FILTER }, null, { withDeleted: true });
+            if (!doc) return next(notInTrash());
+            if (beforePurge) await beforePurge(doc);
+
+            const { deletedCount } = await Model.deleteOne({ _id: doc._id, ...TRASH_FILTER }).setOptions({ withDeleted: true });
+            if (deletedCount === 0) return next(notInTrash());
+            await recordAudit(req, resource, AUDIT_ACTIONS.PURGE, doc, null);
+            res.json({ message: 'Registro excluído definitivamente' });
+        } catch (err) {
+            next(err);
+        }
+    });
+}
+
+module.exports = { TRASH_FILTER, moveToTrash, moveManyToTrash, registerTrashRoutes };
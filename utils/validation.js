@@ -0,0 +1,107 @@
+// Validação declarativa do corpo das requisições.
+// Cada recurso descreve seus campos em validators/<recurso>.js, por exemplo:
+//   studentsName: { type: 'string', required: true, maxLength: 120 }
+// Regras suportadas: type ('string', 'number', 'integer', 'boolean', 'date', 'objectId', 'array', 'object'
+// ou uma lista deles), required (true, ou 'create' para exigir só na criação), enum, min, max,
+// minLength, maxLength, pattern, message (texto do erro de obrigatoriedade) e
+// validate(value, body), que retorna uma mensagem, uma lista de mensagens ou nada.
+// Para listas, arrayOf monta o validate a partir da validação de cada item.
+
+const mongoose = require('mongoose');
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    date: value => typeof value === 'string' && !isNaN(new Date(value).getTime()),
+    objectId: value => typeof value === 'string' && mongoose.isValidObjectId(value),
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+    string: 'um texto',
+    number: 'um número',
+    integer: 'um número inteiro',
+    boolean: 'true ou false',
+    date: 'uma data válida',
+    objectId: 'um ID válido',
+    array: 'uma lista',
+    object: 'um objeto'
+};
+
+function isRequired(rule, mode) {
+    if (mode === 'patch') return false;
+    return rule.required === true || (rule.required === 'create' && mode === 'create');
+}
+
+function checkField(field, value, rule, body) {
+    const types = [].concat(rule.type || []);
+    if (types.length > 0 && !types.some(type => TYPE_CHECKS[type](value))) {
+        return [`Deve ser ${types.map(type => TYPE_NAMES[type]).join(' ou ')}`];
+    }
+
+    const errors = [];
+    if (rule.enum && !rule.enum.includes(value)) errors.push(`Deve ser um dos valores: ${rule.enum.join(', ')}`);
+    if (rule.min !== undefined && value < rule.min) errors.push(`Deve ser no mínimo ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) errors.push(`Deve ser no máximo ${rule.max}`);
+    if (rule.minLength !== undefined && String(value).length < rule.minLength) errors.push(`Deve ter pelo menos ${rule.minLength} caractere(s)`);
+    if (rule.maxLength !== undefined && String(value).length > rule.maxLength) errors.push(`Deve ter no máximo ${rule.maxLength} caracteres`);
+    if (rule.pattern && !rule.pattern.test(String(value))) errors.push(rule.patternMessage || 'Formato inválido');
+
+    if (errors.length === 0 && rule.validate) {
+        const custom = rule.validate(value, body);
+        if (custom) errors.push(...[].concat(custom));
+    }
+    return errors;
+}
+
+// validate de um campo do tipo 'array': confere a quantidade de itens e valida cada um com
+// itemValidator(item, index, list), que retorna uma mensagem, uma lista de mensagens ou nada.
+// Os erros dos itens são prefixados com a posição (ex.: "Item 2: estudante repetido").
+function arrayOf(itemValidator, { min = 1, max, minMessage, maxMessage } = {}) {
+    return list => {
+        if (list.length < min) return [minMessage || `Informe ao menos ${min} item(ns)`];
+        if (max !== undefined && list.length > max) return [maxMessage || `No máximo ${max} itens`];
+
+        return list.flatMap((item, index) => [].concat(itemValidator(item, index, list) || []).map(error => `Item ${index}: ${error}`));
+    };
+}
+
+// Valida o corpo conforme o schema e o modo ('create', 'update' = substituição completa, 'patch' = parcial).
+// Retorna { details } com todos os erros encontrados, ou { value } apenas com os campos conhecidos.
+function validate(body, schema, mode = 'create') {
+    const details = [];
+    const value = {};
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return { details: [{ field: null, message: 'O corpo da requisição deve ser um objeto JSON' }] };
+    }
+
+    for (const field of Object.keys(body)) {
+        if (!schema[field]) details.push({ field, message: 'Campo não permitido' });
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const fieldValue = body[field];
+
+        if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+            if (isRequired(rule, mode)) details.push({ field, message: rule.message || 'Campo obrigatório' });
+            continue;
+        }
+
+        for (const message of checkField(field, fieldValue, rule, body)) {
+            details.push({ field, message });
+        }
+        value[field] = fieldValue;
+    }
+
+    if (mode === 'patch' && details.length === 0 && Object.keys(value).length === 0) {
+        details.push({ field: null, message: 'Informe ao menos um campo para alterar' });
+    }
+
+    return details.length > 0 ? { details } : { value };
+}
+
+module.exports = { validate, arrayOf };
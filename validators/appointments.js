@@ -0,0 +1,28 @@
+const { validateRecurrence } = require('../utils/recurrence');
+const { MAX_DURATION_MINUTES } = require('../models/Appointment');
+
+// Regras de validação do corpo das requisições de agendamentos (ver utils/validation.js)
+const fields = {
+    specialty: { type: 'string', required: true, message: 'O agendamento precisa ter uma especialidade' },
+    comments: { type: 'string', required: true, message: 'O agendamento precisa ter comentários' },
+    date: { type: 'date', required: true, message: 'O agendamento precisa ter uma data' },
+    duration: { type: 'integer', min: 1, max: MAX_DURATION_MINUTES },
+    student: { type: 'objectId', required: true, message: 'O agendamento precisa ter um estudante' },
+    professional: { type: 'objectId', required: true, message: 'O agendamento precisa ter um profissional' },
+    force: { type: 'boolean' },
+    recurrence: { type: 'object', validate: validateRecurrence }
+};
+
+// Motivo opcional (obrigatório no cancelamento) das rotas de mudança de status
+const transition = {
+    reason: { type: 'string', maxLength: 500 }
+};
+
+const cancel = {
+    reason: { type: 'string', required: true, maxLength: 500, message: 'O motivo é obrigatório' }
+};
+
+// Na alteração a recorrência não é aceita: ela só vale na criação da série
+const { recurrence, ...updateFields } = fields;
+
+module.exports = { fields, updateFields, transition, cancel };
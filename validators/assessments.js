@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { arrayOf } = require('../utils/validation');
+
+const MAX_GRADES = 200;
+
+// Regras de validação do corpo das requisições de avaliações (ver utils/validation.js).
+// O período (assessmentTerm) é conferido na rota, com a quantidade de períodos da regra do ano letivo.
+const fields = {
+    assessmentTitle: { type: 'string', required: true, maxLength: 120 },
+    assessmentClass: { type: 'objectId', required: true, message: 'Informe a turma' },
+    assessmentDiscipline: { type: 'objectId', required: true, message: 'Informe a disciplina' },
+    assessmentTerm: { type: 'integer', required: true, min: 1, max: 6 },
+    assessmentWeight: { type: 'number', min: 0 },
+    assessmentMaxScore: { type: 'number', min: 1 },
+    assessmentDate: { type: 'date' }
+};
+
+// PUT e PATCH: a turma e a disciplina não mudam; para isso, cadastre outra avaliação
+const updateFields = {
+    assessmentTitle: fields.assessmentTitle,
+    assessmentTerm: fields.assessmentTerm,
+    assessmentWeight: fields.assessmentWeight,
+    assessmentMaxScore: fields.assessmentMaxScore,
+    assessmentDate: fields.assessmentDate
+};
+
+// O mesmo ID pode chegar em maiúsculas ou minúsculas
+function sameStudent(a, b) {
+    return String(new mongoose.Types.ObjectId(a)) === String(new mongoose.Types.ObjectId(b));
+}
+
+function isStudentId(value) {
+    return typeof value === 'string' && mongoose.isValidObjectId(value);
+}
+
+// Erros de uma nota enviada; o limite da nota é conferido na rota, com a nota máxima da avaliação
+function validateGrade(grade, index, grades) {
+    if (!grade || typeof grade !== 'object') return 'deve ser um objeto com student e score';
+
+    const errors = [];
+    if (!isStudentId(grade.student)) {
+        errors.push('student deve ser o ID do estudante');
+    } else if (grades.slice(0, index).some(other => other && isStudentId(other.student) && sameStudent(other.student, grade.student))) {
+        errors.push('estudante repetido');
+    }
+    if (typeof grade.score !== 'number' || !Number.isFinite(grade.score) || grade.score < 0) {
+        errors.push('score deve ser um número maior ou igual a 0');
+    }
+    if (grade.note !== undefined && (typeof grade.note !== 'string' || grade.note.length > 500)) {
+        errors.push('note deve ser um texto de até 500 caracteres');
+    }
+    return errors;
+}
+
+const validateGrades = arrayOf(validateGrade, {
+    max: MAX_GRADES,
+    minMessage: 'Informe ao menos uma nota',
+    maxMessage: `No máximo ${MAX_GRADES} notas por envio`
+});
+
+// PUT /assessments/:id/grades
+const grades = {
+    grades: { type: 'array', required: true, validate: validateGrades, message: 'Informe a lista de notas' }
+};
+
+module.exports = { fields, updateFields, grades };
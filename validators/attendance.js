@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { ATTENDANCE_STATUS } = require('../models/Attendance');
+const { attendanceDay } = require('../utils/attendance');
+const { arrayOf } = require('../utils/validation');
+
+const MAX_RECORDS = 200;
+const STATUS_VALUES = Object.values(ATTENDANCE_STATUS);
+
+function notInFuture(value) {
+    return attendanceDay(value) > attendanceDay(new Date()) ? 'Não pode ser uma data futura' : null;
+}
+
+// Erros de um registro da chamada; o estudante não pode aparecer duas vezes na mesma lista
+function validateRecord(record, index, records) {
+    if (!record || typeof record !== 'object') return 'deve ser um objeto com student e status';
+
+    const errors = [];
+    if (typeof record.student !== 'string' || !mongoose.isValidObjectId(record.student)) {
+        errors.push('student deve ser o ID do estudante');
+    } else if (records.slice(0, index).some(other => other && other.student === record.student)) {
+        errors.push('estudante repetido');
+    }
+    if (!STATUS_VALUES.includes(record.status)) {
+        errors.push(`status deve ser ${STATUS_VALUES.join(', ')}`);
+    }
+    if (record.note !== undefined && (typeof record.note !== 'string' || record.note.length > 500)) {
+        errors.push('note deve ser um texto de até 500 caracteres');
+    }
+    return errors;
+}
+
+const validateRecords = arrayOf(validateRecord, {
+    max: MAX_RECORDS,
+    minMessage: 'Informe ao menos um estudante',
+    maxMessage: `No máximo ${MAX_RECORDS} registros por envio`
+});
+
+// POST /attendance/classes/:classId
+const classAttendance = {
+    date: { type: 'date', required: true, validate: notInFuture, message: 'Informe o dia da chamada' },
+    lesson: { type: 'objectId' },
+    records: { type: 'array', required: true, validate: validateRecords, message: 'Informe a lista de estudantes' }
+};
+
+// PATCH /attendance/:id: corrigir o status ou justificar uma falta
+const fields = {
+    attendanceStatus: { type: 'string', enum: STATUS_VALUES },
+    attendanceNote: { type: 'string', maxLength: 500 }
+};
+
+module.exports = { classAttendance, fields };
@@ -0,0 +1,11 @@
+// Regras de validação do corpo das rotas de autenticação (ver utils/validation.js)
+const login = {
+    userUser: { type: 'string', required: true },
+    userPassword: { type: 'string', required: true }
+};
+
+const refresh = {
+    refreshToken: { type: 'string', required: true }
+};
+
+module.exports = { login, refresh };
@@ -0,0 +1,36 @@
+const { CLASS_SHIFTS } = require('../models/Class');
+const { ENROLLMENT_STATUS } = require('../models/Enrollment');
+
+// Regras de validação do corpo das requisições de turmas (ver utils/validation.js)
+const fields = {
+    className: { type: 'string', required: true, maxLength: 60 },
+    classGradeLevel: { type: 'string', required: true, maxLength: 60 },
+    classSchoolYear: { type: 'integer', required: true, min: 2000, max: 2100 },
+    classShift: { type: 'string', required: true, enum: Object.values(CLASS_SHIFTS) },
+    classCapacity: { type: 'integer', min: 1 },
+    classRoom: { type: 'string', maxLength: 60 },
+    classStatus: { type: 'boolean' }
+};
+
+// POST /classes/:id/students
+const enrollment = {
+    student: { type: 'objectId', required: true, message: 'Informe o estudante' },
+    startDate: { type: 'date' }
+};
+
+// DELETE /classes/:id/students/:studentId (lidos da query string)
+const endEnrollment = {
+    status: {
+        type: 'string',
+        enum: Object.values(ENROLLMENT_STATUS).filter(status => status !== ENROLLMENT_STATUS.ACTIVE)
+    },
+    reason: { type: 'string', maxLength: 500 }
+};
+
+// POST /classes/:id/teachers
+const assignment = {
+    teacher: { type: 'objectId', required: true, message: 'Informe o professor' },
+    discipline: { type: 'objectId', required: true, message: 'Informe a disciplina' }
+};
+
+module.exports = { fields, enrollment, endEnrollment, assignment };
@@ -0,0 +1,10 @@
+// Regras de validação do corpo das requisições de disciplinas (ver utils/validation.js)
+const fields = {
+    disciplineName: { type: 'string', required: true, maxLength: 120 },
+    disciplineCode: { type: 'string', maxLength: 20 },
+    disciplineDescription: { type: 'string', maxLength: 500 },
+    disciplineWorkload: { type: 'integer', min: 1 },
+    disciplineStatus: { type: 'boolean' }
+};
+
+module.exports = { fields };
@@ -0,0 +1,14 @@
+const { validateRecurrence } = require('../utils/recurrence');
+
+// Regras de validação do corpo das requisições de eventos (ver utils/validation.js)
+const fields = {
+    description: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    comments: { type: 'string', required: true },
+    recurrence: { type: 'object', validate: validateRecurrence }
+};
+
+// Na alteração a recorrência não é aceita: ela só vale na criação da série
+const { recurrence, ...updateFields } = fields;
+
+module.exports = { fields, updateFields };
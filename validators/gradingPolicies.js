@@ -0,0 +1,28 @@
+// Regras de validação do corpo das requisições das regras de cálculo das médias (ver utils/validation.js).
+// Campos não enviados ficam com o valor padrão do model.
+const fields = {
+    gradingTerms: { type: 'integer', min: 1, max: 6 },
+    gradingTermWeights: {
+        type: 'array',
+        validate: (weights, body) => {
+            if (weights.some(weight => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+                return 'Os pesos devem ser números maiores ou iguais a 0';
+            }
+            if (weights.every(weight => weight === 0)) return 'Ao menos um período precisa ter peso';
+            const terms = body.gradingTerms === undefined ? 4 : body.gradingTerms;
+            return weights.length !== terms ? `Informe um peso para cada um dos ${terms} períodos` : null;
+        }
+    },
+    gradingMaxScore: { type: 'number', min: 1 },
+    gradingPassingGrade: {
+        type: 'number',
+        min: 0,
+        validate: (grade, body) => (grade > (body.gradingMaxScore === undefined ? 10 : body.gradingMaxScore)
+            ? 'Não pode ser maior que a nota máxima (gradingMaxScore)'
+            : null)
+    },
+    gradingMinimumAttendance: { type: 'number', min: 0, max: 100 },
+    gradingDecimals: { type: 'integer', min: 0, max: 2 }
+};
+
+module.exports = { fields };
@@ -0,0 +1,38 @@
+const { GUARDIAN_RELATIONSHIPS } = require('../models/Guardianship');
+const { validatePhone, validateEmail, validateCpf } = require('../utils/contact');
+const { arrayOf } = require('../utils/validation');
+
+const MAX_PHONES = 5;
+
+// Cada telefone é conferido com as regras de utils/contact.js
+const validatePhones = arrayOf(
+    phone => (typeof phone === 'string' || typeof phone === 'number' ? validatePhone(phone) : 'Deve ser um texto'),
+    { max: MAX_PHONES, minMessage: 'Informe ao menos um telefone', maxMessage: `No máximo ${MAX_PHONES} telefones` }
+);
+
+// Regras de validação do corpo das requisições de responsáveis (ver utils/validation.js)
+const fields = {
+    guardianName: { type: 'string', required: true, maxLength: 120 },
+    guardianDocument: { type: ['string', 'number'], validate: validateCpf },
+    guardianPhones: { type: 'array', required: true, message: 'Informe ao menos um telefone', validate: validatePhones },
+    guardianEmail: { type: 'string', validate: validateEmail },
+    guardianNotes: { type: 'string', maxLength: 500 }
+};
+
+// POST /students/:id/guardians; no PATCH /students/:id/guardians/:guardianId, o responsável não muda
+const guardianship = {
+    guardian: { type: 'objectId', required: true, message: 'Informe o responsável' },
+    relationship: { type: 'string', required: true, enum: Object.values(GUARDIAN_RELATIONSHIPS), message: 'Informe o parentesco' },
+    legalCustody: { type: 'boolean' },
+    primaryContact: { type: 'boolean' },
+    canPickUp: { type: 'boolean' }
+};
+
+const guardianshipUpdate = {
+    relationship: guardianship.relationship,
+    legalCustody: guardianship.legalCustody,
+    primaryContact: guardianship.primaryContact,
+    canPickUp: guardianship.canPickUp
+};
+
+module.exports = { fields, guardianship, guardianshipUpdate };
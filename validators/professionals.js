@@ -0,0 +1,54 @@
+const { validateAvailability } = require('../utils/availability');
+const { validatePhone, validateEmail } = require('../utils/contact');
+
+function validateBlockedPeriods(periods) {
+    if (!Array.isArray(periods)) return 'Deve ser uma lista';
+
+    return periods
+        .map((period, index) => {
+            const start = new Date(period && period.start);
+            const end = new Date(period && period.end);
+            if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+                return `Item ${index}: informe start e end válidos, com start anterior a end`;
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+// Regras de validação do corpo das requisições de profissionais (ver utils/validation.js)
+const fields = {
+    professionalName: { type: 'string', required: true, maxLength: 120 },
+    professionalSpeciality: { type: 'string', required: true },
+    professionalEmail: { type: 'string', required: true, validate: validateEmail },
+    professionalPhone: { type: ['string', 'number'], required: true, validate: validatePhone },
+    professionalStatus: { type: 'boolean', required: true },
+    professionalAvailability: { type: 'array', validate: validateAvailability },
+    professionalBlockedPeriods: { type: 'array', validate: validateBlockedPeriods }
+};
+
+const availability = {
+    availability: { type: 'array', required: true, validate: validateAvailability }
+};
+
+const blockedPeriod = {
+    start: { type: 'date', required: true },
+    end: {
+        type: 'date',
+        required: true,
+        validate: (end, body) => (new Date(body.start) >= new Date(end) ? 'Deve ser posterior a start' : null)
+    },
+    reason: { type: 'string', maxLength: 200 }
+};
+
+// Nomes alternativos aceitos nas colunas da importação em lote (ver utils/bulkImport.js)
+const importAliases = {
+    nome: 'professionalName',
+    especialidade: 'professionalSpeciality',
+    email: 'professionalEmail',
+    telefone: 'professionalPhone',
+    status: 'professionalStatus',
+    ativo: 'professionalStatus'
+};
+
+module.exports = { fields, availability, blockedPeriod, importAliases };
@@ -0,0 +1,26 @@
+const { validatePhone } = require('../utils/contact');
+
+// Regras de validação do corpo das requisições de estudantes (ver utils/validation.js)
+const fields = {
+    studentsName: { type: 'string', required: true, maxLength: 120 },
+    studentsBirthDate: {
+        type: 'date',
+        required: true,
+        validate: value => (new Date(value) > new Date() ? 'A data de nascimento não pode estar no futuro' : null)
+    },
+    studentsPhone_number: { type: ['string', 'number'], required: true, validate: validatePhone },
+    studentsStatus: { type: 'boolean', required: true }
+};
+
+// Nomes alternativos aceitos nas colunas da importação em lote (ver utils/bulkImport.js)
+const importAliases = {
+    nome: 'studentsName',
+    nascimento: 'studentsBirthDate',
+    'data de nascimento': 'studentsBirthDate',
+    telefone: 'studentsPhone_number',
+    celular: 'studentsPhone_number',
+    status: 'studentsStatus',
+    ativo: 'studentsStatus'
+};
+
+module.exports = { fields, importAliases };
@@ -0,0 +1,24 @@
+const { validatePhone, validateEmail } = require('../utils/contact');
+
+// Regras de validação do corpo das requisições de professores (ver utils/validation.js)
+const fields = {
+    teacherName: { type: 'string', required: true, maxLength: 120 },
+    teacherSchoolDisciplines: { type: 'string', required: true },
+    teacherContact: { type: 'string', required: true, validate: validateEmail },
+    teacherPhone: { type: ['string', 'number'], required: true, validate: validatePhone },
+    teacherStatus: { type: 'boolean', required: true }
+};
+
+// Nomes alternativos aceitos nas colunas da importação em lote (ver utils/bulkImport.js)
+const importAliases = {
+    nome: 'teacherName',
+    disciplina: 'teacherSchoolDisciplines',
+    disciplinas: 'teacherSchoolDisciplines',
+    email: 'teacherContact',
+    contato: 'teacherContact',
+    telefone: 'teacherPhone',
+    status: 'teacherStatus',
+    ativo: 'teacherStatus'
+};
+
+module.exports = { fields, importAliases };
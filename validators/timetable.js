@@ -0,0 +1,27 @@
+const { CLASS_SHIFTS } = require('../models/Class');
+const { isValidTime } = require('../utils/availability');
+
+const TIME_RULE = { type: 'string', required: true, validate: value => (isValidTime(value) ? null : 'Deve estar no formato HH:mm') };
+
+// Regras de validação do corpo das requisições da grade horária (ver utils/validation.js)
+const period = {
+    periodShift: { type: 'string', required: true, enum: Object.values(CLASS_SHIFTS) },
+    periodNumber: { type: 'integer', required: true, min: 1, max: 20 },
+    periodStart: TIME_RULE,
+    periodEnd: TIME_RULE
+};
+
+// POST /timetable/lessons
+const lesson = {
+    assignment: { type: 'objectId', required: true, message: 'Informe a atribuição (professor e disciplina na turma)' },
+    weekday: { type: 'integer', required: true, min: 0, max: 6, message: 'Informe o dia da semana (0 = domingo)' },
+    period: { type: 'objectId', required: true, message: 'Informe o período' }
+};
+
+// PATCH /timetable/lessons/:id: a aula só muda de dia e de período
+const moveLesson = {
+    weekday: lesson.weekday,
+    period: lesson.period
+};
+
+module.exports = { period, lesson, moveLesson };
@@ -0,0 +1,20 @@
+const { ROLES } = require('../config/permissions');
+const { checkPasswordStrength } = require('../utils/password');
+const { validateEmail } = require('../utils/contact');
+
+// Regras de validação do corpo das requisições de usuários (ver utils/validation.js)
+const fields = {
+    userName: { type: 'string', required: true, maxLength: 120 },
+    userEmail: { type: 'string', required: true, validate: validateEmail },
+    userUser: { type: 'string', required: true, maxLength: 60 },
+    userLevel: { type: 'string', required: true, enum: Object.values(ROLES) },
+    userStatus: { type: 'boolean', required: true },
+    userPassword: { type: 'string', required: 'create', validate: checkPasswordStrength }  // Na alteração, só se for trocar
+};
+
+const changePassword = {
+    currentPassword: { type: 'string', required: true },
+    newPassword: { type: 'string', required: true, validate: checkPasswordStrength }
+};
+
+module.exports = { fields, changePassword };